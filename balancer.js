@@ -0,0 +1,175 @@
+// balancer.js
+// Team balance scoring + partition-search balancer.
+//
+// Splits are scored like the snake balancer: spread of team rating totals first,
+// then their variance. Small rosters (up to EXHAUSTIVE_LIMIT possible splits —
+// 3x5 has 126,126) are searched exhaustively, so "best possible" is exact; larger
+// ones use random-restart local search with pairwise swaps and report the best
+// split found instead.
+
+const EXHAUSTIVE_LIMIT = 500000;
+const NEAR_BEST_TOLERANCE = 0.5; // extra spread (rating points) still offered on "Shuffle again"
+const MAX_CANDIDATES = 500;
+const EPS = 1e-9;
+
+// Composition signature invariant to within-team order AND color assignment.
+function teamKey(teams) {
+  const teamStrings = teams
+    .map(t => t.slice().sort((a,b)=>a.localeCompare(b)).join('|'));
+  teamStrings.sort();
+  return teamStrings.join('||');
+}
+
+function computeTeamSums(teams, ratingMap) {
+  return teams.map(team => team.reduce((sum, name) => sum + (ratingMap.get(name) || 0), 0));
+}
+function scoreSums(sums) {
+  const maxSum = Math.max(...sums);
+  const minSum = Math.min(...sums);
+  const spread = maxSum - minSum;
+  const mean = sums.reduce((acc, s) => acc + s, 0) / sums.length;
+  const variance = sums.reduce((acc, s) => acc + (s - mean) ** 2, 0) / sums.length;
+  return { spread, variance };
+}
+function balanceScore(teams, ratingMap) {
+  const sums = computeTeamSums(teams, ratingMap);
+  return { ...scoreSums(sums), sums };
+}
+function compareScores(a, b) {
+  if (Math.abs(a.spread - b.spread) > EPS) return a.spread - b.spread;
+  return a.variance - b.variance;
+}
+
+// Number of ways to split teams*size players into unlabeled teams of `size`.
+function countSplits(format) {
+  let remaining = format.teams * format.size;
+  let count = 1;
+  for (let t = 0; t < format.teams; t++) {
+    for (let k = 1; k <= format.size; k++) count = count * (remaining - format.size + k) / k;
+    remaining -= format.size;
+  }
+  for (let t = 2; t <= format.teams; t++) count /= t;
+  return Math.round(count);
+}
+
+// Collects splits within NEAR_BEST_TOLERANCE of the best spread seen so far.
+function makePool(names) {
+  const pool = { best: null, items: [], worstKept: null };
+  pool.offer = (assign, sums) => {
+    const score = scoreSums(sums);
+    if (pool.best && score.spread > pool.best.spread + NEAR_BEST_TOLERANCE + EPS) return;
+    // Once trimmed, only splits that beat the worst kept one can still make the cut
+    if (pool.worstKept && compareScores(score, pool.worstKept) >= 0) return;
+    const teams = sums.map(() => []);
+    assign.forEach((t, i) => teams[t].push(names[i]));
+    const cand = { teams, key: teamKey(teams), sums: sums.slice(), ...score };
+    if (!pool.best || compareScores(cand, pool.best) < 0) {
+      pool.best = cand;
+      pool.items = pool.items.filter(c => c.spread <= cand.spread + NEAR_BEST_TOLERANCE + EPS);
+      pool.worstKept = null;
+    }
+    pool.items.push(cand);
+    if (pool.items.length > MAX_CANDIDATES * 4) {
+      pool.items.sort(compareScores);
+      pool.items.length = MAX_CANDIDATES;
+      pool.worstKept = pool.items[MAX_CANDIDATES - 1];
+    }
+  };
+  return pool;
+}
+
+// Every split, with symmetry breaking: a player may only open the first empty team.
+function exhaustiveSearch(ratings, format, pool) {
+  const n = ratings.length;
+  const assign = new Array(n);
+  const sizes = new Array(format.teams).fill(0);
+  const sums = new Array(format.teams).fill(0);
+  const place = (i, used) => {
+    if (i === n) { pool.offer(assign, sums); return; }
+    for (let t = 0; t < Math.min(used + 1, format.teams); t++) {
+      if (sizes[t] === format.size) continue;
+      assign[i] = t; sizes[t]++; sums[t] += ratings[i];
+      place(i + 1, Math.max(used, t + 1));
+      sizes[t]--; sums[t] -= ratings[i];
+    }
+  };
+  place(0, 0);
+}
+
+// Random deal, then keep applying the first improving swap until none is left.
+function localSearch(ratings, format, pool) {
+  const n = ratings.length;
+  const restarts = n <= 30 ? 200 : 50;
+  for (let r = 0; r < restarts; r++) {
+    const order = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const assign = new Array(n);
+    order.forEach((p, k) => { assign[p] = Math.floor(k / format.size); });
+    const sums = new Array(format.teams).fill(0);
+    assign.forEach((t, i) => { sums[t] += ratings[i]; });
+
+    let current = scoreSums(sums);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < n && !improved; i++) {
+        for (let j = i + 1; j < n && !improved; j++) {
+          const ti = assign[i];
+          const tj = assign[j];
+          if (ti === tj) continue;
+          const diff = ratings[i] - ratings[j];
+          sums[ti] -= diff; sums[tj] += diff;
+          const next = scoreSums(sums);
+          if (compareScores(next, current) < -EPS) {
+            assign[i] = tj; assign[j] = ti;
+            current = next;
+            improved = true;
+          } else {
+            sums[ti] += diff; sums[tj] -= diff;
+          }
+        }
+      }
+    }
+    pool.offer(assign, sums);
+  }
+}
+
+/**
+ * Search splits of names (teams × size, rated via ratingMap) for the most even totals.
+ * Returns { best, candidates, exhaustive }:
+ *   best        — best split found ({ teams, key, sums, spread, variance })
+ *   candidates  — distinct splits within NEAR_BEST_TOLERANCE of best, best first
+ *   exhaustive  — true when every split was checked (best is the true optimum)
+ */
+function searchBalancedSplits(names, ratingMap, format) {
+  const ratings = names.map(n => ratingMap.get(n) || 0);
+  const pool = makePool(names);
+  const exhaustive = countSplits(format) <= EXHAUSTIVE_LIMIT;
+  if (exhaustive) exhaustiveSearch(ratings, format, pool);
+  else localSearch(ratings, format, pool);
+
+  const seen = new Set();
+  const candidates = pool.items
+    .sort(compareScores)
+    .filter(c => (seen.has(c.key) ? false : seen.add(c.key)))
+    .slice(0, MAX_CANDIDATES);
+  return { best: candidates[0], candidates, exhaustive };
+}
+
+// Pick a near-best split not sent yet (random for variety); the best one once all were sent.
+function chooseBalancedSplit(search, seenKeys) {
+  const unseen = search.candidates.filter(c => !seenKeys.has(c.key));
+  if (!unseen.length) return search.best;
+  return unseen[Math.floor(Math.random() * unseen.length)];
+}
+
+module.exports = {
+  teamKey,
+  computeTeamSums,
+  balanceScore,
+  searchBalancedSplits,
+  chooseBalancedSplit
+};
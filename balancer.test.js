@@ -0,0 +1,48 @@
+// balancer.test.js
+// Balance scoring and partition search checks (npm test).
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { teamKey, balanceScore, searchBalancedSplits, chooseBalancedSplit } = require('./balancer');
+
+const ratingsOf = (values) => new Map(values.map((rating, i) => [`P${i + 1}`, rating]));
+
+test('teamKey ignores the order within teams and of the teams', () => {
+  assert.strictEqual(teamKey([['Kevin', 'Anish'], ['Simon', 'Juan']]), teamKey([['Juan', 'Simon'], ['Anish', 'Kevin']]));
+  assert.notStrictEqual(teamKey([['Kevin', 'Anish'], ['Simon', 'Juan']]), teamKey([['Kevin', 'Simon'], ['Anish', 'Juan']]));
+});
+
+test('balanceScore gives the totals, their spread and variance', () => {
+  const ratings = new Map([['Kevin', 7.5], ['Anish', 6], ['Simon', 5]]);
+  assert.deepStrictEqual(balanceScore([['Kevin', 'Anish'], ['Simon', 'Guest']], ratings), { sums: [13.5, 5], spread: 8.5, variance: 18.0625 });
+});
+
+test('small rosters are searched exhaustively for the true best split', () => {
+  const ratings = ratingsOf([9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  const search = searchBalancedSplits([...ratings.keys()], ratings, { teams: 3, size: 3 });
+  assert.strictEqual(search.exhaustive, true);
+  assert.deepStrictEqual(search.best.sums, [15, 15, 15]);
+  assert.ok(search.candidates.every(c => c.spread <= 0.5)); // near-best ones for "Shuffle again"
+  assert.strictEqual(new Set(search.candidates.map(c => c.key)).size, search.candidates.length);
+});
+
+test('large rosters fall back to local search and still come out close', () => {
+  const ratings = ratingsOf(Array.from({ length: 32 }, (_, i) => i + 1));
+  const search = searchBalancedSplits([...ratings.keys()], ratings, { teams: 4, size: 8 });
+  assert.strictEqual(search.exhaustive, false);
+  assert.deepStrictEqual(search.best.teams.map(team => team.length), [8, 8, 8, 8]);
+  assert.ok(search.best.spread <= 1);
+});
+
+test('chooseBalancedSplit skips splits already sent until there are none left', () => {
+  const ratings = ratingsOf([5, 5, 5, 5]); // all three splits are even
+  const search = searchBalancedSplits([...ratings.keys()], ratings, { teams: 2, size: 2 });
+  assert.strictEqual(search.candidates.length, 3);
+  const seen = new Set([search.best.key]);
+  for (let i = 0; i < 10; i++) assert.ok(!seen.has(chooseBalancedSplit(search, seen).key));
+  for (const c of search.candidates) seen.add(c.key);
+  assert.strictEqual(chooseBalancedSplit(search, seen), search.best);
+});
@@ -0,0 +1,187 @@
+// bibs.js
+// Bibs ledger: who washed the bibs, when, and from which message. Append-only — fixes
+// ("bibs set", "bibs undo") are new entries, so the history always shows what happened.
+//
+// Stored as the "bibs" namespace (storage.js), i.e. bibs.json with the JSON backend:
+//   {
+//     "ledger": [
+//       { "id": "lq3x2k9a", "at": "2024-05-06T19:02:11.000Z", "type": "wash", "name": "Kevin",
+//         "key": "kevin", "by": "<sender>", "msgId": "wamid..." },
+//       { ..., "type": "add", ... },                    // "bibs add Simon"
+//       { ..., "type": "set", "count": 3, ... },        // "bibs set Kevin 3"
+//       { ..., "type": "undo", "undoes": "<entry id>" } // "bibs undo"
+//     ],
+//     "optOut": { "<name key>": { "name": "Kevin", "until": "2024-05-20T00:00:00.000Z" | null, "by": "<sender>", "at": "..." } }
+//   }
+//
+// Counts are the ledger replayed. A "wash" (the "bibs" tag on a roster line) only counts
+// when the washer changed since the last one, so the same list pasted twice is harmless;
+// "add" always counts. The old { "<name key>": count, "__lastWasher": key } file is turned
+// into "import" entries the first time it is read.
+//
+// Entries keep the spelling they were written with; replaying groups them by player
+// (players.js), so "Ashu" and "Ashutosh" are one count once "ashu" is an alias.
+
+const storage = require('./storage');
+const { normalizeNameKey } = require('./names');
+const { nameResolver } = require('./players');
+
+const NS = 'bibs';
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function readLedger() {
+  const ledger = storage.get(NS, 'ledger');
+  if (ledger) return ledger;
+  // Pre-ledger file: one import entry per counted name
+  const legacy = storage.load(NS);
+  const at = new Date().toISOString();
+  const imported = Object.entries(legacy)
+    .filter(([k, count]) => !k.startsWith('__') && Number.isFinite(count) && count > 0)
+    .map(([key, count]) => ({ id: newId(), at, type: 'import', name: key, key, count, last: key === legacy.__lastWasher }));
+  storage.replace(NS, { ledger: imported });
+  return imported;
+}
+function append(entry) {
+  const ledger = readLedger();
+  const full = { id: newId(), at: new Date().toISOString(), ...entry };
+  ledger.push(full);
+  storage.set(NS, 'ledger', ledger);
+  return full;
+}
+
+/**
+ * Replay the ledger → { players: Map<key, { name, count, dates: string[] }>, lastWasher: key|null,
+ *   effective: entry[] } — effective is every entry that still counts (not undone), oldest first.
+ */
+function replay(ledger = readLedger(), resolve = nameResolver()) {
+  const undone = new Set(ledger.filter(e => e.type === 'undo').map(e => e.undoes));
+  const players = new Map();
+  let lastWasher = null;
+  const effective = [];
+  const player = (e) => {
+    const { key, name } = resolve(e.name);
+    if (!players.has(key)) players.set(key, { name, count: 0, dates: [] });
+    const p = players.get(key);
+    p.name = name;
+    return { key, p };
+  };
+  for (const e of ledger) {
+    if (e.type === 'undo' || undone.has(e.id)) continue;
+    const { key, p } = player(e);
+    if (e.type === 'wash' && key === lastWasher) continue; // same washer again: no new wash
+    if (e.type === 'import') {
+      p.count += e.count; // two old keys can be one player now ("ashu", "ashutosh")
+      if (e.last) lastWasher = key;
+    } else if (e.type === 'set') {
+      p.count = e.count;
+    } else {
+      p.count += 1;
+      p.dates.push(e.at);
+      lastWasher = key;
+    }
+    effective.push(e);
+  }
+  return { players, lastWasher, effective };
+}
+
+// Already handled this inbound message (webhook retry)? With key: already recorded that
+// name from it (one roster message can tag several washers).
+function seen(ledger, msgId, key) {
+  return Boolean(msgId) && ledger.some(e => e.msgId === msgId && (key === undefined || e.key === key));
+}
+
+/**
+ * "bibs" tag on a roster line: name washed last time. Returns { count, recorded } —
+ * recorded is false when they were already the last washer (or the message was seen).
+ */
+function recordWash(name, { by, msgId } = {}) {
+  const resolve = nameResolver();
+  const { key } = resolve(name);
+  const ledger = readLedger();
+  const state = replay(ledger, resolve);
+  if (seen(ledger, msgId, normalizeNameKey(name)) || state.lastWasher === key) {
+    return { count: state.players.get(key)?.count || 0, recorded: false };
+  }
+  append({ type: 'wash', name: name.trim(), key: normalizeNameKey(name), by, msgId });
+  return { count: replay().players.get(key).count, recorded: true };
+}
+
+// Manual +1, even for the last washer. Returns the new count.
+function addWash(name, { by, msgId } = {}) {
+  if (!seen(readLedger(), msgId)) append({ type: 'add', name: name.trim(), key: normalizeNameKey(name), by, msgId });
+  return getBibsCount(name);
+}
+
+// Overwrite a count. Returns { before, after }.
+function setCount(name, count, { by, msgId } = {}) {
+  const before = getBibsCount(name);
+  if (!seen(readLedger(), msgId)) append({ type: 'set', name: name.trim(), key: normalizeNameKey(name), count, by, msgId });
+  return { before, after: getBibsCount(name) };
+}
+
+// Undo the newest entry that still counts (imported counts are fixed with setCount).
+// Returns { entry, count } or null when there's nothing to undo.
+function undoLast({ by, msgId } = {}) {
+  const ledger = readLedger();
+  if (seen(ledger, msgId)) return null;
+  const entry = replay(ledger).effective.filter(e => e.type !== 'import').pop();
+  if (!entry) return null;
+  append({ type: 'undo', undoes: entry.id, name: entry.name, key: entry.key, by, msgId });
+  return { entry, count: getBibsCount(entry.name) };
+}
+
+function getBibsCount(name) {
+  const resolve = nameResolver();
+  return replay(undefined, resolve).players.get(resolve(name).key)?.count || 0;
+}
+function getLastWasherKey() {
+  return replay().lastWasher;
+}
+// One replay for looking up many names: { countOf(name), lastWasher }
+function bibsCounts() {
+  const resolve = nameResolver();
+  const { players, lastWasher } = replay(undefined, resolve);
+  return { countOf: name => players.get(resolve(name).key)?.count || 0, lastWasher };
+}
+
+// Everyone with a count: [{ key, name, count, dates }] (dates of counted washes, oldest first)
+function bibsSummary() {
+  return Array.from(replay().players.entries()).map(([key, p]) => ({ key, ...p }));
+}
+
+// ---------- Opt-outs ----------
+// Sit out of the rotation until a date (or until turned back on when until is null).
+function setOptOut(name, until, { by } = {}) {
+  readLedger(); // converts an old file first
+  const optOut = storage.get(NS, 'optOut') || {};
+  optOut[nameResolver()(name).key] = { name: name.trim(), until: until ? new Date(until).toISOString() : null, by, at: new Date().toISOString() };
+  storage.set(NS, 'optOut', optOut);
+}
+// Back in the rotation. Returns whether they were out.
+function clearOptOut(name) {
+  const optOut = storage.get(NS, 'optOut') || {};
+  const key = nameResolver()(name).key;
+  if (!optOut[key]) return false;
+  delete optOut[key];
+  storage.set(NS, 'optOut', optOut);
+  return true;
+}
+// Current opt-outs (expired ones dropped): Map<key, { name, until }>
+function activeOptOuts(now = Date.now()) {
+  const optOut = storage.get(NS, 'optOut') || {};
+  return new Map(Object.entries(optOut).filter(([, o]) => !o.until || Date.parse(o.until) > now));
+}
+
+// Newest ledger entries first (undo entries included), names in their stored spelling, for the history view.
+function recentEntries(limit = 5) {
+  const resolve = nameResolver();
+  return readLedger().slice(-limit).reverse().map(e => ({ ...e, name: resolve(e.name).name }));
+}
+
+module.exports = {
+  recordWash, addWash, setCount, undoLast, getBibsCount, getLastWasherKey, bibsCounts, bibsSummary, recentEntries,
+  setOptOut, clearOptOut, activeOptOuts
+};
@@ -0,0 +1,73 @@
+// bibs.test.js
+// Bibs ledger checks (npm test), on a throwaway DATA_DIR; every test starts from an empty ledger.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-bibs-'));
+delete process.env.BIBS_FILE;
+delete process.env.STORAGE;
+
+const storage = require('./storage');
+const { recordWash, addWash, setCount, undoLast, getBibsCount, bibsCounts, bibsSummary, recentEntries } = require('./bibs');
+const { addAlias } = require('./players');
+
+test.beforeEach(() => {
+  storage.replace('bibs', {});
+  storage.replace('players', {});
+});
+
+test('every "bibs" tag in one roster message counts', () => {
+  const washers = ['A1', 'B2', 'C3'];
+  const results = washers.map(name => recordWash(name, { by: 'tester', msgId: 'roster-1' }));
+  assert.deepStrictEqual(results.map(r => r.recorded), [true, true, true]);
+  assert.deepStrictEqual(washers.map(getBibsCount), [1, 1, 1]);
+});
+
+test('the same roster message again (a webhook retry) counts nobody twice', () => {
+  const washers = ['D4', 'E5'];
+  for (const name of washers) recordWash(name, { by: 'tester', msgId: 'roster-2' });
+  const retried = washers.map(name => recordWash(name, { by: 'tester', msgId: 'roster-2' }));
+  assert.deepStrictEqual(retried.map(r => r.recorded), [false, false]);
+  assert.deepStrictEqual(washers.map(getBibsCount), [1, 1]);
+});
+
+test('old counts under two spellings of one player add up', () => {
+  storage.replace('bibs', { ashu: 2, ashutosh: 3, kevin: 1, __lastWasher: 'kevin' });
+  addAlias('Ashu', 'Ashutosh');
+  assert.strictEqual(getBibsCount('Ashutosh'), 5);
+  const { countOf, lastWasher } = bibsCounts();
+  assert.deepStrictEqual(['ashu', 'Ashutosh', 'Kevin', 'Nobody'].map(countOf), [5, 5, 1, 0]);
+  assert.strictEqual(lastWasher, 'kevin');
+});
+
+test('the last washer tagged again adds nothing, "bibs add" always does', () => {
+  recordWash('Kevin', { msgId: 'roster-3' });
+  assert.strictEqual(recordWash('kevin', { msgId: 'roster-4' }).recorded, false);
+  assert.strictEqual(addWash('Kevin', { msgId: 'add-1' }), 2);
+  assert.strictEqual(addWash('Kevin', { msgId: 'add-1' }), 2); // retried
+  assert.strictEqual(bibsSummary()[0].dates.length, 2);
+});
+
+test('"bibs set" overwrites, and undo takes back the newest entry', () => {
+  recordWash('Kevin', { msgId: 'roster-5' });
+  recordWash('Simon', { msgId: 'roster-6' });
+  assert.deepStrictEqual(setCount('Kevin', 4, { msgId: 'set-1' }), { before: 1, after: 4 });
+  assert.strictEqual(undoLast({ msgId: 'undo-1' }).entry.type, 'set');
+  assert.strictEqual(getBibsCount('Kevin'), 1);
+  assert.strictEqual(undoLast({ msgId: 'undo-1' }), null); // retried
+  assert.strictEqual(undoLast({ msgId: 'undo-2' }).entry.name, 'Simon');
+  assert.strictEqual(bibsCounts().lastWasher, 'kevin');
+  assert.deepStrictEqual(recentEntries(3).map(e => e.type), ['undo', 'undo', 'set']);
+});
+
+test('undo leaves imported counts alone', () => {
+  storage.replace('bibs', { kevin: 2, __lastWasher: 'kevin' });
+  assert.strictEqual(undoLast(), null);
+  assert.strictEqual(getBibsCount('Kevin'), 2);
+});
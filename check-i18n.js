@@ -0,0 +1,56 @@
+// check-i18n.js
+// Catalog check (npm test): fails when a language is missing a message, has one English
+// doesn't, uses different {placeholders}, or when code asks for a key no catalog has.
+//
+//   node check-i18n.js
+
+const fs = require('fs');
+const path = require('path');
+const { LANGUAGES, DEFAULT_LANGUAGE, catalogs } = require('./i18n');
+
+const all = catalogs();
+const reference = all[DEFAULT_LANGUAGE];
+const problems = [];
+
+// Placeholders of a message (all plural forms together)
+function placeholders(message) {
+  const forms = typeof message === 'object' ? Object.values(message) : [message];
+  const names = new Set();
+  for (const form of forms) for (const m of String(form).matchAll(/\{(\w+)\}/g)) names.add(m[1]);
+  return Array.from(names).sort().join(',');
+}
+
+for (const lang of LANGUAGES) {
+  const catalog = all[lang];
+  for (const key of Object.keys(reference)) {
+    if (!Object.prototype.hasOwnProperty.call(catalog, key)) {
+      problems.push(`${lang}: missing "${key}"`);
+      continue;
+    }
+    const message = catalog[key];
+    if (typeof message !== typeof reference[key]) {
+      problems.push(`${lang}: "${key}" should be ${typeof reference[key] === 'object' ? 'plural forms' : 'a string'}`);
+    } else if (typeof message === 'object' && typeof message.other !== 'string') {
+      problems.push(`${lang}: "${key}" has no "other" form`);
+    } else if (placeholders(message) !== placeholders(reference[key])) {
+      problems.push(`${lang}: "${key}" uses {${placeholders(message)}}, English uses {${placeholders(reference[key])}}`);
+    }
+  }
+  for (const key of Object.keys(catalog)) {
+    if (!Object.prototype.hasOwnProperty.call(reference, key)) problems.push(`${lang}: "${key}" isn't in ${DEFAULT_LANGUAGE}`);
+  }
+}
+
+// Keys the code asks for by name, as in t(lang, "<key>", ...) with single quotes
+for (const file of fs.readdirSync(__dirname).filter(f => f.endsWith('.js'))) {
+  const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+  for (const m of source.matchAll(/\bt\(\s*[\w.]+\s*,\s*'([\w.]+)'/g)) {
+    if (!Object.prototype.hasOwnProperty.call(reference, m[1])) problems.push(`${file}: unknown key "${m[1]}"`);
+  }
+}
+
+if (problems.length) {
+  console.error(`Message catalog problems (${problems.length}):\n` + problems.map(p => `  ${p}`).join('\n'));
+  process.exit(1);
+}
+console.log(`Message catalog OK: ${Object.keys(reference).length} messages in ${LANGUAGES.join(', ')}.`);
@@ -0,0 +1,282 @@
+// constraints.js
+// Keep-together / keep-apart rules for team generation.
+//
+// In a roster message (own lines, anywhere in the message):
+//   pair: Anish+Juan          also "together:"; names separated by "+", "," or "&"
+//   apart: Kevin, Simon
+//
+// Besides together/apart there are "spread" groups: members are dealt evenly across
+// teams (per-team counts differ by at most one). Role tags use them — keepers always,
+// every role in "roles:" mode (see roleSpreadGroups() in engine.js).
+//
+// Rules are parsed loosely by extractConstraintLines(), bound to the actual roster by
+// bindConstraints() (which also rejects rules that can never hold), and then enforced by
+// randomFeasibleTeams() (random mode) or repairTeams() (rated modes, keeps balance).
+
+const { normalizeNameKey } = require('./names');
+const { teamKey } = require('./balancer');
+
+const DIRECTIVE = /^\s*(pair|together|apart)\s*:\s*(.+)$/i;
+const MAX_SEARCH_STEPS = 200000;
+
+function shuffle(array) {
+  const a = array.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Pull "pair:" / "together:" / "apart:" lines out of a message.
+// Returns { text (without those lines), constraints: { together: string[][], apart: string[][] } }
+function extractConstraintLines(text) {
+  const together = [];
+  const apart = [];
+  const kept = [];
+  for (const line of text.split('\n')) {
+    const m = line.match(DIRECTIVE);
+    if (!m) { kept.push(line); continue; }
+    // "+" followed by a digit is part of a name ("Ashutosh+1")
+    const names = m[2].split(/\s*(?:,|&|\+(?!\d))\s*/).map(s => s.trim()).filter(Boolean);
+    if (names.length < 2) continue;
+    (/^apart$/i.test(m[1]) ? apart : together).push(names);
+  }
+  return { text: kept.join('\n'), constraints: { together, apart } };
+}
+
+function hasConstraints(c) {
+  return !!c && ['together', 'apart', 'spread'].some(k => (c[k] || []).length > 0);
+}
+
+/**
+ * Match rule names to the playing roster and check the rules can hold at all.
+ * Overlapping together-groups are merged into one block.
+ * Returns { together: string[][], apart: string[][], spread: string[][] } or
+ * { error, params }: error is 'not_listed' | 'block_too_big' | 'apart_too_many' |
+ * 'paired_and_apart' and params fill in the message (players is a list of names).
+ */
+function bindConstraints(constraints, names, format) {
+  const byKey = new Map(names.map(n => [normalizeNameKey(n), n]));
+  const resolveGroup = (group) => {
+    const out = [];
+    for (const raw of group) {
+      const name = byKey.get(normalizeNameKey(raw));
+      if (!name) return { error: 'not_listed', params: { name: raw } };
+      if (!out.includes(name)) out.push(name);
+    }
+    return { group: out };
+  };
+
+  // Union overlapping together-groups into blocks
+  let blocks = [];
+  for (const g of constraints.together || []) {
+    const r = resolveGroup(g);
+    if (r.error) return r;
+    const overlapping = blocks.filter(b => b.some(n => r.group.includes(n)));
+    const merged = Array.from(new Set([].concat(...overlapping, r.group)));
+    blocks = blocks.filter(b => !overlapping.includes(b)).concat([merged]);
+  }
+  blocks = blocks.filter(b => b.length > 1);
+
+  const apart = [];
+  for (const g of constraints.apart || []) {
+    const r = resolveGroup(g);
+    if (r.error) return r;
+    if (r.group.length > 1) apart.push(r.group);
+  }
+
+  const spread = [];
+  for (const g of constraints.spread || []) {
+    const r = resolveGroup(g);
+    if (r.error) return r;
+    if (r.group.length > 1) spread.push(r.group);
+  }
+
+  for (const b of blocks) {
+    if (b.length > format.size) {
+      return { error: 'block_too_big', params: { players: b, count: b.length, size: format.size } };
+    }
+  }
+  for (const g of apart) {
+    if (g.length > format.teams) {
+      return { error: 'apart_too_many', params: { players: g, count: g.length, teams: format.teams } };
+    }
+    for (const b of blocks) {
+      const both = g.filter(n => b.includes(n));
+      if (both.length > 1) return { error: 'paired_and_apart', params: { players: both } };
+    }
+  }
+  return { together: blocks, apart, spread };
+}
+
+// name -> Set of names it may not share a team with
+function conflictMap(bound) {
+  const conflicts = new Map();
+  for (const g of bound.apart) {
+    for (const a of g) {
+      for (const b of g) {
+        if (a === b) continue;
+        if (!conflicts.has(a)) conflicts.set(a, new Set());
+        conflicts.get(a).add(b);
+      }
+    }
+  }
+  return conflicts;
+}
+
+// Broken rules: a block split over k teams counts k-1; each apart pair sharing a team counts 1;
+// a spread group counts how far its per-team counts are from differing by at most one.
+function countViolations(teams, bound) {
+  const teamOf = new Map();
+  teams.forEach((t, i) => t.forEach(n => teamOf.set(n, i)));
+  let v = 0;
+  for (const g of bound.spread || []) {
+    const counts = teams.map(() => 0);
+    g.forEach(n => counts[teamOf.get(n)]++);
+    v += Math.max(0, Math.max(...counts) - Math.min(...counts) - 1);
+  }
+  for (const b of bound.together) v += new Set(b.map(n => teamOf.get(n))).size - 1;
+  for (const g of bound.apart) {
+    for (let i = 0; i < g.length; i++) {
+      for (let j = i + 1; j < g.length; j++) {
+        if (teamOf.get(g[i]) === teamOf.get(g[j])) v++;
+      }
+    }
+  }
+  return v;
+}
+
+/**
+ * Random split that satisfies every rule (backtracking over blocks, biggest and most
+ * constrained first). Returns teams, or null when none turned up within MAX_SEARCH_STEPS:
+ * usually no split exists, but a hard set of rules can also just run out of steps.
+ */
+function randomFeasibleTeams(names, format, bound) {
+  const conflicts = conflictMap(bound);
+  const inBlock = new Set([].concat(...bound.together));
+  const units = bound.together.map(b => b.slice())
+    .concat(names.filter(n => !inBlock.has(n)).map(n => [n]));
+  const degree = (u) => u.reduce((s, n) => s + (conflicts.get(n) ? conflicts.get(n).size : 0), 0);
+  const ordered = shuffle(units).sort((a, b) => (b.length - a.length) || (degree(b) - degree(a)));
+
+  // Spread groups: at most ceil(n/teams) per team while placing, at least floor(n/teams) at the end
+  const spread = (bound.spread || []).map(g => ({
+    members: new Set(g),
+    max: Math.ceil(g.length / format.teams),
+    min: Math.floor(g.length / format.teams)
+  }));
+  const countIn = (sg, names) => names.reduce((c, n) => c + (sg.members.has(n) ? 1 : 0), 0);
+
+  const teams = Array.from({ length: format.teams }, () => []);
+  let steps = 0;
+  const fits = (unit, team) =>
+    team.length + unit.length <= format.size &&
+    unit.every(n => !team.some(m => conflicts.get(n) && conflicts.get(n).has(m))) &&
+    spread.every(sg => countIn(sg, team) + countIn(sg, unit) <= sg.max);
+  const place = (i) => {
+    if (i === ordered.length) return spread.every(sg => teams.every(t => countIn(sg, t) >= sg.min));
+    if (++steps > MAX_SEARCH_STEPS) return false;
+    let triedEmpty = false;
+    for (const t of shuffle(teams.map((_, k) => k))) {
+      const team = teams[t];
+      if (!team.length) {
+        if (triedEmpty) continue; // empty teams are interchangeable
+        triedEmpty = true;
+      }
+      if (!fits(ordered[i], team)) continue;
+      team.push(...ordered[i]);
+      if (place(i + 1)) return true;
+      team.length -= ordered[i].length;
+    }
+    return false;
+  };
+  if (!place(0)) return null;
+  return teams.map(shuffle);
+}
+
+// Lexicographic objective: broken rules first, then rating spread and variance.
+function objective(teams, bound, ratingMap) {
+  const violations = countViolations(teams, bound);
+  if (!ratingMap) return [violations, 0, 0];
+  const sums = teams.map(t => t.reduce((s, n) => s + (ratingMap.get(n) || 0), 0));
+  const mean = sums.reduce((a, s) => a + s, 0) / sums.length;
+  const variance = sums.reduce((a, s) => a + (s - mean) ** 2, 0) / sums.length;
+  return [violations, Math.max(...sums) - Math.min(...sums), variance];
+}
+function better(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) > 1e-9) return a[i] < b[i];
+  }
+  return false;
+}
+
+// Best-improvement pairwise swaps between teams until nothing improves.
+function climb(teams, bound, ratingMap) {
+  const cur = teams.map(t => t.slice());
+  let score = objective(cur, bound, ratingMap);
+  for (;;) {
+    let best = null;
+    for (let a = 0; a < cur.length; a++) {
+      for (let b = a + 1; b < cur.length; b++) {
+        for (let i = 0; i < cur[a].length; i++) {
+          for (let j = 0; j < cur[b].length; j++) {
+            [cur[a][i], cur[b][j]] = [cur[b][j], cur[a][i]];
+            const s = objective(cur, bound, ratingMap);
+            if (better(s, best ? best.score : score)) best = { a, b, i, j, score: s };
+            [cur[a][i], cur[b][j]] = [cur[b][j], cur[a][i]];
+          }
+        }
+      }
+    }
+    if (!best) return { teams: cur, score };
+    [cur[best.a][best.i], cur[best.b][best.j]] = [cur[best.b][best.j], cur[best.a][best.i]];
+    score = best.score;
+  }
+}
+
+/**
+ * Several random rule-abiding starts, each polished by swaps (balance by rating when
+ * ratingMap is given); the best split not in seenKeys wins, else the best seen one.
+ * Returns teams, or null when randomFeasibleTeams() found no start.
+ */
+function searchFeasibleTeams(names, format, bound, ratingMap, seenKeys = new Set(), attempts = 12) {
+  let best = null;
+  let bestSeen = null;
+  for (let a = 0; a < attempts; a++) {
+    const start = randomFeasibleTeams(names, format, bound);
+    if (!start) break;
+    const r = climb(start, bound, ratingMap);
+    if (seenKeys.has(teamKey(r.teams))) {
+      if (!bestSeen || better(r.score, bestSeen.score)) bestSeen = r;
+    } else if (!best || better(r.score, best.score)) {
+      best = r;
+    }
+  }
+  const pick = best || bestSeen;
+  return pick ? pick.teams : null;
+}
+
+/**
+ * Fix rule violations in a generated split with as little damage to balance as possible.
+ * Tries swaps from the given split first, then from start (a split known to meet the rules;
+ * default: a random feasible one). Returns teams with every rule met, or null when swaps
+ * can't fix it and there is no start.
+ */
+function repairTeams(teams, bound, ratingMap, format, start = null) {
+  const fixed = climb(teams, bound, ratingMap);
+  if (fixed.score[0] === 0) return fixed.teams;
+  const from = start || randomFeasibleTeams([].concat(...teams), format, bound);
+  if (!from) return null;
+  return climb(from, bound, ratingMap).teams;
+}
+
+module.exports = {
+  extractConstraintLines,
+  hasConstraints,
+  bindConstraints,
+  countViolations,
+  randomFeasibleTeams,
+  searchFeasibleTeams,
+  repairTeams
+};
@@ -0,0 +1,67 @@
+// constraints.test.js
+// Keep-together / keep-apart rule checks (npm test): binding rules to a roster, counting broken
+// rules and repairing a split without breaking any.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  extractConstraintLines, bindConstraints, countViolations, randomFeasibleTeams, repairTeams
+} = require('./constraints');
+
+const NAMES = ['Anish', 'Juan', 'Kevin', 'Simon', 'Rajesh', 'Pedro'];
+const TWO_BY_THREE = { teams: 2, size: 3 };
+const RATINGS = new Map([['Anish', 9], ['Juan', 8], ['Kevin', 7], ['Simon', 6], ['Rajesh', 5], ['Pedro', 4]]);
+const teamOf = (teams, name) => teams.findIndex(team => team.includes(name));
+
+test('pair: and apart: lines come out of the message', () => {
+  const { text, constraints } = extractConstraintLines('teams:\nAnish\npair: anish + juan\napart: Kevin, Simon\nAshu+1');
+  assert.strictEqual(text, 'teams:\nAnish\nAshu+1');
+  assert.deepStrictEqual(constraints, { together: [['anish', 'juan']], apart: [['Kevin', 'Simon']] });
+});
+
+test('bindConstraints matches names to the roster and merges overlapping pairs', () => {
+  const bound = bindConstraints({ together: [['anish', 'juan'], ['JUAN', 'kevin']], apart: [['Simon', 'Pedro']] }, NAMES, TWO_BY_THREE);
+  assert.deepStrictEqual(bound, { together: [['Anish', 'Juan', 'Kevin']], apart: [['Simon', 'Pedro']], spread: [] });
+});
+
+test('bindConstraints rejects rules that can never hold', () => {
+  const bind = (constraints) => bindConstraints(constraints, NAMES, TWO_BY_THREE).error;
+  assert.strictEqual(bind({ together: [['Anish', 'Nobody']] }), 'not_listed');
+  assert.strictEqual(bind({ together: [['Anish', 'Juan', 'Kevin', 'Simon']] }), 'block_too_big');
+  assert.strictEqual(bind({ apart: [['Anish', 'Juan', 'Kevin']] }), 'apart_too_many');
+  assert.strictEqual(bind({ together: [['Anish', 'Juan']], apart: [['Juan', 'Anish']] }), 'paired_and_apart');
+});
+
+test('countViolations counts split pairs, apart pairs together and uneven spreads', () => {
+  const bound = { together: [['Anish', 'Juan']], apart: [['Kevin', 'Simon']], spread: [['Kevin', 'Pedro']] };
+  assert.strictEqual(countViolations([['Anish', 'Juan', 'Kevin'], ['Simon', 'Rajesh', 'Pedro']], bound), 0);
+  assert.strictEqual(countViolations([['Juan', 'Kevin', 'Simon', 'Pedro'], ['Anish', 'Rajesh']], bound), 3);
+});
+
+test('randomFeasibleTeams meets every rule, or returns null when none can', () => {
+  const bound = bindConstraints({ together: [['Anish', 'Juan']], apart: [['Anish', 'Kevin']] }, NAMES, TWO_BY_THREE);
+  for (let i = 0; i < 20; i++) {
+    const teams = randomFeasibleTeams(NAMES, TWO_BY_THREE, bound);
+    assert.strictEqual(countViolations(teams, bound), 0);
+    assert.deepStrictEqual(teams.map(team => team.length), [3, 3]);
+  }
+  const impossible = { together: [], apart: [['Anish', 'Juan'], ['Juan', 'Kevin'], ['Kevin', 'Anish']], spread: [] };
+  assert.strictEqual(randomFeasibleTeams(NAMES, TWO_BY_THREE, impossible), null);
+});
+
+test('repairTeams fixes a split and keeps it balanced', () => {
+  const bound = { together: [['Anish', 'Juan']], apart: [], spread: [] };
+  const teams = repairTeams([['Anish', 'Simon', 'Rajesh'], ['Juan', 'Kevin', 'Pedro']], bound, RATINGS, TWO_BY_THREE);
+  assert.strictEqual(countViolations(teams, bound), 0);
+  assert.strictEqual(teamOf(teams, 'Anish'), teamOf(teams, 'Juan'));
+  const sums = teams.map(team => team.reduce((s, n) => s + RATINGS.get(n), 0));
+  assert.strictEqual(Math.abs(sums[0] - sums[1]), 3); // Anish+Juan+Pedro 21 vs 18: the best the pair allows
+});
+
+test('repairTeams returns null when no split meets the rules', () => {
+  const impossible = { together: [], apart: [['Anish', 'Juan'], ['Juan', 'Kevin'], ['Kevin', 'Anish']], spread: [] };
+  assert.strictEqual(repairTeams([['Anish', 'Juan', 'Kevin'], ['Simon', 'Rajesh', 'Pedro']], impossible, RATINGS, TWO_BY_THREE), null);
+});
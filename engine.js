@@ -0,0 +1,2233 @@
+// engine.js
+// Futsal bot core: commands in, replies out — team balancer (3x5 by default) + snake draft +
+// Bibs tracker + Tutorial with language detection. Knows nothing about WhatsApp or Telegram;
+// transports (whatsapp.js, telegram.js, httpapi.js, repl.js) feed it messages.
+//
+// A transport is { sendText(to, text), sendButtons(to, text, buttons: [{ id, title }]),
+// sendList(to, text, button, rows: [{ id, title, description? }]), sendImage?(to, png, caption?) }
+// (all return promises; without sendImage the teams poster is left out).
+// Inbound messages are normalized to (a pressed button or menu row is a 'button'):
+//   { from, id, type: 'text', text }  |  { from, id, type: 'button', buttonId }  |  { from, id, type: 'other' }
+// where from is a stable per-chat id (WhatsApp: phone digits, Telegram: "tg:<chat id>", ...),
+// plus author: { id, name? } for the person who wrote it (differs from from in group chats).
+// Transports that can message people unprompted (signup promotions) call registerTransport().
+//
+// Features:
+// - random mode, snake (rated or ranked)
+// - any match format via "teams 4x5:" / "snake 2x6:" (2–8 teams; default 3x5)
+// - extra signups beyond the format go on a waiting list, or rotate as subs with "teams subs:"
+// - vertical color blocks + an options menu under each teams message (a WhatsApp list): shuffle, swap two
+//   players, lock the lineup, show ratings, change format; fix-it buttons on roster problems ("Make 3x4")
+// - Hand edits: "swap Kevin Simon", "move Anish to blue", "lock" (the locked lineup is the one history,
+//   results and the bibs games count go by)
+// - Teams poster (poster.js): a PNG of the colored columns, totals and "Bibs next" sent with each teams
+//   message ("set poster off"; TEAM_POSTER env is the default)
+// - balanced initial snake + non-repeating balanced shuffles (tier/tie shuffling)
+// - team rating totals toggle ("set totals off"; SHOW_TOTALS env is the default) (with decimal support)
+// - Decimal ratings supported (e.g., 7.5 or 7,5)
+// - Bibs tracker with idempotent & anti-repeat logic; dated ledger (bibs.js) with "bibs undo", "bibs set", "bibs add"
+// - Fair bibs rotation: fewest washes per game attended; guests skipped; "bibs off Kevin 2w" / "bibs on"
+// - First-time tutorial & Help in the sender's language (langdetect.js: script + trigram scores; asks with
+//   buttons when unsure) and manual override via "lang en|es|ne|pt|hi"
+// - Every reply comes from the message catalog (i18n.js, locales/): English, Spanish, Nepali, Portuguese, Hindi
+// - Per-group settings (settings.js): "set order random|alpha|pick" (within-team display order, default
+//   TEAM_LIST_ORDER env), "set colors green,white,black", "set signoff "Vamos!"", "settings"
+// - Player registry (players.json): stored ratings/aliases/positions via "rate", "alias", "pos", "players";
+//   a plain pasted list where everyone has a stored rating is snake-drafted with those ratings
+// - Canonical names: aliases and stored spellings everywhere; near misses ("Ahsutosh", "ashu") get a
+//   "Did you mean …?" question with buttons, and the answer is saved as an alias or a new player
+// - Match results ("result yellow 3 blue 2") with per-night tables and Elo-style rating updates
+// - "balance:" mode: partition search for the most even totals, reporting distance from the best split
+// - Keep-together / keep-apart rules in the roster ("pair: A+B", "apart: C, D", "(GK)" tags)
+// - Role tags (GK)/(DEF)/(ATT) or stored positions; "roles:" spreads every role evenly, then balances
+// - Lineup history (lineups.json); random and snake splits avoid repeating recent teammate pairs
+// - All state (bibs, registry, results, languages, shuffle state, idempotency) in storage.js: JSON or SQLite
+// - Per-sender rate limit
+// - Game signups (signup.js): "open Monday 20:00 15", players reply "in" / "out" / "in +1",
+//   waiting list with automatic promotion, "make teams" from the confirmed list
+// - Weekly game ("schedule Monday 20:00 Europe/Madrid 15", scheduler.js): signups open, reminders,
+//   cutoff and teams sent automatically; survives restarts
+// - Guests ("Kevin+1", "Kevin's friend") linked to their host: same team (or apart, GUEST_TEAM), never on
+//   bibs duty or in the registry, optional default rating (GUEST_RATING)
+// - Groups (groups.js): "group new/join/leave", each with its own data and organisers; commands that
+//   change shared data (ORGANISER_COMMANDS) are for organisers once a group has any
+//
+// Env (optional): SHOW_TOTALS (default '1' → show), TEAM_LIST_ORDER, TEAM_POSTER (default '1' → send)
+//                 (defaults for "set totals" / "set order" / "set poster"), RATE_LIMIT_PER_MINUTE (default 20),
+//                 GUEST_TEAM (same|apart|any, default same), GUEST_RATING (rating for unrated guests),
+//                 plus the storage/registry/results/history/schedule settings read by those modules
+
+const storage = require('./storage');
+const { normalizeNameKey, guestHost, isGuestName } = require('./names');
+const {
+  POSITIONS, getPlayer, setRating, setPosition, addAlias, registerName, removePlayer, listPlayers, getStoredRatings,
+  nameResolver, matchName
+} = require('./players');
+const { recordResult, undoLastResult, lastNight, standings } = require('./results');
+const {
+  recordWash, addWash, setCount, undoLast, getBibsCount, getLastWasherKey, bibsCounts, bibsSummary, recentEntries,
+  setOptOut, clearOptOut, activeOptOuts
+} = require('./bibs');
+const {
+  teamKey, computeTeamSums, balanceScore, searchBalancedSplits, chooseBalancedSplit
+} = require('./balancer');
+const {
+  extractConstraintLines, hasConstraints, bindConstraints, countViolations, randomFeasibleTeams,
+  searchFeasibleTeams, repairTeams
+} = require('./constraints');
+const { startSession, addGenerated, confirmLineup, recentPairCounts, repeatedPairs, appearances } = require('./history');
+const {
+  MAX_GUESTS, currentGame, openGame, closeGame, join, leave, splitSpots, capacity, rememberedName, rememberName
+} = require('./signup');
+const {
+  WEEKDAYS, parseWeekday, isValidTimeZone, getSchedule, setSchedule, clearSchedule, stageTimes, startScheduler
+} = require('./scheduler');
+const { maskPhone, createRateLimiter } = require('./security');
+const { LANGUAGES, isLanguage, t, listOf } = require('./i18n');
+const { detectLanguage } = require('./langdetect');
+const { renderPoster } = require('./poster');
+const { ORDERS, MAX_SIGNOFF, getSettings, customSettings, updateSetting, resetSettings } = require('./settings');
+const {
+  personId, getGroup, groupOf, groupIds, createGroup, joinGroup, leaveGroup, roleOf, canOrganise, canAdmin, setRole
+} = require('./groups');
+
+// ---------- Config ----------
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '20', 10);
+const GUEST_TEAM        = (process.env.GUEST_TEAM || 'same').toLowerCase(); // guests vs their host: same|apart|any
+const GUEST_RATING      = process.env.GUEST_RATING ? parseFloat(String(process.env.GUEST_RATING).replace(',', '.')) : NaN;
+
+// Commands only a group's organisers may use (groups.js); everyone may while a group has none
+const ORGANISER_COMMANDS = [
+  /^(rate|alias|pos|position|forget)\b/i,
+  /^result\s+\S/i,             // "result yellow 3 blue 2", "result undo" ("results" is for everyone)
+  /^bibs\s+(undo|set|add)\b/i,
+  /^(open|close|make\s+teams)\b/i,
+  /^(lock$|(swap|move)\s+\S)/i,  // hand edits to the last teams
+  /^schedule\s+\S/i,           // changing it ("schedule" alone shows it)
+  /^(set\s|settings\s+reset$)/i
+];
+
+// Menu under every teams message, in the chat's language; each transport renders it its own way
+// (WhatsApp: a list message). Rows that don't apply to this lineup are left out.
+function teamsMenu(prior, lang = 'en') {
+  return [
+    { id: 'shuffle', title: t(lang, 'buttons.shuffle'), description: t(lang, 'menu.shuffleInfo') },
+    { id: 'swap', title: t(lang, 'menu.swap'), description: t(lang, 'menu.swapInfo') },
+    (!prior.locked || prior.locked.key !== prior.lastKey) && { id: 'lock', title: t(lang, 'menu.lock'), description: t(lang, 'menu.lockInfo') },
+    lineupRatings(prior) && { id: 'ratings', title: t(lang, 'menu.ratings'), description: t(lang, 'menu.ratingsInfo') },
+    { id: 'format', title: t(lang, 'menu.format'), description: t(lang, 'menu.formatInfo') },
+    { id: 'bibs_history', title: t(lang, 'buttons.bibsHistory'), description: t(lang, 'menu.bibsHistoryInfo') },
+    { id: 'help', title: t(lang, 'buttons.help'), description: t(lang, 'menu.helpInfo') }
+  ].filter(Boolean);
+}
+
+// ---------- Transports ----------
+// Sender ids carry their channel as a prefix ("tg:123"); bare digits are WhatsApp numbers.
+const CHANNEL_PREFIXES = { tg: 'telegram', cli: 'repl', api: 'http' };
+const transports = new Map(); // channel -> transport
+
+function registerTransport(channel, transport) {
+  transports.set(channel, transport);
+}
+function channelOf(id) {
+  const m = String(id).match(/^([a-z]+):/);
+  return (m && CHANNEL_PREFIXES[m[1]]) || 'whatsapp';
+}
+// Message someone who didn't just write to us (e.g. a waitlist promotion).
+async function pushText(to, text) {
+  const transport = transports.get(channelOf(to));
+  if (!transport) {
+    console.warn(`[PUSH] No ${channelOf(to)} transport to reach ${maskPhone(to)}`);
+    return;
+  }
+  return transport.sendText(to, text);
+}
+
+// Flood control: messages per sender per minute (beyond that they're dropped)
+const senderLimiter = createRateLimiter({ limit: RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 });
+
+// Idempotency: avoid double-incrementing bibs on webhook retries (survives restarts)
+const processedMessageIds = storage.persistentSet('state.processed', { max: 5000 });
+
+// Memory: first-time tutorial + language preference (persisted via storage.js)
+const shownTutorialUsers = storage.persistentSet('state.tutorial');  // sender id → shown?
+const userLangPref = storage.persistentMap('state.lang');            // sender id → 'en'|'es'|'ne'|'pt'|'hi' (i18n.js)
+
+// ---------- Tiny memory for "Shuffle again" ----------
+/**
+ * lastRosterByUser maps sender id (see above) ->
+ *   { mode: 'random'|'snake'|'snake_order'|'balanced'|'roles',
+ *     players: string[]                         // random, snake_order or unrated roles
+ *            | {name:string, rating:number}[],  // snake / balanced / rated roles, DESC by rating
+ *     format: { teams:number, size:number },    // e.g. 3x5
+ *     extras?: string[],                        // signups beyond the format, in signup order
+ *     extrasMode?: 'waitlist'|'subs',
+ *     lastKey?: string,                         // last composition signature
+ *     lastTeams?: string[][],                   // last composition as sent (index = color slot)
+ *     lastSubs?: string[][] | null,             // rotating subs per team for lastTeams
+ *     seenKeys?: Set<string>,                   // all compositions sent for this roster
+ *     bibsNext?: { name, washes, games, tied }, // cached assignment for next wash (stable across shuffles)
+ *     ratingMap?: Map<string, number>           // for totals rendering on shuffles (null for unrated roles)
+ *     search?: object                           // balanced: searchBalancedSplits() result, reused on shuffles
+ *     constraints?: { together, apart, spread } | null  // bound rules (see constraints.js)
+ *     roles?: Map<string, string>               // name -> 'GK'|'DEF'|'ATT', shown beside names
+ *     sessionId?: string                        // lineup history session (see history.js)
+ *     locked?: { key, teams, subs }             // lineup locked as tonight's ("lock"): history, results, bibs
+ *     awaiting?: 'swap'                         // next message names two players to swap (menu "Swap")
+ *   }
+ * Persisted (storage.js) so "Shuffle again" still works after a restart; search is rebuilt on demand.
+ */
+const lastRosterByUser = storage.persistentMap('state.rosters', { transient: ['search'], perGroup: true });
+
+// Roster waiting on a "Did you mean …?" answer: sender id → { text, msgId, author, typed, suggestions }
+const pendingNameChecks = storage.persistentMap('state.names', { perGroup: true });
+
+// Tutorial waiting on a "Which language?" answer: sender id → { found } (see sendTutorial)
+const pendingLanguageQuestions = storage.persistentMap('state.langask');
+
+// Last list pasted, for the buttons that run it again another way ("Make 3x4", "Ignore the rules",
+// "Change format"): sender id → { text, msgId, author }
+const lastListByUser = storage.persistentMap('state.lists', { perGroup: true });
+
+// ---------- Helpers: team formatting ----------
+// Palette is assigned in order, so the classic 3x5 night stays yellow/blue/red.
+const EMOJIS = ['🟡','🔵','🔴','🟢','⚪','⚫','🟠','🟣'];
+const COLOR_KEYS = ['yellow','blue','red','green','white','black','orange','purple']; // "color.<key>" in the catalog
+
+// ---------- Match format (teams × players per team) ----------
+const DEFAULT_FORMAT = { teams: 3, size: 5 };
+const MIN_TEAMS = 2;
+const MAX_TEAMS = EMOJIS.length;
+const MAX_TEAM_SIZE = 11;
+
+// "4x5", "2 x 6", "3×5" -> { teams, size }; null when malformed or out of range.
+function parseFormatSpec(spec) {
+  const m = String(spec || '').trim().match(/^(\d{1,2})\s*[x×]\s*(\d{1,2})$/i);
+  if (!m) return null;
+  const teams = parseInt(m[1], 10);
+  const size = parseInt(m[2], 10);
+  if (teams < MIN_TEAMS || teams > MAX_TEAMS || size < 1 || size > MAX_TEAM_SIZE) return null;
+  return { teams, size };
+}
+function formatTotal(format) {
+  return format.teams * format.size;
+}
+function formatLabel(format) {
+  return `${format.teams}x${format.size}`;
+}
+// Player count -> format: five-a-side when it divides (20 -> 4x5), else three teams (12 -> 3x4),
+// else two (14 -> 2x7); null when nothing fits.
+function formatForCount(n) {
+  const candidates = [{ teams: n / 5, size: 5 }, { teams: 3, size: n / 3 }, { teams: 2, size: n / 2 }];
+  return candidates.find(f => Number.isInteger(f.teams) && Number.isInteger(f.size) &&
+    f.teams >= MIN_TEAMS && f.teams <= MAX_TEAMS && f.size >= 1 && f.size <= MAX_TEAM_SIZE) || null;
+}
+// Formats count names could play instead of current: for each number of teams the biggest teams
+// it fills (at least 3-a-side); fewest left over first, then closest to five-a-side.
+function formatChoices(count, current = null) {
+  const choices = [];
+  for (let teams = MIN_TEAMS; teams <= MAX_TEAMS; teams++) {
+    const size = Math.min(MAX_TEAM_SIZE, Math.floor(count / teams));
+    if (size < 3) break;
+    if (!current || current.teams !== teams || current.size !== size) choices.push({ teams, size });
+  }
+  return choices.sort((a, b) => (formatTotal(b) - formatTotal(a)) || (Math.abs(a.size - 5) - Math.abs(b.size - 5)));
+}
+// Buttons under "I found N names…": the two formats that fit best ("Make 3x4"), then Help.
+function formatFixes(count, lang = 'en', current = null) {
+  return formatChoices(count, current).slice(0, 2)
+    .map(f => ({ id: `format:${formatLabel(f)}`, title: t(lang, 'fix.format', { format: formatLabel(f) }) }))
+    .concat([{ id: 'help', title: t(lang, 'buttons.help') }]);
+}
+
+// "green" / "VERDE" / "हरियो" (any language) -> palette index; -1 when the palette doesn't have it
+function paletteIndex(word) {
+  const w = String(word || '').trim().toLowerCase();
+  for (const lang of LANGUAGES) {
+    const i = COLOR_KEYS.findIndex(key => t(lang, `color.${key}`).toLowerCase() === w);
+    if (i >= 0) return i;
+  }
+  return -1;
+}
+// Team slots -> [{ emoji, name }]: the group's "set colors" first, then the rest of the palette
+function teamColors(lang = 'en') {
+  const palette = COLOR_KEYS.map(key => t(lang, `color.${key}`));
+  const custom = (getSettings().colors || []).map(name => {
+    const i = paletteIndex(name);
+    return { emoji: i >= 0 ? EMOJIS[i] : '🎽', name };
+  });
+  const used = new Set(custom.map(c => c.emoji));
+  const rest = EMOJIS.map((emoji, i) => ({ emoji, name: palette[i] })).filter(c => !used.has(c.emoji));
+  return custom.concat(rest).slice(0, EMOJIS.length);
+}
+// "yellow" / "AMARILLO" / "🟡" (or a "set colors" name) -> team slot index; -1 when unknown
+function parseTeamColor(word) {
+  const colors = teamColors();
+  const w = String(word || '').trim();
+  const byName = colors.findIndex(c => c.name.toLowerCase() === w.toLowerCase());
+  if (byName >= 0) return byName;
+  const i = paletteIndex(w);
+  return colors.findIndex(c => c.emoji === (i >= 0 ? EMOJIS[i] : w));
+}
+function teamLabel(i, lang = 'en') {
+  const color = teamColors(lang)[i];
+  return `${color.emoji} ${color.name}`;
+}
+
+// ---------- Display helpers ----------
+function capWord(w) {
+  if (!w) return w;
+  return w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+}
+function titleCaseName(name) {
+  if (!name) return name;
+  // Title-case by spaces and hyphens, leave other punctuation intact
+  return name.split(' ').map(part =>
+    part.split('-').map(capWord).join('-')
+  ).join(' ');
+}
+// "2024-05-06T19:02:11Z" -> "6 May" (in lang)
+function formatDay(iso, lang = 'en') {
+  return new Intl.DateTimeFormat(lang === 'en' ? 'en-GB' : lang, { day: 'numeric', month: 'short' }).format(new Date(iso));
+}
+function formatRating(x) {
+  return Number.isFinite(x) ? (Number.isInteger(x) ? String(x) : x.toFixed(1)) : '';
+}
+function formatTeamsBlocks(teams, totals, bibsNext, bibsTakenNote, lang = 'en', extras = {}) {
+  // teams = [ [names], [names], ... ] — one entry per team, any format
+  // extras = { subs?: string[][] (per team), waitlist?: string[] } — see placeExtras()
+  //          + balance?: { spread, best, exact } — see balanceReport()
+  //          + roles?: Map<name, 'GK'|'DEF'|'ATT'> — see rosterRoles()
+  const fmt = formatRating;
+  const settings = getSettings(); // "set order", "set colors", "set signoff" (settings.js)
+  const colors = teamColors(lang);
+  const orderWithinTeam = (arr) => {
+    if (settings.order === 'alpha') return arr.slice().sort((a,b)=>a.localeCompare(b));
+    if (settings.order === 'pick')  return arr.slice(); // keep pick order
+    // default: random per response to avoid implied ranking
+    const a = arr.slice();
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+  };
+  const blocks = teams.map((team, i) => {
+    const header = `${colors[i].emoji}  ${colors[i].name}`;
+    const role   = (n) => (extras.roles && extras.roles.get(n) ? ` (${extras.roles.get(n)})` : '');
+    const body   = orderWithinTeam(team).map(n => `• ${titleCaseName(n)}${role(n)}`).join('\n');
+    const subs   = (extras.subs && extras.subs[i]) || [];
+    const subsLine = subs.length ? `\n${t(lang, 'teams.sub', { names: subs.map(titleCaseName).join(', ') })}` : '';
+    const tail   = Array.isArray(totals) ? `\n${t(lang, 'teams.total', { total: fmt(totals[i]) })}` : '';
+    return `${header}\n${body}${subsLine}${tail}`;
+  });
+  const balanceLine = extras.balance
+    ? `\n\n${t(lang, extras.balance.exact ? 'teams.spreadBest' : 'teams.spreadFound', { spread: fmt(extras.balance.spread), best: fmt(extras.balance.best) })}`
+    : '';
+  const waitlist = extras.waitlist || [];
+  const waitLine = waitlist.length
+    ? `\n\n${t(lang, 'teams.waitlist')}\n${waitlist.map((n, i) => `${i + 1}. ${titleCaseName(n)}`).join('\n')}`
+    : '';
+  const bibs = typeof bibsNext === 'string' ? { name: bibsNext } : bibsNext; // older saved state: just the name
+  const why = bibs && bibsReason(bibs, lang);
+  const bibsLine = bibs ? `\n${t(lang, why ? 'teams.bibsNextWhy' : 'teams.bibsNext', { name: titleCaseName(bibs.name), why })}` : '';
+  const takenLine = bibsTakenNote ? `\n${t(lang, 'teams.bibsRecorded', { names: bibsTakenNote })}` : '';
+  const signoff = settings.signoff === null ? t(lang, 'teams.signoff') : settings.signoff;
+  return `${t(lang, 'teams.title')}\n\n${blocks.join('\n\n')}${balanceLine}${waitLine}${bibsLine}${takenLine}${signoff ? `\n\n${signoff}` : ''}`;
+}
+
+// ---------- Language detection & tutorial ----------
+/**
+ * The tutorial for someone we haven't talked to, in the language of what they wrote
+ * (langdetect.js). When the guess isn't sure, asks first with a button per likely language
+ * and sends the tutorial once they pick (the lang:<code> buttons).
+ * found = { count, total, format } puts "I found N names…" on top.
+ */
+async function sendTutorial(from, text, transport, found = null) {
+  let lang = userLangPref.get(from);
+  if (!lang) {
+    const guess = detectLanguage(text);
+    if (!guess.sure) {
+      const options = guess.candidates.slice(0, 3); // WhatsApp shows up to 3 buttons
+      pendingLanguageQuestions.set(from, { found });
+      await transport.sendButtons(from, options.map(l => t(l, 'lang.ask')).join('\n'),
+        options.map(l => ({ id: `lang:${l}`, title: t(l, 'lang.name') })));
+      return;
+    }
+    lang = guess.lang;
+    userLangPref.set(from, lang);
+  }
+  const hint = found ? `${t(lang, 'roster.found', found)}\n\n` : '';
+  await transport.sendText(from, hint + tutorialText(lang));
+}
+
+// Sample rosters quoted in the tutorial and the usage replies
+const EXAMPLES = {
+  random: 'teams: Rajesh, Anish, Juan, Kunal, Nami, Ashutosh, Apoorva, Andreas, Elias, Anjal, Saugat, Simon, Kevin, Amrit, Ashutosh+1',
+  snake: 'snake:\n1. Rajesh (bibs) 7\n' +
+    ['Anish', 'Juan', 'Kunal', 'Nami', 'Ashutosh', 'Apoorva', 'Andreas', 'Elias', 'Anjal', 'Saugat', 'Simon', 'Kevin', 'Amrit', 'Ashutosh+1']
+      .map((name, i) => `${i + 2}. ${name} 7`).join('\n'),
+  rated: 'Rajesh 9.0, Anish 8.5, Juan 8, Kunal 7, 97 7, Sam 7, Pranab 6.5, Andreas 6, Elias 6, Anjal 6, Saugat 5, Simon 5, Kevin 5, Amrit 4.5, Nami 3',
+  roles: 'roles: Rajesh (GK) 9, Anish (DEF) 8.5, Juan (ATT) 8, Kunal (GK) 7, Ashutosh (DEF) 7, Sam 7, Pranab (GK) 6.5, Andreas (DEF) 6, Elias 6, Anjal 6, Saugat (ATT) 5, Simon 5, Kevin 5, Amrit 4.5, Nami 3',
+  ranked: 'snake:\n' + ['Rajesh', 'Anish', 'Juan', 'Kunal', '97', 'Sam', 'Pranab', 'Andreas', 'Elias', 'Anjal', 'Saugat', 'Simon', 'Kevin', 'Amrit', 'Nami']
+    .map((name, i) => `${i + 1}.${name}`).join('\n')
+};
+
+function tutorialText(lang = 'en') {
+  return t(lang, 'tutorial', {
+    randomExample: EXAMPLES.random,
+    snakeExample: EXAMPLES.snake,
+    languages: listOf(lang, LANGUAGES.map(l => `"lang ${l}"`), 'disjunction')
+  });
+}
+
+// ---------- Helpers: team making ----------
+function shuffle(array) {
+  const a = array.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function makeTeamsRandom(players, format = DEFAULT_FORMAT) {
+  const s = shuffle(players);
+  const teams = [];
+  for (let t = 0; t < format.teams; t++) {
+    teams.push(s.slice(t * format.size, (t + 1) * format.size));
+  }
+  return teams;
+}
+
+// Build a snake order with a chosen start team and optional reversed first round.
+// One round = one pick per team; there are as many rounds as players per team.
+function buildSnakeOrder(format = DEFAULT_FORMAT, startTeam = 0, reverseFirstRound = false) {
+  const forwardSeq = Array.from({ length: format.teams }, (_, t) => t);
+  const backwardSeq = forwardSeq.slice().reverse();
+  const order = [];
+  for (let r = 0; r < format.size; r++) {
+    const forward = ((r % 2) === 0) ^ reverseFirstRound ? 1 : 0; // XOR
+    const seq = forward ? forwardSeq : backwardSeq;
+    for (const t of seq) order.push((t + startTeam) % format.teams);
+  }
+  return order;
+}
+
+function makeTeamsSnakeWithOrder(sortedStrongToWeakNames, format = DEFAULT_FORMAT, startTeam = 0, reverseFirstRound = false) {
+  const order = buildSnakeOrder(format, startTeam, reverseFirstRound);
+  const out = Array.from({ length: format.teams }, () => []);
+  for (let i = 0; i < order.length; i++) {
+    out[order[i]].push(sortedStrongToWeakNames[i]);
+  }
+  return out;
+}
+
+// ---- Extra signups: waiting list or rotating subs ----
+// Subs go to the team with the fewest subs so far; ties → lowest rating total (when rated), else random.
+function assignSubs(teams, extras, ratingMap) {
+  const subs = teams.map(() => []);
+  const sums = ratingMap ? computeTeamSums(teams, ratingMap) : teams.map(() => 0);
+  const ordered = ratingMap
+    ? extras.slice().sort((a, b) => (ratingMap.get(b) || 0) - (ratingMap.get(a) || 0))
+    : shuffle(extras);
+  for (const name of ordered) {
+    const candidates = shuffle(teams.map((_, i) => i));
+    candidates.sort((a, b) => (subs[a].length - subs[b].length) || (sums[a] - sums[b]));
+    const t = candidates[0];
+    subs[t].push(name);
+    sums[t] += ratingMap ? (ratingMap.get(name) || 0) : 0;
+  }
+  return subs;
+}
+function placeExtras(teams, extras, extrasMode, ratingMap) {
+  if (!extras || !extras.length) return {};
+  if (extrasMode === 'subs') return { subs: assignSubs(teams, extras, ratingMap) };
+  return { waitlist: extras.slice() };
+}
+
+// ---- Balanced mode: how close a split is to the best one ----
+function balanceReport(choice, search) {
+  const round2 = (x) => Math.round(x * 100) / 100;
+  return { spread: round2(choice.spread), best: round2(search.best.spread), exact: search.exhaustive };
+}
+
+// ---- Tier / tie shuffling to change compositions while keeping balance ----
+function shuffleWithinEqualRatings(ratedPlayersDesc) {
+  const out = [];
+  let i = 0;
+  while (i < ratedPlayersDesc.length) {
+    const r = ratedPlayersDesc[i].rating;
+    const group = [];
+    while (i < ratedPlayersDesc.length && ratedPlayersDesc[i].rating === r) {
+      group.push(ratedPlayersDesc[i]);
+      i++;
+    }
+    const g = shuffle(group);
+    out.push(...g);
+  }
+  return out;
+}
+// Shuffle within each snake round (one tier = one pick per team).
+function tierShuffleNames(names, teamCount = DEFAULT_FORMAT.teams) {
+  const out = [];
+  for (let i = 0; i < names.length; i += teamCount) {
+    const chunk = names.slice(i, i + teamCount);
+    out.push(...shuffle(chunk));
+  }
+  return out;
+}
+function bestBalancedSnakeForOrder(sortedNames, ratingMap, format = DEFAULT_FORMAT) {
+  let best = null;
+  for (let startTeam = 0; startTeam < format.teams; startTeam++) {
+    for (const reverseFirst of [false, true]) {
+      const teams = makeTeamsSnakeWithOrder(sortedNames, format, startTeam, reverseFirst);
+      const key = teamKey(teams);
+      const { spread, variance, sums } = balanceScore(teams, ratingMap);
+      const cand = { teams, key, spread, variance, sums, startTeam, reverseFirst };
+      if (!best || cand.spread < best.spread || (cand.spread === best.spread && cand.variance < best.variance)) {
+        best = cand;
+      }
+    }
+  }
+  return best;
+}
+// ---- Pair / apart rules on top of any generator ----
+// Fix rule violations in a generated choice, repairing from start (a split that meets the
+// rules) when swaps alone can't. Null when that fails too: the rules are never broken silently.
+function constrainChoice(choice, constraints, ratingMap, format, start = null) {
+  if (!constraints || countViolations(choice.teams, constraints) === 0) return choice;
+  const teams = repairTeams(choice.teams, constraints, ratingMap, format, start);
+  if (!teams) return null;
+  return { ...choice, teams, key: teamKey(teams), ...(ratingMap ? balanceScore(teams, ratingMap) : {}) };
+}
+// Balanced search narrowed to rule-abiding splits (repairing the best split when none
+// qualify); null when the repair fails (see constrainChoice).
+function constrainSearch(search, constraints, ratingMap, format, start = null) {
+  if (!constraints) return search;
+  const ok = search.candidates.filter(c => countViolations(c.teams, constraints) === 0);
+  if (ok.length) return { best: ok[0], candidates: ok, exhaustive: search.exhaustive };
+  const fixed = constrainChoice(search.best, constraints, ratingMap, format, start);
+  return fixed && { best: fixed, candidates: [fixed], exhaustive: false };
+}
+
+// ---- Freshness: fewer teammate pairs repeated from recent sessions (see history.js) ----
+const FRESHNESS_TRIES = 200;
+const FRESHNESS_SPREAD_SLACK = 0.5; // extra rating spread accepted for fresher snake teams
+
+// Random splits from generate(); the one repeating the fewest recent pairs wins.
+function freshestRandomTeams(generate, pairCounts) {
+  if (!pairCounts || !pairCounts.size) return generate();
+  let best = null;
+  for (let a = 0; a < FRESHNESS_TRIES && !(best && best.repeats === 0); a++) {
+    const teams = generate();
+    if (!teams) break;
+    const repeats = repeatedPairs(teams, pairCounts);
+    if (!best || repeats < best.repeats) best = { teams, repeats };
+  }
+  return best ? best.teams : null;
+}
+// Snake splits over tier-shuffled orders; among the (near-)best balanced ones not sent yet,
+// the one repeating the fewest recent pairs wins.
+function freshestBalancedSnake(sortedNamesBase, ratingMap, format, pairCounts, seenKeys = new Set(), attempts = 60) {
+  const candidates = [bestBalancedSnakeForOrder(sortedNamesBase, ratingMap, format)];
+  for (let a = 0; a < attempts; a++) {
+    candidates.push(bestBalancedSnakeForOrder(tierShuffleNames(sortedNamesBase, format.teams), ratingMap, format));
+  }
+  const unseen = candidates.filter(c => !seenKeys.has(c.key));
+  const pool = unseen.length ? unseen : candidates;
+  const minSpread = Math.min(...pool.map(c => c.spread));
+  return pool
+    .filter(c => c.spread <= minSpread + FRESHNESS_SPREAD_SLACK)
+    .map(c => ({ ...c, repeats: repeatedPairs(c.teams, pairCounts) }))
+    .sort((x, y) => (x.repeats - y.repeats) || (x.spread - y.spread) || (x.variance - y.variance))[0];
+}
+
+function chooseNewBalancedSnake(sortedNamesBase, ratingMap, seenKeys, format = DEFAULT_FORMAT, attempts = 60) {
+  for (let a = 0; a < attempts; a++) {
+    let candidateOrder = sortedNamesBase;
+    if (Math.random() < 0.5) candidateOrder = tierShuffleNames(candidateOrder, format.teams);
+    const best = bestBalancedSnakeForOrder(candidateOrder, ratingMap, format);
+    if (!seenKeys.has(best.key)) return best;
+  }
+  return bestBalancedSnakeForOrder(sortedNamesBase, ratingMap, format);
+}
+
+// ---- One lineup in any mode, for a new roster or "Shuffle again" ----
+/**
+ * Teams for mode ('random' | 'roles' | 'balanced' | 'snake' | 'snake_order') from the playing
+ * names (strongest first for the snakes). Options: format; ratingMap (roles/balanced/snakes;
+ * snake_order's are its synthetic ones); constraints (bound rules, or null); start (a split
+ * known to meet them); pairCounts (recent teammate pairs, see history.js); seenKeys (lineups
+ * already sent: empty for a new roster, else this is a shuffle and looks for a new one);
+ * search (balanced: the search of an earlier shuffle, reused).
+ * Returns { teams, key, choice?, search? } (balanced: the choice and search behind it), or
+ * null when the rules can't be met: only without a start, i.e. on a shuffle.
+ */
+function generateLineup(mode, names, {
+  format, ratingMap = null, constraints = null, start = null, pairCounts = new Map(), seenKeys = new Set(), search = null
+}) {
+  const again = seenKeys.size > 0;
+  if (mode === 'random') {
+    const teams = freshestRandomTeams(() => (constraints
+      ? randomFeasibleTeams(names, format, constraints)
+      : makeTeamsRandom(names, format)), pairCounts) || start;
+    return teams && { teams, key: teamKey(teams) };
+  }
+  if (mode === 'roles') {
+    const bound = constraints || { together: [], apart: [], spread: [] }; // no rules: can't fail
+    const teams = searchFeasibleTeams(names, format, bound, ratingMap, seenKeys) || start;
+    return teams && { teams, key: teamKey(teams) };
+  }
+  if (mode === 'balanced') {
+    const found = search || constrainSearch(searchBalancedSplits(names, ratingMap, format), constraints, ratingMap, format, start);
+    if (!found) return null;
+    const choice = again ? chooseBalancedSplit(found, seenKeys) : found.best;
+    return { teams: choice.teams, key: choice.key, choice, search: found };
+  }
+  // Snakes: the best balanced snake (new roster) or a new balanced composition via tier/tie shuffling
+  const choice = constrainChoice(
+    pairCounts.size
+      ? freshestBalancedSnake(names, ratingMap, format, pairCounts, seenKeys, again ? 80 : 60)
+      : again
+        ? chooseNewBalancedSnake(names, ratingMap, seenKeys, format, 80)
+        : bestBalancedSnakeForOrder(names, ratingMap, format),
+    constraints, ratingMap, format, start
+  );
+  return choice && { teams: choice.teams, key: choice.key };
+}
+
+// ---------- Helpers: parsing ----------
+/**
+ * parseRoster(raw) detects either:
+ *  - random roster of names (free-form; supports numbered lines, "teams: a, b, ...")
+ *  - snake roster (ranked), using numbers after names (no parentheses), e.g. "Rajesh 9" or "Rajesh 9.5"
+ *  - snake roster (ranked), using order only after "snake:" prefix (no ratings)
+ *
+ * The command head may carry a format: "teams 4x5:", "snake 2x6:" or just "4x5:".
+ * Without one the roster is for DEFAULT_FORMAT (3x5); formatOverride (a "Make 3x4" button)
+ * beats both. Adding "subs" to the head
+ * ("teams subs:", "snake 3x5 subs:") turns extra signups into rotating subs
+ * instead of a waiting list.
+ *
+ * Returns:
+ *  { mode: 'random', players: string[], extras: string[], extrasMode, bibsTagged: string[], format }
+ *  OR
+ *  { mode: 'snake', players: {name:string, rating:number}[], extras: {name, rating}[], extrasMode, bibsTagged: string[], format }
+ *  OR
+ *  { mode: 'snake_order', players: string[], extras: string[], extrasMode, bibsTagged: string[], format }
+ *
+ * players are the first N signups (N = teams × size), extras the rest in signup order.
+ * command is 'teams' | 'snake' | 'balance' | 'roles' when the head named one, else null (plain pasted list).
+ * A rated "balance:" / "roles:" roster comes back as mode 'snake'; the handler runs the search.
+ *
+ * Every roster also carries constraints: { together: string[][], apart: string[][] } from
+ * "pair:" / "apart:" lines, and roleTags: { name: 'GK'|'DEF'|'ATT' } from "(GK)"-style tags.
+ *
+ * An unsupported format (e.g. "teams 9x5:") yields an empty random roster with formatError set.
+ */
+function parseRoster(raw, formatOverride = null) {
+  if (!raw) return { mode: 'random', players: [], extras: [], extrasMode: 'waitlist', bibsTagged: [], format: DEFAULT_FORMAT, command: null };
+
+  let text = raw
+    .replace(/[\u200B-\u200D\u2060]/g, '') // zero-widths
+    .replace(/\r/g, '')
+    .trim();
+
+  // Rule lines ("pair: A+B", "apart: C, D") are not names
+  const rules = extractConstraintLines(text);
+  text = rules.text.trim();
+  const withRules = (roster) => ({ ...roster, constraints: rules.constraints });
+
+  // Command head: keyword and/or format and/or extras mode, then a colon
+  const head = text.match(/^(snake(?:\s*draft)?|balanced?|teams?|roles|positions)?\s*(\d{1,2}\s*[x×]\s*\d{1,2})?\s*(subs|waitlist)?\s*:\s*([\s\S]+)$/i);
+  if (head && (head[1] || head[2] || head[3])) {
+    const command = head[1]
+      ? (/^snake/i.test(head[1]) ? 'snake' : /^balance/i.test(head[1]) ? 'balance'
+        : /^(roles|positions)$/i.test(head[1]) ? 'roles' : 'teams')
+      : null;
+    const extrasMode = /^subs$/i.test(head[3] || '') ? 'subs' : 'waitlist';
+    let format = formatOverride || DEFAULT_FORMAT;
+    if (head[2] && !formatOverride) {
+      format = parseFormatSpec(head[2]);
+      if (!format) {
+        return { mode: 'random', players: [], extras: [], extrasMode, bibsTagged: [], format: DEFAULT_FORMAT, command, formatError: head[2].replace(/\s+/g, '') };
+      }
+    }
+    const roster = buildRosterFromItems(splitItems(head[4]), command === 'snake', format, extrasMode);
+    return withRules({ ...roster, command });
+  }
+
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+  return withRules({ ...buildRosterFromItems(lines, false, formatOverride || DEFAULT_FORMAT, 'waitlist'), command: null });
+}
+
+// One item per line; a single line is comma-separated (decimal commas like "7,5" stay intact).
+function splitItems(payload) {
+  let items = payload.split('\n').map(s => s.trim()).filter(Boolean);
+  if (items.length === 1) items = payload.split(/(?<!\d),|,(?!\d)/).map(s => s.trim()).filter(Boolean);
+  return items;
+}
+
+function buildRosterFromItems(items, forcedSnake, format = DEFAULT_FORMAT, extrasMode = 'waitlist') {
+  const plainNames = [];
+  const rated = [];
+  const bibsTagged = [];
+  const roleTags = {};
+  let defaulted = 0; // guests given GUEST_RATING
+
+  for (let raw of items) {
+    let line = raw.trim();
+    if (!line) continue;
+    const hasBibs = /\bbibs\b/i.test(line);
+    const roleTag = line.match(/\(\s*(gk|def|att)\s*\)/i);
+    // strip leading numbering like "1.", "10 -", "3) ", "11) - "
+    line = line.replace(/^\s*\d{1,3}\s*[\.\)\-:]?\s*/, '');
+    // remove anything in parentheses (e.g., "(bibs)") and standalone 'bibs' tokens
+    line = line.replace(/\((?:[^()]*)\)/gi, ' ');
+    line = line.replace(/\bbibs\b/gi, ' ');
+    // collapse multiple spaces; "Kevin + 1" is the guest "Kevin+1", not Kevin rated 1
+    line = line.replace(/\s{2,}/g, ' ').replace(/\s*\+\s*(\d)(?!\d)/g, '+$1').trim();
+
+    // detect trailing rating without parentheses, allow decimals with '.' or ','
+    const ratingMatch = line.match(/^(.+?)\s+(\d{1,2}(?:[.,]\d{1,2})?)$/);
+    if (ratingMatch) {
+      const candidateName = cleanName(ratingMatch[1]);
+      const rating = parseFloat(String(ratingMatch[2]).replace(',', '.'));
+      if (candidateName && Number.isFinite(rating)) {
+        rated.push({ name: candidateName, rating });
+        if (hasBibs) bibsTagged.push(candidateName);
+        if (roleTag) roleTags[candidateName] = roleTag[1].toUpperCase();
+      }
+    } else {
+      const n = cleanName(line);
+      if (n && isGuestName(n) && Number.isFinite(GUEST_RATING)) {
+        // Unrated guest: default rating, in case everyone else is rated
+        rated.push({ name: n, rating: GUEST_RATING });
+        defaulted++;
+        plainNames.push(n);
+        if (hasBibs) bibsTagged.push(n);
+        if (roleTag) roleTags[n] = roleTag[1].toUpperCase();
+      } else if (n) {
+        plainNames.push(n);
+        if (hasBibs) bibsTagged.push(n);
+        if (roleTag) roleTags[n] = roleTag[1].toUpperCase();
+      }
+    }
+  }
+
+  // First N signups play; anyone after that is an extra (waiting list or sub)
+  const total = formatTotal(format);
+
+  if (rated.length === items.length && rated.length > defaulted) {
+    const players = rated.slice(0, total).sort((a, b) => b.rating - a.rating);
+    return { mode: 'snake', players, extras: rated.slice(total), extrasMode, bibsTagged, roleTags, format };
+  }
+
+  if (forcedSnake && rated.length === defaulted && plainNames.length >= total) {
+    return { mode: 'snake_order', players: plainNames.slice(0, total), extras: plainNames.slice(total), extrasMode, bibsTagged, roleTags, format };
+  }
+
+  return { mode: 'random', players: plainNames.slice(0, total), extras: plainNames.slice(total), extrasMode, bibsTagged, roleTags, format };
+}
+
+function cleanName(s) {
+  if (!s) return '';
+  // Trim punctuation and emoji, not letters in other scripts ("राजेश") or accents
+  let t = s.replace(/^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu, '').replace(/\s{2,}/g, ' ').trim();
+  return t;
+}
+
+// Stored spelling for a known name or alias ("ashu" -> "Ashutosh"), else the name as typed.
+function canonicalName(name) {
+  return name ? matchName(name).name : name;
+}
+
+/**
+ * Roster with every known name and alias replaced by its stored spelling (players, extras,
+ * bibs tags, role tags and rules), plus the first unknown name that looks like a
+ * registered player — { typed, suggestions } — or null. Suggestions already on the roster
+ * are dropped: "Ashu" and "Ashutosh" on one list are two people.
+ */
+function canonicalRoster(roster) {
+  const nameOf = (p) => (typeof p === 'string' ? p : p.name);
+  const matches = new Map(roster.players.concat(roster.extras).map(p => [nameOf(p), matchName(nameOf(p))]));
+  const canon = (n) => (matches.get(n) || matchName(n)).name;
+  const playing = new Set(Array.from(matches.values()).filter(m => m.known).map(m => normalizeNameKey(m.name)));
+  let unsure = null;
+  for (const [typed, m] of matches) {
+    const suggestions = m.known ? [] : m.suggestions.filter(s => !playing.has(normalizeNameKey(s)));
+    if (suggestions.length) { unsure = { typed, suggestions }; break; }
+  }
+  const rename = (p) => (typeof p === 'string' ? canon(p) : { ...p, name: canon(p.name) });
+  const groups = (list) => (list || []).map(g => g.map(canon));
+  return {
+    roster: {
+      ...roster,
+      players: roster.players.map(rename),
+      extras: roster.extras.map(rename),
+      bibsTagged: roster.bibsTagged.map(canon),
+      roleTags: Object.fromEntries(Object.entries(roster.roleTags || {}).map(([n, r]) => [canon(n), r])),
+      constraints: { ...roster.constraints, together: groups(roster.constraints?.together), apart: groups(roster.constraints?.apart) }
+    },
+    unsure
+  };
+}
+
+// Plain list where every player has a stored rating → rated snake roster; else null.
+// Guests count as GUEST_RATING when set; extras without a rating count as 0 (they only
+// matter for sub placement).
+function withStoredRatings(roster) {
+  const ratings = getStoredRatings(roster.players.concat(roster.extras));
+  if (Number.isFinite(GUEST_RATING)) {
+    for (const n of roster.players.concat(roster.extras)) if (isGuestName(n)) ratings.set(n, GUEST_RATING);
+  }
+  if (!roster.players.length || !roster.players.every(n => ratings.has(n))) return null;
+  const rate = (name) => ({ name, rating: ratings.has(name) ? ratings.get(name) : 0 });
+  const players = roster.players.map(rate).sort((a, b) => b.rating - a.rating);
+  return { ...roster, mode: 'snake', players, extras: roster.extras.map(rate) };
+}
+
+// name -> role for everyone on the roster: "(GK)"-style tag in the message, else stored position.
+function rosterRoles(roster) {
+  const roles = new Map();
+  for (const p of roster.players.concat(roster.extras)) {
+    const name = typeof p === 'string' ? p : p.name;
+    const stored = getPlayer(name);
+    const role = (roster.roleTags || {})[name] || (stored && stored.position);
+    if (role) roles.set(name, role);
+  }
+  return roles;
+}
+
+// Guests with their host on the playing list: [[host, guest], ...] (host as written on the list).
+function guestPairs(names) {
+  const byKey = new Map(names.map(n => [normalizeNameKey(n), n]));
+  const pairs = [];
+  for (const guest of names) {
+    const host = guestHost(guest);
+    const onList = host && (byKey.get(normalizeNameKey(host)) || byKey.get(normalizeNameKey(canonicalName(host))));
+    if (onList && onList !== guest) pairs.push([onList, guest]);
+  }
+  return pairs;
+}
+
+// Spread groups (see constraints.js) for the given roles among the playing names.
+function roleSpreadGroups(names, roles, which) {
+  return which
+    .map(role => names.filter(n => roles.get(n) === role))
+    .filter(g => g.length > 1);
+}
+
+// Why the rules can't hold: a bindConstraints error, or none when no split satisfies them.
+function rulesProblem(bound, lang = 'en') {
+  if (!bound.error) return t(lang, 'rules.infeasible');
+  const players = bound.params.players;
+  const joined = !players ? undefined
+    : bound.error === 'block_too_big' ? players.join(' + ')
+    : bound.error === 'paired_and_apart' ? listOf(lang, players)
+    : players.join(', ');
+  return t(lang, `rules.${bound.error}`, { ...bound.params, players: joined });
+}
+
+// ---------- Message handling ----------
+/**
+ * Handle one normalized inbound message (see top of file), replying through transport.
+ * Runs with the data of the group the chat belongs to (groups.js).
+ * Throws only on unexpected errors; transports log them.
+ */
+async function handleMessage(msg, transport) {
+  const group = groupOf(msg.from);
+  return storage.withGroup(group.id, () => handleGroupMessage(msg, transport, group));
+}
+
+async function handleGroupMessage(msg, transport, group) {
+  const from = msg.from;
+  const sendText = (to, text) => transport.sendText(to, text);
+  const sendMenu = (to) => {
+    const lang = userLangPref.get(to) || 'en';
+    return transport.sendList(to, t(lang, 'buttons.prompt'), t(lang, 'menu.button'), teamsMenu(lastRosterByUser.get(to), lang));
+  };
+  // The teams as a picture too (poster.js), where the transport can send one and the group wants it
+  const sendPoster = async (to) => {
+    if (!transport.sendImage || !getSettings().poster) return;
+    const png = await renderPoster(posterOf(lastRosterByUser.get(to), userLangPref.get(to) || 'en'));
+    if (png) await transport.sendImage(to, png);
+  };
+  // A shuffle whose rule search gave up: say so, the last teams stand
+  const rulesGaveUp = (to) => sendText(to, t(userLangPref.get(to) || 'en', 'rules.gaveUp'));
+  // A lineup from generateLineup(): remember it in state (a new roster's starts a lineup-history
+  // session, a shuffle's joins it), then send it with the poster and menu
+  const sendGenerated = async (state, lineup, note = null) => {
+    const extrasRatings = state.mode === 'snake_order' ? undefined : state.ratingMap || undefined; // ranks aren't ratings
+    const extras = placeExtras(lineup.teams, state.extras, state.extrasMode, extrasRatings);
+    if (state.sessionId) addGenerated(state.sessionId, lineup.teams);
+    else state.sessionId = startSession(from, lineup.teams);
+    state.lastKey = lineup.key;
+    state.lastTeams = lineup.teams;
+    state.lastSubs = extras.subs || null;
+    state.seenKeys = state.seenKeys || new Set();
+    state.seenKeys.add(lineup.key);
+    if (lineup.search) state.search = lineup.search;
+    lastRosterByUser.set(from, state);
+    const totals = getSettings().totals && state.ratingMap ? computeTeamSums(lineup.teams, state.ratingMap) : undefined;
+    const balance = lineup.search ? balanceReport(lineup.choice, lineup.search) : undefined;
+    await sendText(from, formatTeamsBlocks(lineup.teams, totals, state.bibsNext, note, userLangPref.get(from) || 'en',
+      { ...extras, balance, roles: state.roles }));
+    await sendPoster(from);
+    await sendMenu(from);
+  };
+  // A lineup changed by hand (swap, move): remember it, then send it again with the poster and menu
+  const sendChangedLineup = async (prior, note) => {
+    prior.lastKey = teamKey(prior.lastTeams);
+    prior.seenKeys = prior.seenKeys || new Set();
+    prior.seenKeys.add(prior.lastKey);
+    addGenerated(prior.sessionId, prior.lastTeams);
+    lastRosterByUser.set(from, prior);
+    await sendText(from, `${note}\n\n${renderLineup(prior, userLangPref.get(from) || 'en')}`);
+    await sendPoster(from);
+    await sendMenu(from);
+  };
+  // Swap two players found by twoLineupNames() ("swap Kevin Simon", or the menu's question)
+  const swapPlayers = async (prior, pair) => {
+    const lang = userLangPref.get(from) || 'en';
+    const [a, b] = pair.map(spot => titleCaseName(prior[spot.list][spot.team][spot.index]));
+    if (!swapInLineup(prior, pair[0], pair[1])) return sendText(from, t(lang, 'swap.sameTeam', { a, b }));
+    return sendChangedLineup(prior, t(lang, 'swap.done', { a, b }));
+  };
+  // Run the last pasted list again with a fix from a button: { format } or { ignoreRules }
+  const rerunList = async (fix) => {
+    const saved = lastListByUser.get(from);
+    if (!saved) {
+      await sendText(from, tutorialText(userLangPref.get(from) || 'en'));
+      return;
+    }
+    return handleGroupMessage({ from, id: saved.msgId, author: saved.author, type: 'text', text: saved.text, ...fix }, transport, group);
+  };
+
+  const gate = senderLimiter.check(from);
+  if (!gate.ok) {
+    console.warn(`[RATE] Dropped message from ${maskPhone(from)}`);
+    if (gate.notify) {
+      const lang = userLangPref.get(from) || 'en';
+      await sendText(from, t(lang, 'rateLimited'));
+    }
+    return;
+  }
+
+  // --- Button clicks (interactive) ---
+  if (msg.type === 'button') {
+    const clicked = msg.buttonId;
+
+    // Answer to "Did you mean …?": save it as an alias (or a new player), then finish that roster
+    if (/^name_(is:\d|new)$/.test(clicked)) {
+      const lang = userLangPref.get(from) || 'en';
+      const pending = pendingNameChecks.get(from);
+      if (!pending) {
+        await sendText(from, t(lang, 'names.expired'));
+        return;
+      }
+      pendingNameChecks.delete(from);
+      const chosen = clicked === 'name_new' ? null : pending.suggestions[Number(clicked.slice('name_is:'.length))];
+      const typed = titleCaseName(pending.typed);
+      if (chosen) addAlias(pending.typed, chosen);
+      else registerName(pending.typed);
+      await sendText(from, chosen
+        ? t(lang, 'names.aliased', { typed, name: titleCaseName(chosen) })
+        : t(lang, 'names.added', { typed }));
+      return handleGroupMessage({
+        from, id: pending.msgId, author: pending.author, type: 'text', text: pending.text, format: pending.format, ignoreRules: pending.ignoreRules
+      }, transport, group);
+    }
+
+    // Answer to "Which language?": remember it, then send the tutorial it was asked for
+    const langClicked = String(clicked || '').match(/^lang:(\w+)$/);
+    if (langClicked && isLanguage(langClicked[1])) {
+      const pending = pendingLanguageQuestions.get(from);
+      pendingLanguageQuestions.delete(from);
+      userLangPref.set(from, langClicked[1]);
+      await sendTutorial(from, '', transport, pending && pending.found);
+      return;
+    }
+
+    if (clicked === 'shuffle') {
+      const prior = lastRosterByUser.get(from);
+      if (!prior) {
+        const lang = userLangPref.get(from) || 'en';
+        await sendText(from, tutorialText(lang));
+        return;
+      }
+
+      prior.seenKeys = prior.seenKeys || new Set([prior.lastKey]);
+      // The saved names in generateLineup's order; a snake reshuffles equal ratings most times
+      const players = prior.mode === 'snake' && Math.random() < 0.7 ? shuffleWithinEqualRatings(prior.players) : prior.players;
+      const names = players.map(p => (typeof p === 'string' ? p : p.name));
+      const ratingMap = prior.mode === 'snake_order'
+        ? new Map(names.map((n, i) => [n, names.length - i])) // synthetic ratings N..1 (strong->weak)
+        : prior.ratingMap || (prior.mode === 'snake' ? new Map(prior.players.map(p => [p.name, p.rating])) : null);
+      const lineup = generateLineup(prior.mode, names, {
+        format: prior.format || DEFAULT_FORMAT,
+        ratingMap,
+        constraints: prior.constraints,
+        pairCounts: recentPairCounts(prior.sessionId),
+        seenKeys: prior.seenKeys,
+        search: prior.search
+      });
+      if (!lineup) return rulesGaveUp(from);
+      await sendGenerated(prior, lineup);
+      return;
+    }
+
+    if (clicked === 'bibs_history') {
+      const chart = renderBibsHistory(userLangPref.get(from) || 'en');
+      await sendText(from, chart);
+      return;
+    }
+
+    if (clicked === 'help') {
+      const lang = userLangPref.get(from) || 'en';
+      await sendText(from, tutorialText(lang));
+      return;
+    }
+
+    // Menu rows that act on the last lineup
+    if (['swap', 'lock', 'ratings', 'format'].includes(clicked)) {
+      const lang = userLangPref.get(from) || 'en';
+      const prior = lastRosterByUser.get(from);
+      if (!prior || !prior.lastTeams) {
+        await sendText(from, tutorialText(lang));
+        return;
+      }
+
+      if ((clicked === 'swap' || clicked === 'lock') && !canOrganise(group, (msg.author || { id: from }).id)) {
+        await sendText(from, t(lang, 'organisersOnly', { group: group.name }));
+        return;
+      }
+
+      if (clicked === 'swap') {
+        prior.awaiting = 'swap';
+        lastRosterByUser.set(from, prior);
+        const example = `${titleCaseName(prior.lastTeams[0][0])} ${titleCaseName(prior.lastTeams[1][0])}`;
+        await sendText(from, t(lang, 'swap.ask', { example }));
+        return;
+      }
+
+      if (clicked === 'lock') {
+        lockLineup(prior);
+        lastRosterByUser.set(from, prior);
+        await sendText(from, t(lang, 'lock.done'));
+        return;
+      }
+
+      if (clicked === 'ratings') {
+        await sendText(from, lineupRatings(prior) ? renderRatings(prior, lang) : t(lang, 'ratings.none'));
+        return;
+      }
+
+      // Change format: the same list again as any format it fits
+      const count = prior.players.length + (prior.extras || []).length;
+      const choices = formatChoices(count, prior.format).slice(0, 10);
+      if (!choices.length || !lastListByUser.get(from)) {
+        await sendText(from, t(lang, 'format.none', { count }));
+        return;
+      }
+      await transport.sendList(from, t(lang, 'format.pick', { count }), t(lang, 'menu.format'), choices.map(f => ({
+        id: `format:${formatLabel(f)}`,
+        title: formatLabel(f),
+        description: count === formatTotal(f)
+          ? t(lang, 'format.allPlay')
+          : t(lang, 'format.leftOver', { count: count - formatTotal(f) })
+      })));
+      return;
+    }
+
+    // Fix buttons: the last list again as another format, or without its pair/apart rules
+    const formatClicked = String(clicked || '').match(/^format:(\d{1,2}x\d{1,2})$/);
+    if (formatClicked && parseFormatSpec(formatClicked[1])) return rerunList({ format: parseFormatSpec(formatClicked[1]) });
+    if (clicked === 'rules:ignore') return rerunList({ ignoreRules: true });
+    return; // unknown button id
+  }
+
+  // --- Plain text messages ---
+  if (msg.type === 'text') {
+    let bodyText = (msg.text || '').trim();
+    const author = msg.author || { id: from };
+
+    // Answer to "Which two players?" (menu "Swap two players"); anything else is a new message
+    const swapping = lastRosterByUser.get(from);
+    if (swapping && swapping.awaiting === 'swap') {
+      delete swapping.awaiting;
+      lastRosterByUser.set(from, swapping);
+      const pair = twoLineupNames(swapping, bodyText);
+      if (pair) {
+        await swapPlayers(swapping, pair);
+        return;
+      }
+    }
+
+    // Language override command
+    const langMatch = bodyText.match(/^lang\s+([a-z]{2})\b/i);
+    if (langMatch && isLanguage(langMatch[1].toLowerCase())) {
+      const lang = langMatch[1].toLowerCase();
+      userLangPref.set(from, lang);
+      await sendText(from, t(lang, 'lang.set'));
+      return;
+    }
+
+    // Quick command: help (also Telegram's /start and /help)
+    if (/^(help|start)$/i.test(bodyText)) {
+      await sendText(from, tutorialText(userLangPref.get(from) || 'en'));
+      return;
+    }
+
+    // Groups: which group this chat uses, and who runs it
+    if (/^group$/i.test(bodyText)) {
+      await sendText(from, renderGroup(group, author.id, userLangPref.get(from) || 'en'));
+      return;
+    }
+
+    // Moving a shared chat (a Telegram group) to another group is for the organisers of the
+    // one it uses now; a person's own chat is theirs to move
+    const groupNewMatch = bodyText.match(/^group\s+(?:new|create)\s+(.{2,40})$/i);
+    const switching = groupNewMatch || /^group\s+(join\s+\S+|leave)$/i.test(bodyText);
+    if (switching && personId(author.id) !== personId(from) && !canOrganise(group, author.id)) {
+      await sendText(from, t(userLangPref.get(from) || 'en', 'organisersOnly', { group: group.name }));
+      return;
+    }
+
+    if (groupNewMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const created = createGroup(groupNewMatch[1], { by: personId(author.id), chatId: from });
+      await sendText(from, t(lang, 'group.created', { group: created.name, code: created.code }));
+      return;
+    }
+
+    const groupJoinMatch = bodyText.match(/^group\s+join\s+(\S+)$/i);
+    if (groupJoinMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const joined = joinGroup(from, groupJoinMatch[1]);
+      await sendText(from, joined
+        ? t(lang, 'group.joined', { group: joined.name })
+        : t(lang, 'group.unknownCode', { code: groupJoinMatch[1] }));
+      return;
+    }
+
+    if (/^group\s+leave$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const left = leaveGroup(from);
+      await sendText(from, left ? t(lang, 'group.left', { group: left.name }) : t(lang, 'group.notInGroup'));
+      return;
+    }
+
+    const roleMatch = bodyText.match(/^(organi[sz]er|admin)\s+(add|remove)\s+(.+)$/i);
+    if (roleMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const role = /^admin$/i.test(roleMatch[1]) ? 'admin' : 'organiser';
+      const who = personId(roleMatch[3]);
+      if (!canAdmin(group, author.id)) {
+        await sendText(from, t(lang, 'role.adminsOnly', { group: group.name }));
+        return;
+      }
+      const notes = [];
+      if (!group.admins.length && personId(author.id) !== who) {
+        // First admin: whoever sets the group up, so they don't lock themselves out
+        setRole(group.id, author.id, 'admin');
+        notes.push(t(lang, 'role.firstAdmin', { group: group.name }));
+      }
+      const adding = /^add$/i.test(roleMatch[2]);
+      if (!setRole(group.id, who, adding ? role : null)) {
+        notes.push(t(lang, 'role.lastAdmin', { id: who, group: group.name }));
+      } else if (adding) {
+        notes.push(t(lang, role === 'admin' ? 'role.addedAdmin' : 'role.addedOrganiser', { id: who, group: group.name }));
+      } else {
+        notes.push(t(lang, 'role.removed', { id: who, group: group.name }));
+      }
+      await sendText(from, notes.join('\n'));
+      return;
+    }
+
+    // Commands that change the group's shared data are for its organisers
+    if (ORGANISER_COMMANDS.some(re => re.test(bodyText)) && !canOrganise(group, author.id)) {
+      const lang = userLangPref.get(from) || 'en';
+      await sendText(from, t(lang, 'organisersOnly', { group: group.name }));
+      return;
+    }
+
+    // Group settings (settings.js): how the teams message looks
+    if (/^settings$/i.test(bodyText)) {
+      await sendText(from, renderSettings(group, userLangPref.get(from) || 'en'));
+      return;
+    }
+    if (/^settings\s+reset$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      resetSettings();
+      await sendText(from, `${t(lang, 'settings.reset')}\n\n${renderSettings(group, lang)}`);
+      return;
+    }
+    const setMatch = bodyText.match(/^set\s+(\S+)(?:\s+([\s\S]+))?$/i);
+    if (setMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const problem = applySetting(setMatch[1].toLowerCase(), (setMatch[2] || '').trim(), lang);
+      await sendText(from, problem
+        ? `${problem}\n\n${t(lang, 'settings.usage')}`
+        : `${t(lang, 'settings.saved')}\n\n${renderSettings(group, lang)}`);
+      return;
+    }
+
+    // Quick command: bibs_history
+    if (/^bibs[_\s-]?history$/i.test(bodyText)) {
+      const chart = renderBibsHistory(userLangPref.get(from) || 'en');
+      await sendText(from, chart);
+      return;
+    }
+
+    // Bibs ledger fixes
+    if (/^bibs\s+undo$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const undone = undoLast({ by: from, msgId: msg.id });
+      if (!undone) {
+        await sendText(from, t(lang, 'bibs.nothingToUndo'));
+        return;
+      }
+      const { entry, count } = undone;
+      const name = titleCaseName(entry.name);
+      const what = t(lang, entry.type === 'set' ? 'bibs.entry.set' : 'bibs.entry.wash', { name, count: entry.count });
+      await sendText(from, t(lang, 'bibs.undone', { what, date: formatDay(entry.at, lang), name, count }));
+      return;
+    }
+
+    const bibsSetMatch = bodyText.match(/^bibs\s+set\s+(.+?)\s+(\d{1,3})$/i);
+    if (bibsSetMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const name = canonicalName(cleanName(bibsSetMatch[1]));
+      const { before, after } = setCount(name, parseInt(bibsSetMatch[2], 10), { by: from, msgId: msg.id });
+      await sendText(from, t(lang, 'bibs.setTo', { name: titleCaseName(name), after, before }));
+      return;
+    }
+
+    const bibsAddMatch = bodyText.match(/^bibs\s+add\s+(.+)$/i);
+    if (bibsAddMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const name = canonicalName(cleanName(bibsAddMatch[1]));
+      const count = addWash(name, { by: from, msgId: msg.id });
+      await sendText(from, t(lang, 'bibs.added', { name: titleCaseName(name), count }));
+      return;
+    }
+
+    // Sit out of the bibs rotation: "bibs off" (yourself), "bibs off Kevin 2w", "bibs on Kevin"
+    const bibsOffMatch = bodyText.match(/^bibs\s+(off|on)(?:\s+(.+?))??(?:\s+(\d{1,2})\s*([dw]))?$/i);
+    if (bibsOffMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const off = bibsOffMatch[1].toLowerCase() === 'off';
+      const name = canonicalName(bibsOffMatch[2] ? cleanName(bibsOffMatch[2]) : (rememberedName(author.id) || author.name));
+      if (!name) {
+        await sendText(from, t(lang, 'bibs.sayWho'));
+        return;
+      }
+      const self = canonicalName(rememberedName(author.id) || author.name || '');
+      if (bibsOffMatch[2] && !canOrganise(group, author.id) && normalizeNameKey(name) !== normalizeNameKey(self || '')) {
+        await sendText(from, t(lang, 'bibs.othersOnly', { command: bibsOffMatch[1].toLowerCase() }));
+        return;
+      }
+      const who = titleCaseName(name);
+      if (!off) {
+        const wasOut = clearOptOut(name);
+        await sendText(from, t(lang, wasOut ? 'bibs.back' : 'bibs.alreadyIn', { name: who }));
+        return;
+      }
+      const days = bibsOffMatch[3] ? parseInt(bibsOffMatch[3], 10) * (bibsOffMatch[4].toLowerCase() === 'w' ? 7 : 1) : 0;
+      const until = days ? Date.now() + days * 24 * 60 * 60 * 1000 : null;
+      setOptOut(name, until, { by: from });
+      await sendText(from, until
+        ? t(lang, 'bibs.outUntil', { name: who, date: formatDay(new Date(until).toISOString(), lang) })
+        : t(lang, 'bibs.out', { name: who }));
+      return;
+    }
+
+    if (/^bibs\s+(set|add)\b/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      await sendText(from, t(lang, 'bibs.usage'));
+      return;
+    }
+
+    // Player registry commands
+    if (/^players$/i.test(bodyText)) {
+      await sendText(from, renderPlayers(userLangPref.get(from) || 'en'));
+      return;
+    }
+
+    const rateMatch = bodyText.match(/^rate\s*:?\s+([\s\S]+)$/i);
+    if (rateMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const saved = [];
+      const unreadable = [];
+      const guests = [];
+      for (const item of splitItems(rateMatch[1])) {
+        const line = item.replace(/^\s*\d{1,3}\s*[\.\)\-:]\s*/, '');
+        const m = line.match(/^(.+?)\s+(\d{1,2}(?:[.,]\d{1,2})?)$/);
+        const name = m && cleanName(m[1]);
+        if (!name) { unreadable.push(item); continue; }
+        if (isGuestName(name)) { guests.push(name); continue; }
+        const p = setRating(name, parseFloat(m[2].replace(',', '.')));
+        saved.push(`${titleCaseName(p.name)} ${formatRating(p.rating)}`);
+      }
+      const lines = [];
+      if (saved.length) lines.push(t(lang, 'rate.saved', { list: saved.join(', ') }));
+      if (unreadable.length) lines.push(t(lang, 'rate.unreadable', { list: unreadable.join(', ') }));
+      if (guests.length) lines.push(t(lang, 'rate.guests', { list: guests.join(', ') }));
+      await sendText(from, lines.join('\n'));
+      return;
+    }
+
+    const aliasMatch = bodyText.match(/^alias\s+(.+?)\s*(?:=|->|→)\s*(.+)$/i) || bodyText.match(/^alias\s+(\S+)\s+(\S+)$/i);
+    if (aliasMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const alias = cleanName(aliasMatch[1]);
+      const name = cleanName(aliasMatch[2]);
+      const p = alias && name ? addAlias(alias, name) : null;
+      if (p) {
+        await sendText(from, t(lang, 'alias.saved', { alias, name: titleCaseName(p.name) }));
+      } else {
+        const owner = alias ? getPlayer(alias) : null;
+        await sendText(from, owner
+          ? t(lang, 'alias.taken', { alias, name: titleCaseName(owner.name) })
+          : t(lang, 'alias.usage'));
+      }
+      return;
+    }
+
+    const posMatch = bodyText.match(/^(?:pos|position)\s+(.+?)\s+(\w+)$/i);
+    if (posMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const name = cleanName(posMatch[1]);
+      const pos = posMatch[2].toUpperCase();
+      if (!name || (pos !== 'NONE' && !POSITIONS.includes(pos))) {
+        await sendText(from, t(lang, 'pos.usage', { positions: POSITIONS.join(', ') }));
+        return;
+      }
+      if (isGuestName(name)) {
+        await sendText(from, t(lang, 'pos.guest', { name }));
+        return;
+      }
+      const p = setPosition(name, pos === 'NONE' ? null : pos);
+      await sendText(from, t(lang, 'pos.saved', { name: titleCaseName(p.name), position: p.position || t(lang, 'pos.none') }));
+      return;
+    }
+
+    const forgetMatch = bodyText.match(/^forget\s+(.+)$/i);
+    if (forgetMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const removed = removePlayer(cleanName(forgetMatch[1]));
+      await sendText(from, removed
+        ? t(lang, 'forget.done', { name: titleCaseName(removed.name) })
+        : t(lang, 'forget.unknown', { name: forgetMatch[1].trim() }));
+      return;
+    }
+
+    // Hand edits to the last teams: "swap Kevin Simon", "move Anish to blue", "lock"
+    const swapMatch = bodyText.match(/^swap\s+(.+)$/i);
+    const moveMatch = bodyText.match(/^move\s+(.+?)\s+(?:to\s+)?(\S+)$/i);
+    if (swapMatch || moveMatch || /^lock$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const prior = lastRosterByUser.get(from);
+      if (!prior || !prior.lastTeams) {
+        await sendText(from, t(lang, 'lineup.none'));
+        return;
+      }
+
+      if (swapMatch) {
+        const pair = twoLineupNames(prior, swapMatch[1]);
+        await (pair ? swapPlayers(prior, pair) : sendText(from, t(lang, 'swap.notFound', { text: swapMatch[1] })));
+        return;
+      }
+
+      if (moveMatch) {
+        const spot = findInLineup(prior, moveMatch[1]);
+        const team = parseTeamColor(moveMatch[2]);
+        if (!spot) {
+          await sendText(from, t(lang, 'move.notFound', { name: titleCaseName(moveMatch[1]) }));
+          return;
+        }
+        const name = titleCaseName(prior[spot.list][spot.team][spot.index]);
+        if (team < 0 || team >= prior.lastTeams.length) {
+          const colors = prior.lastTeams.map((_, i) => teamColors(lang)[i].name.toLowerCase());
+          await sendText(from, t(lang, 'move.pickTeam', { colors: colors.join(', '), name, first: colors[0] }));
+          return;
+        }
+        if (spot.list === 'lastTeams' && spot.team === team) {
+          await sendText(from, t(lang, 'move.already', { name, team: teamLabel(team, lang) }));
+          return;
+        }
+        const swappedWith = moveInLineup(prior, spot, team);
+        await sendChangedLineup(prior, swappedWith
+          ? t(lang, 'move.swapped', { name, other: titleCaseName(swappedWith), team: teamLabel(team, lang) })
+          : t(lang, 'move.done', { name, team: teamLabel(team, lang) }));
+        return;
+      }
+
+      lockLineup(prior);
+      lastRosterByUser.set(from, prior);
+      await sendText(from, t(lang, 'lock.done'));
+      return;
+    }
+
+    // Match results
+    if (/^results$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const night = lastNight();
+      await sendText(from, night ? renderStandings(night, lang) : t(lang, 'results.none'));
+      return;
+    }
+
+    if (/^result\s+undo$/i.test(bodyText)) {
+      const game = undoLastResult();
+      const lang = userLangPref.get(from) || 'en';
+      await sendText(from, game
+        ? t(lang, 'results.undone', { a: teamLabel(game.a, lang), goalsA: game.goalsA, goalsB: game.goalsB, b: teamLabel(game.b, lang) })
+        : t(lang, 'results.nothingToUndo'));
+      return;
+    }
+
+    const resultMatch = bodyText.match(/^result\s+(\S+)\s+(\d{1,2})\s+(\S+)\s+(\d{1,2})$/i);
+    if (resultMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const lineup = lastLineup(lastRosterByUser.get(from));
+      if (!lineup) {
+        await sendText(from, t(lang, 'results.makeTeamsFirst'));
+        return;
+      }
+      const a = parseTeamColor(resultMatch[1]);
+      const b = parseTeamColor(resultMatch[3]);
+      if (a < 0 || b < 0 || a === b || a >= lineup.teams.length || b >= lineup.teams.length) {
+        const colors = lineup.teams.map((_, i) => teamColors(lang)[i].name.toLowerCase());
+        await sendText(from, t(lang, 'results.pickTeams', { colors: colors.join(', '), first: colors[0], second: colors[1] }));
+        return;
+      }
+      const goalsA = parseInt(resultMatch[2], 10);
+      const goalsB = parseInt(resultMatch[4], 10);
+      const { night, game } = recordResult(lineup, a, goalsA, b, goalsB);
+      const prior = lastRosterByUser.get(from);
+      confirmLineup(prior.sessionId, prior.locked ? prior.locked.teams : prior.lastTeams);
+      const signed = (x) => (x > 0 ? `+${x.toFixed(2)}` : x < 0 ? `−${Math.abs(x).toFixed(2)}` : '±0');
+      await sendText(from,
+        t(lang, 'results.recorded', {
+          a: teamLabel(a, lang), goalsA, goalsB, b: teamLabel(b, lang), deltaA: signed(game.deltaA), deltaB: signed(game.deltaB)
+        }) + '\n\n' + renderStandings(night, lang)
+      );
+      return;
+    }
+
+    // --- Weekly game schedule ---
+    if (/^schedule$/i.test(bodyText)) {
+      const schedule = getSchedule();
+      const lang = userLangPref.get(from) || 'en';
+      await sendText(from, schedule ? renderSchedule(schedule, lang) : t(lang, 'schedule.none'));
+      return;
+    }
+    if (/^schedule\s+(off|stop|cancel)$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const removed = clearSchedule();
+      await sendText(from, removed
+        ? t(lang, 'schedule.cancelled', { day: WEEKDAYS[removed.weekday], time: removed.time })
+        : t(lang, 'schedule.noneToCancel'));
+      return;
+    }
+    if (/^schedule\s/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const parsed = parseScheduleCommand(bodyText);
+      if (parsed.error) {
+        await sendText(from, parsed.error === 'timezone'
+          ? t(lang, 'schedule.badTimezone', { tz: parsed.tz })
+          : t(lang, 'schedule.usage'));
+        return;
+      }
+      const schedule = setSchedule({ ...parsed, by: from });
+      await sendText(from, `${t(lang, 'schedule.saved')}\n\n${renderSchedule(schedule, lang)}`);
+      return;
+    }
+
+    // --- Game signups ---
+    const openMatch = bodyText.match(/^open\s+(\S+)\s+(\d{1,2})[:.h](\d{2})(?:\s+(\d{1,2}\s*[x×]\s*\d{1,2}|\d{1,3}))?$/i);
+    if (openMatch || /^open\b/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const [hh, mm] = openMatch ? [parseInt(openMatch[2], 10), parseInt(openMatch[3], 10)] : [];
+      const spec = openMatch && openMatch[4];
+      const format = !spec ? DEFAULT_FORMAT
+        : /[x×]/i.test(spec) ? parseFormatSpec(spec) : formatForCount(parseInt(spec, 10));
+      if (!openMatch || hh > 23 || mm > 59 || !format) {
+        await sendText(from, t(lang, 'open.usage'));
+        return;
+      }
+      const day = capWord(openMatch[1]);
+      const time = `${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}`;
+      const opened = openGame({ by: from, day, time, format });
+      if (opened.error) {
+        const g = opened.game;
+        await sendText(from, t(lang, 'open.alreadyOpen', { day: g.day, time: g.time }));
+        return;
+      }
+      await sendText(from, t(lang, 'open.done', { day, time, format: formatLabel(format), spots: formatTotal(format) }));
+      return;
+    }
+
+    const inMatch = bodyText.match(/^in(?:\s+(?!\+)(.+?))?(?:\s*\+\s*(\d))?$/i);
+    const outMatch = bodyText.match(/^out(?:\s*\+\s*(\d))?$/i);
+    if (inMatch || outMatch) {
+      const lang = userLangPref.get(from) || 'en';
+      const guests = parseInt((inMatch || outMatch)[inMatch ? 2 : 1] || '0', 10);
+      let result;
+      let name = null;
+      if (inMatch) {
+        const given = inMatch[1] ? cleanName(inMatch[1]) : '';
+        name = canonicalName(given || rememberedName(author.id) || cleanName(author.name || ''));
+        if (!name) {
+          await sendText(from, t(lang, 'signup.askName'));
+          return;
+        }
+        result = join({ id: author.id, name, replyTo: from }, guests);
+        if (!result.error) rememberName(author.id, name);
+      } else {
+        result = leave(author.id, guests);
+      }
+
+      if (result.error) {
+        const g = result.game;
+        const key = {
+          no_game: 'game.none',
+          closed: 'signup.closed',
+          name_taken: 'signup.nameTaken',
+          too_many_guests: 'signup.tooManyGuests',
+          not_in: guests ? 'signup.noGuests' : 'signup.notIn'
+        }[result.error];
+        await sendText(from, t(lang, key, { day: g && g.day, time: g && g.time, name, max: MAX_GUESTS }));
+        return;
+      }
+
+      const game = result.game;
+      if (inMatch) {
+        await sendText(from, signupStatus(game, author.id, lang));
+      } else {
+        const names = result.removed.map(s => s.name).join(', ');
+        await sendText(from, t(lang, 'signup.out', { day: game.day, time: game.time, names }) +
+          (guests ? `\n\n${signupStatus(game, author.id, lang)}` : ''));
+        // Waiting list moved up: tell whoever got the spot
+        for (const spot of result.promoted) {
+          const plang = userLangPref.get(spot.replyTo) || 'en';
+          await pushText(spot.replyTo, t(plang, 'signup.promoted', { name: spot.name, day: game.day, time: game.time }));
+        }
+      }
+      return;
+    }
+
+    if (/^(game|who)$/i.test(bodyText)) {
+      const game = currentGame();
+      const lang = userLangPref.get(from) || 'en';
+      await sendText(from, game ? renderGame(game, lang) : t(lang, 'game.noneOpenOne'));
+      return;
+    }
+
+    if (/^close$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const game = closeGame();
+      if (!game) {
+        await sendText(from, t(lang, 'game.none'));
+        return;
+      }
+      const { confirmed, waitlist } = splitSpots(game);
+      await sendText(from,
+        t(lang, 'close.done', { day: game.day, time: game.time, confirmed: confirmed.length, waiting: waitlist.length }) +
+        `\n\n${renderGame(game, lang)}`);
+      return;
+    }
+
+    // "make teams": the signup list becomes the roster (format head + confirmed, then waiting list)
+    if (/^make\s+teams$/i.test(bodyText)) {
+      const lang = userLangPref.get(from) || 'en';
+      const game = currentGame();
+      const { confirmed } = game ? splitSpots(game) : { confirmed: [] };
+      if (!game || confirmed.length < capacity(game)) {
+        await sendText(from, !game
+          ? t(lang, 'game.none')
+          : t(lang, 'makeTeams.short', { count: confirmed.length, capacity: capacity(game), day: game.day, time: game.time }));
+        return;
+      }
+      bodyText = `${formatLabel(game.format)}:\n${game.spots.map(s => s.name).join('\n')}`;
+      shownTutorialUsers.add(from);
+    }
+
+    // Tutorial command
+    if (/^tutorial$/i.test(bodyText)) {
+      shownTutorialUsers.add(from);
+      await sendText(from, tutorialText(userLangPref.get(from) || 'en'));
+      return;
+    }
+
+    // Idempotency key for this inbound message (WhatsApp may retry)
+    const msgId = msg.id || `${from}:${Date.now()}`;
+    const canRecordBibs = !processedMessageIds.has(msgId);
+
+    // First-time tutorial if not a full roster yet
+    const probe = parseRoster(bodyText, msg.format);
+    if (msg.ignoreRules) probe.constraints = { together: [], apart: [] };
+    if (probe.players.length + probe.extras.length >= 2 || probe.formatError) lastListByUser.set(from, { text: bodyText, msgId, author });
+    if (!shownTutorialUsers.has(from) && !probe.formatError && !(probe.players && probe.players.length === formatTotal(probe.format)) && !/^bibs[_\s-]?history$/i.test(bodyText)) {
+      shownTutorialUsers.add(from);
+      await sendTutorial(from, bodyText, transport);
+      return;
+    }
+
+    let roster = probe;
+    const format = roster.format;
+    const total = formatTotal(format);
+
+    // Count of names on the list (waiting list included), for the "Make 3x4" buttons
+    const listed = (r) => r.players.length + r.extras.length;
+
+    if (roster.formatError) {
+      const lang = userLangPref.get(from) || 'en';
+      await transport.sendButtons(from, t(lang, 'roster.badFormat', { format: roster.formatError, min: MIN_TEAMS, max: MAX_TEAMS, size: MAX_TEAM_SIZE }),
+        formatFixes(listed(parseRoster(bodyText, DEFAULT_FORMAT)), lang));
+      return;
+    }
+
+    // Stored spellings throughout; a name that only looks like a known player's is asked about first
+    const checked = canonicalRoster(roster);
+    if (checked.unsure && roster.players.length === total) {
+      const lang = userLangPref.get(from) || 'en';
+      const { typed, suggestions } = checked.unsure;
+      pendingNameChecks.set(from, { text: bodyText, msgId, author, typed, suggestions, format: msg.format, ignoreRules: msg.ignoreRules });
+      const options = listOf(lang, suggestions.map(titleCaseName), 'disjunction');
+      await transport.sendButtons(from, t(lang, 'names.didYouMean', { typed, options }),
+        suggestions.map((name, i) => ({ id: `name_is:${i}`, title: titleCaseName(name) }))
+          .concat([{ id: 'name_new', title: t(lang, 'names.newPlayer') }]));
+      return;
+    }
+    roster = checked.roster;
+
+    // Record any bibs markers from this submission (who actually washed last time)
+    let bibsTakenNote = null;
+    const bibsWashers = Array.from(new Set(roster.bibsTagged || [])).filter(n => !isGuestName(n)); // guests never wash
+    if (canRecordBibs && bibsWashers.length) {
+      const updates = bibsWashers.map(name => {
+        const { count } = recordWash(name, { by: from, msgId });
+        return `${titleCaseName(name)} (${count})`;
+      });
+      bibsTakenNote = updates.join(', ');
+      processedMessageIds.add(msgId);
+    }
+
+    // Plain pasted list (no "teams:"/"snake:") → use stored ratings when everyone has one
+    if (roster.mode === 'random' && !roster.command && roster.players.length === total) {
+      roster = withStoredRatings(roster) || roster;
+    }
+
+    // "roles:" can use stored ratings too
+    if (roster.command === 'roles' && roster.mode === 'random') roster = withStoredRatings(roster) || roster;
+
+    // Keep-together / keep-apart rules ("pair:", "apart:"); keepers are always spread,
+    // every role is in "roles:" mode
+    const roles = rosterRoles(roster);
+    let constraints = null;
+    let ruleAbiding = null; // the split that proved the rules can hold; set whenever there are rules
+    if (roster.players.length === total) {
+      const names = roster.players.map(p => (typeof p === 'string' ? p : p.name));
+      const guests = GUEST_TEAM === 'same' || GUEST_TEAM === 'apart' ? guestPairs(names) : [];
+      roster.constraints = {
+        ...roster.constraints,
+        together: (roster.constraints.together || []).concat(GUEST_TEAM === 'same' ? guests : []),
+        apart: (roster.constraints.apart || []).concat(GUEST_TEAM === 'apart' ? guests : []),
+        spread: roleSpreadGroups(names, roles, roster.command === 'roles' ? POSITIONS : ['GK'])
+      };
+    }
+    if (hasConstraints(roster.constraints) && roster.players.length === total) {
+      const names = roster.players.map(p => (typeof p === 'string' ? p : p.name));
+      const bound = bindConstraints(roster.constraints, names, format);
+      ruleAbiding = bound.error ? null : randomFeasibleTeams(names, format, bound);
+      if (!ruleAbiding) {
+        const lang = userLangPref.get(from) || 'en';
+        const text = t(lang, 'rules.problem', { problem: rulesProblem(bound, lang) });
+        const written = probe.constraints.together.length || probe.constraints.apart.length; // pair:/apart: lines
+        if (written) await transport.sendButtons(from, text, [{ id: 'rules:ignore', title: t(lang, 'fix.ignoreRules') }, { id: 'help', title: t(lang, 'buttons.help') }]);
+        else await sendText(from, text);
+        return;
+      }
+      constraints = bound;
+    }
+
+    // A new lineup for this roster (see generateLineup), remembered for "Shuffle again" and sent.
+    // names: the playing names in the mode's order; extras: the names beyond the format.
+    const sendNewLineup = (mode, names, extras, ratingMap = null) => {
+      const lineup = generateLineup(mode, names, { format, ratingMap, constraints, start: ruleAbiding, pairCounts: recentPairCounts() });
+      return sendGenerated({
+        mode,
+        players: roster.players.slice(),
+        format,
+        extras: extras.slice(),
+        extrasMode: roster.extrasMode,
+        bibsNext: pickBibsNext(roster.extrasMode === 'subs' ? names.concat(extras) : names),
+        ratingMap,
+        constraints,
+        roles
+      }, lineup, bibsTakenNote);
+    };
+    const ratingsOf = () => new Map([...roster.players, ...roster.extras].map((p) => [p.name, p.rating]));
+
+    // Role draft: every role spread evenly, then balanced by rating when there are ratings
+    if (roster.command === 'roles') {
+      if (roster.players.length !== total) {
+        const lang = userLangPref.get(from) || 'en';
+        await transport.sendButtons(from, t(lang, 'roster.roles', { format: formatLabel(format), total, example: EXAMPLES.roles }),
+          formatFixes(listed(roster), lang, format));
+        return;
+      }
+      const rated = roster.mode === 'snake';
+      await (rated
+        ? sendNewLineup('roles', roster.players.map(p => p.name), roster.extras.map(p => p.name), ratingsOf())
+        : sendNewLineup('roles', roster.players, roster.extras));
+      return;
+    }
+
+    // Balanced split: search partitions for the most even totals
+    if (roster.command === 'balance') {
+      if (roster.mode === 'random') roster = withStoredRatings(roster) || roster;
+      if (roster.mode !== 'snake' || roster.players.length !== total) {
+        const lang = userLangPref.get(from) || 'en';
+        const text = t(lang, 'roster.balance', { format: formatLabel(format), total, example: `balance: ${EXAMPLES.rated}` });
+        if (roster.mode === 'snake') await transport.sendButtons(from, text, formatFixes(listed(roster), lang, format));
+        else await sendText(from, text); // missing ratings: no format fixes that
+        return;
+      }
+      await sendNewLineup('balanced', roster.players.map(p => p.name), roster.extras.map(p => p.name), ratingsOf());
+      return;
+    }
+
+    if (roster.mode === 'snake') {
+      if (roster.players.length !== total) {
+        const lang = userLangPref.get(from) || 'en';
+        await transport.sendButtons(from, t(lang, 'roster.snake', { format: formatLabel(format), total, example: `snake: ${EXAMPLES.rated}` }),
+          formatFixes(listed(roster), lang, format));
+        return;
+      }
+      await sendNewLineup('snake', roster.players.map(p => p.name), roster.extras.map(p => p.name), ratingsOf()); // strong->weak
+      return;
+    }
+
+    if (roster.mode === 'snake_order') {
+      if (roster.players.length !== total) {
+        const lang = userLangPref.get(from) || 'en';
+        await sendText(from, t(lang, 'roster.snakeOrder', { format: formatLabel(format), total, example: EXAMPLES.ranked }));
+        return;
+      }
+      const namesSorted = roster.players;
+      const ratingMap = new Map(namesSorted.map((n, i) => [n, namesSorted.length - i])); // synthetic ratings
+      await sendNewLineup('snake_order', namesSorted, roster.extras, ratingMap);
+      return;
+    }
+
+    // random mode
+    const names = roster.players;
+    if (names.length === total) {
+      await sendNewLineup('random', names, roster.extras);
+    } else if (userLangPref.get(from) && names.length) {
+      // Too few names: offer the formats they do fit
+      const lang = userLangPref.get(from);
+      const hint = t(lang, 'roster.found', { count: names.length, total, format: formatLabel(format) });
+      const fixes = formatFixes(names.length, lang, format);
+      await transport.sendButtons(from, fixes.length > 1 ? `${hint}\n${t(lang, 'fix.pickFormat')}` : hint, fixes);
+    } else {
+      const count = names.length;
+      await sendTutorial(from, bodyText, transport, count ? { count, total, format: formatLabel(format) } : null);
+    }
+    return;
+  }
+
+  // Other message types (image, sticker, etc.) – gently ignore
+  await sendText(from, t(userLangPref.get(from) || 'en', 'notText'));
+}
+
+// ---------- Bibs helpers ----------
+/**
+ * Who takes the bibs next: the fewest washes per game attended (tonight included), so a
+ * once-a-month player isn't let off just because their raw count is low. Guests
+ * ("Kevin+1", "Kevin's friend") and players sitting out ("bibs off Kevin") are never
+ * picked; first-timers and the last washer only when nobody else is left. Ties go to
+ * fewer washes overall, then at random.
+ * Returns { name, washes, games, tied } (see bibsReason), or null when nobody is eligible.
+ */
+function pickBibsNext(currentNames) {
+  const attendance = appearances();
+  const optedOut = activeOptOuts();
+  const { countOf, lastWasher: lastWasherKey } = bibsCounts();
+  const resolve = nameResolver();
+  const today = new Date().toISOString().slice(0, 10);
+  const stats = currentNames
+    .filter(n => !isGuestName(n) && !optedOut.has(resolve(n).key))
+    .map(name => {
+      const key = resolve(name).key;
+      const seen = attendance.get(key);
+      const games = seen ? seen.games + (seen.lastDate === today ? 0 : 1) : 1;
+      const washes = countOf(name);
+      return { name, key, games, washes, rate: washes / games };
+    });
+  if (!stats.length) return null;
+
+  const prefer = (list, keep) => (list.some(keep) ? list.filter(keep) : list);
+  let candidates = prefer(stats, s => s.games > 1);
+  candidates = prefer(candidates, s => s.key !== lastWasherKey);
+  const best = Math.min(...candidates.map(s => s.rate));
+  candidates = candidates.filter(s => s.rate - best < 1e-9);
+  const fewest = Math.min(...candidates.map(s => s.washes));
+  candidates = candidates.filter(s => s.washes === fewest);
+  const pick = candidates[Math.floor(Math.random() * candidates.length)];
+
+  return { name: pick.name, washes: pick.washes, games: pick.games, tied: candidates.length };
+}
+
+// Why pickBibsNext chose someone, shown next to the name ("2 washes in 9 games, …").
+function bibsReason(bibs, lang = 'en') {
+  if (bibs.why) return bibs.why; // state saved before the message catalog
+  if (bibs.washes === undefined) return null;
+  return t(lang, bibs.tied > 1 ? 'bibs.whyTied' : 'bibs.why', {
+    washes: t(lang, 'bibs.washes', { count: bibs.washes }),
+    games: t(lang, 'bibs.games', { count: bibs.games }),
+    count: bibs.tied
+  });
+}
+
+// ---------- Results helpers ----------
+// Teams as locked ("lock"), else as last sent (subs included), for recording a result against them.
+function lastLineup(prior) {
+  if (!prior || !prior.lastTeams) return null;
+  const { key, teams: playing, subs } = prior.locked || { key: prior.lastKey, teams: prior.lastTeams, subs: prior.lastSubs };
+  const teams = playing.map((team, i) => team.concat((subs && subs[i]) || []));
+  const rated = prior.mode === 'snake' || prior.mode === 'balanced' || (prior.mode === 'roles' && prior.ratingMap);
+  return { key, teams, seedRatings: rated ? prior.ratingMap : undefined };
+}
+
+// ---------- Lineup edits ("swap", "move", "lock" and the menu) ----------
+// Real ratings behind a lineup, or null (random teams; a ranked list's are only its order)
+function lineupRatings(prior) {
+  if (prior.mode === 'random' || prior.mode === 'snake_order') return null;
+  return prior.ratingMap || null;
+}
+
+// Where a name sits in the last lineup: { list: 'lastTeams'|'lastSubs', team, index }, or null.
+// Aliases count ("ashu" finds Ashutosh).
+function findInLineup(prior, name) {
+  const keys = new Set([normalizeNameKey(name), normalizeNameKey(canonicalName(name))]);
+  for (const list of ['lastTeams', 'lastSubs']) {
+    const teams = prior[list] || [];
+    for (let team = 0; team < teams.length; team++) {
+      const index = teams[team].findIndex(n => keys.has(normalizeNameKey(n)));
+      if (index >= 0) return { list, team, index };
+    }
+  }
+  return null;
+}
+
+// "Kevin Simon", "Kevin, Simon", "Kevin and Simon", "Juan Carlos / Simon" -> the two players'
+// spots (see findInLineup), or null. Any one word between the names is taken as an "and".
+function twoLineupNames(prior, text) {
+  const words = String(text).replace(/[,&/↔]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+  for (let i = 1; i < words.length; i++) {
+    for (let j = i; j <= Math.min(i + 1, words.length - 1); j++) {
+      const a = findInLineup(prior, words.slice(0, i).join(' '));
+      const b = a && findInLineup(prior, words.slice(j).join(' '));
+      if (b) return [a, b];
+    }
+  }
+  return null;
+}
+
+// Make the last lineup tonight's official one: the lineup history confirms it (so it's what
+// counts as a game played for bibs), and results are recorded against it from now on, even
+// after more shuffles.
+function lockLineup(prior) {
+  prior.locked = { key: prior.lastKey, teams: prior.lastTeams, subs: prior.lastSubs };
+  confirmLineup(prior.sessionId, prior.lastTeams);
+}
+
+// Swap two spots of the last lineup (a sub can swap in); false when they're on the same team.
+function swapInLineup(prior, a, b) {
+  if (a.list === b.list && a.team === b.team) return false;
+  prior.lastTeams = prior.lastTeams.map(team => team.slice());
+  if (prior.lastSubs) prior.lastSubs = prior.lastSubs.map(subs => subs.slice());
+  const name = prior[a.list][a.team][a.index];
+  prior[a.list][a.team][a.index] = prior[b.list][b.team][b.index];
+  prior[b.list][b.team][b.index] = name;
+  return true;
+}
+
+// Move a spot of the last lineup (a player or a sub) into team's players. Where that would
+// leave the teams uneven it is a swap instead, with the team's player closest in rating (the
+// last one listed for teams without ratings); returns that player, or null for a plain move.
+function moveInLineup(prior, spot, team) {
+  const sizes = prior.lastTeams.map((players, i) => players.length - (spot.list === 'lastTeams' && i === spot.team ? 1 : 0));
+  if (sizes[team] >= Math.max(...sizes)) {
+    const target = prior.lastTeams[team];
+    const ratings = lineupRatings(prior);
+    const rating = (n) => ratings.get(n) || 0;
+    const mover = ratings && rating(prior[spot.list][spot.team][spot.index]);
+    const index = ratings
+      ? target.reduce((best, n, i) => (Math.abs(rating(n) - mover) < Math.abs(rating(target[best]) - mover) ? i : best), 0)
+      : target.length - 1;
+    const other = target[index];
+    swapInLineup(prior, spot, { list: 'lastTeams', team, index });
+    return other;
+  }
+  prior.lastTeams = prior.lastTeams.map(players => players.slice());
+  if (prior.lastSubs) prior.lastSubs = prior.lastSubs.map(subs => subs.slice());
+  const [name] = prior[spot.list][spot.team].splice(spot.index, 1);
+  prior.lastTeams[team].push(name);
+  return null;
+}
+
+// The last lineup as a teams message again, after a change by hand
+function renderLineup(prior, lang = 'en') {
+  const totals = getSettings().totals && prior.ratingMap ? computeTeamSums(prior.lastTeams, prior.ratingMap) : undefined;
+  const extras = prior.extrasMode === 'subs' ? { subs: prior.lastSubs } : { waitlist: prior.extras };
+  return formatTeamsBlocks(prior.lastTeams, totals, prior.bibsNext, null, lang, { ...extras, roles: prior.roles });
+}
+
+// "Show ratings": every player of the last lineup with their rating, strongest first, team by team
+function renderRatings(prior, lang = 'en') {
+  const ratings = lineupRatings(prior);
+  const colors = teamColors(lang);
+  const strongestFirst = (names) => names.slice().sort((a, b) => (ratings.get(b) || 0) - (ratings.get(a) || 0));
+  const withRating = (n) => `${titleCaseName(n)} ${formatRating(ratings.get(n) || 0)}`;
+  const sums = computeTeamSums(prior.lastTeams, ratings);
+  const blocks = prior.lastTeams.map((team, i) => {
+    const body = strongestFirst(team).map(n => `• ${withRating(n)}`).join('\n');
+    const subs = (prior.lastSubs && prior.lastSubs[i]) || [];
+    const subsLine = subs.length ? `\n${t(lang, 'teams.sub', { names: strongestFirst(subs).map(withRating).join(', ') })}` : '';
+    return `${colors[i].emoji}  ${colors[i].name}\n${body}${subsLine}\n${t(lang, 'teams.total', { total: formatRating(sums[i]) })}`;
+  });
+  return `${t(lang, 'ratings.title')}\n\n${blocks.join('\n\n')}`;
+}
+
+// ---------- Team poster (poster.js) ----------
+/**
+ * The last lineup the way poster.js draws it: the teams message's colors, names, subs, totals
+ * and bibs line, without emoji. Names go alphabetically ("set order pick" keeps pick order):
+ * a random order would differ from the text sent with it.
+ */
+function posterOf(prior, lang = 'en') {
+  const settings = getSettings();
+  const colors = teamColors(lang);
+  const totals = settings.totals && prior.ratingMap ? computeTeamSums(prior.lastTeams, prior.ratingMap) : null;
+  const ordered = (names) => (settings.order === 'pick' ? names.slice() : names.slice().sort((a, b) => a.localeCompare(b)));
+  const role = (n) => (prior.roles && prior.roles.get(n) ? ` (${prior.roles.get(n)})` : '');
+  const teams = prior.lastTeams.map((team, i) => {
+    const subs = (prior.extrasMode === 'subs' && prior.lastSubs && prior.lastSubs[i]) || [];
+    return {
+      emoji: colors[i].emoji,
+      name: colors[i].name,
+      players: ordered(team).map(n => `${titleCaseName(n)}${role(n)}`),
+      subs: subs.length ? t(lang, 'poster.subs', { names: subs.map(titleCaseName).join(', ') }) : undefined,
+      total: totals ? t(lang, 'teams.total', { total: formatRating(totals[i]) }) : undefined
+    };
+  });
+  const waitlist = prior.extrasMode === 'subs' ? [] : prior.extras || [];
+  const bibs = typeof prior.bibsNext === 'string' ? { name: prior.bibsNext } : prior.bibsNext;
+  const footer = [
+    bibs && t(lang, 'poster.bibsNext', { name: titleCaseName(bibs.name) }),
+    waitlist.length && t(lang, 'poster.waitlist', { names: waitlist.map(titleCaseName).join(', ') })
+  ].filter(Boolean);
+  return { title: t(lang, 'teams.title'), teams, footer };
+}
+
+function renderStandings(night, lang = 'en') {
+  const rows = standings(night).map((r, i) => t(lang, 'results.row', {
+    rank: i + 1, team: teamLabel(r.team, lang), count: r.points,
+    won: r.won, drawn: r.drawn, lost: r.lost, goalsFor: r.goalsFor, goalsAgainst: r.goalsAgainst
+  }));
+  const games = night.games.map(g => `${teamLabel(g.a, lang)} ${g.goalsA}–${g.goalsB} ${teamLabel(g.b, lang)}`);
+  return `${t(lang, 'results.table', { count: night.games.length })}\n${rows.join('\n')}\n\n` +
+    `${t(lang, 'results.games')}\n${games.join('\n')}`;
+}
+
+// ---------- Player registry rendering ----------
+function renderPlayers(lang = 'en') {
+  const players = listPlayers();
+  if (!players.length) return t(lang, 'players.none');
+  const lines = players.map(p => {
+    const rating = Number.isFinite(p.rating) ? formatRating(p.rating) : '—';
+    const pos = p.position ? ` (${p.position})` : '';
+    const line = `${titleCaseName(p.name)} — ${rating}${pos}`;
+    return (p.aliases || []).length ? t(lang, 'players.aka', { name: line, aliases: p.aliases.join(', ') }) : line;
+  });
+  return `${t(lang, 'players.title', { count: players.length })}\n` + lines.join('\n');
+}
+
+function renderBibsHistory(lang = 'en') {
+  const entries = bibsSummary()
+    .filter(p => (p.count || 0) > 0)
+    .sort((a,b) => a.count - b.count);
+  if (!entries.length) return t(lang, 'bibs.none');
+
+  const lines = entries.map(p => {
+    const row = { name: titleCaseName(p.name), count: p.count, bar: '▮'.repeat(Math.min(20, p.count)) };
+    return p.dates.length
+      ? t(lang, 'bibs.rowLast', { ...row, date: formatDay(p.dates[p.dates.length - 1], lang) })
+      : t(lang, 'bibs.row', row);
+  });
+  const describe = (e) => {
+    const type = ['wash', 'add', 'set', 'undo'].includes(e.type) ? e.type : 'import';
+    return t(lang, `bibs.entry.${type}`, { name: titleCaseName(e.name), count: e.count });
+  };
+  const recent = recentEntries(5).map(e => `${formatDay(e.at, lang)} — ${describe(e)}`);
+  const out = Array.from(activeOptOuts().values()).map(o => (o.until
+    ? t(lang, 'bibs.until', { name: titleCaseName(o.name), date: formatDay(o.until, lang) })
+    : titleCaseName(o.name)));
+  return `${t(lang, 'bibs.title')}\n` + lines.join('\n') + `\n\n${t(lang, 'bibs.recent')}\n` + recent.join('\n') +
+    (out.length ? `\n\n${t(lang, 'bibs.sittingOut', { names: out.join(', ') })}` : '');
+}
+
+// ---------- Group rendering ----------
+function renderGroup(group, authorId, lang = 'en') {
+  const people = (ids) => (ids.length ? ids.map(id => (/^\d+$/.test(id) ? maskPhone(id) : id)).join(', ') : '—');
+  const lines = [group.code
+    ? t(lang, 'group.title', { group: group.name, code: group.code })
+    : t(lang, 'group.titleDefault', { group: group.name })];
+  if (!group.admins.length && !group.organisers.length) {
+    lines.push(t(lang, 'group.open'), t(lang, 'group.setUp'));
+  } else {
+    lines.push(t(lang, 'group.admins', { ids: people(group.admins) }), t(lang, 'group.organisers', { ids: people(group.organisers) }));
+    lines.push(t(lang, 'group.you', { role: t(lang, `role.${roleOf(group, authorId) || 'player'}`) }));
+  }
+  lines.push('', t(lang, 'group.commands'));
+  return lines.join('\n');
+}
+
+// ---------- Group settings ----------
+const DEFAULT_WORDS = /^(default|reset)$/i;
+
+// "set <name> <value>" -> null when saved, else what's wrong with it
+function applySetting(name, value, lang = 'en') {
+  if (!value) return t(lang, 'settings.missing', { name });
+  const reset = DEFAULT_WORDS.test(value);
+  if (name === 'totals') {
+    const on = /^(on|yes|show)$/i.test(value), off = /^(off|no|hide)$/i.test(value);
+    if (!on && !off && !reset) return t(lang, 'settings.badTotals', { value });
+    updateSetting('totals', reset ? undefined : on);
+    return null;
+  }
+  if (name === 'poster') {
+    const on = /^(on|yes|show)$/i.test(value), off = /^(off|no|hide)$/i.test(value);
+    if (!on && !off && !reset) return t(lang, 'settings.badPoster', { value });
+    updateSetting('poster', reset ? undefined : on);
+    return null;
+  }
+  if (name === 'order') {
+    const order = value.toLowerCase();
+    if (!ORDERS.includes(order) && !reset) return t(lang, 'settings.badOrder', { orders: listOf(lang, ORDERS, 'disjunction'), value });
+    updateSetting('order', reset ? undefined : order);
+    return null;
+  }
+  if (name === 'colors' || name === 'colours') {
+    if (reset) {
+      updateSetting('colors', undefined);
+      return null;
+    }
+    const colors = value.split(/\s*,\s*|\s+/).map(c => c.trim().toUpperCase()).filter(Boolean);
+    if (colors.length > MAX_TEAMS) return t(lang, 'settings.tooManyColors', { count: colors.length, max: MAX_TEAMS });
+    if (colors.some(c => c.length > 12)) return t(lang, 'settings.longColor');
+    if (new Set(colors).size !== colors.length) return t(lang, 'settings.sameColor');
+    updateSetting('colors', colors);
+    return null;
+  }
+  if (name === 'signoff' || name === 'sign-off') {
+    const text = value.replace(/^["“”']+|["“”']+$/g, '').trim();
+    if (text.length > MAX_SIGNOFF) return t(lang, 'settings.longSignoff', { max: MAX_SIGNOFF });
+    updateSetting('signoff', reset ? undefined : /^(none|off)$/i.test(text) ? '' : text);
+    return null;
+  }
+  return t(lang, 'settings.unknown', { name });
+}
+
+function renderSettings(group, lang = 'en') {
+  const settings = getSettings();
+  const custom = customSettings();
+  const show = (name, value) => t(lang, `settings.${name}`, {
+    value: Object.prototype.hasOwnProperty.call(custom, name) ? value : t(lang, 'settings.default', { value })
+  });
+  const colors = teamColors(lang).map(c => `${c.emoji} ${c.name}`);
+  return [
+    t(lang, 'settings.title', { group: group.name }),
+    show('totals', t(lang, settings.totals ? 'settings.on' : 'settings.off')),
+    show('order', settings.order),
+    show('colors', colors.join(', ')),
+    show('signoff', settings.signoff === null ? t(lang, 'teams.signoff') : settings.signoff || t(lang, 'settings.none')),
+    show('poster', t(lang, settings.poster ? 'settings.on' : 'settings.off')),
+    '',
+    t(lang, 'settings.usage')
+  ].join('\n');
+}
+
+// ---------- Weekly schedule ----------
+const SCHEDULE_OPTIONS = { open: 'open', remind: 'remind', cutoff: 'close', close: 'close', teams: 'teams' };
+
+/**
+ * "schedule Monday 20:00 Europe/Madrid 15 cutoff 2h teams 30m" →
+ *   { weekday, time, tz, format, offsets } | { error: 'usage' } | { error: 'timezone', tz }
+ * Timezone defaults to the server's, spots to DEFAULT_FORMAT; durations are hours unless "m".
+ */
+function parseScheduleCommand(text) {
+  const tokens = text.trim().split(/\s+/).slice(1);
+  const weekday = parseWeekday(tokens.shift());
+  const clock = (tokens.shift() || '').match(/^(\d{1,2})[:.h](\d{2})$/);
+  if (weekday < 0 || !clock || +clock[1] > 23 || +clock[2] > 59) return { error: 'usage' };
+  const time = `${clock[1].padStart(2, '0')}:${clock[2]}`;
+
+  let tz = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  let format = DEFAULT_FORMAT;
+  const offsets = {};
+  while (tokens.length) {
+    const token = tokens.shift();
+    const option = SCHEDULE_OPTIONS[token.toLowerCase()];
+    if (option) {
+      const d = (tokens.shift() || '').match(/^(\d{1,3}(?:[.,]\d+)?)\s*(h|m|min)?$/i);
+      if (!d) return { error: 'usage' };
+      const amount = parseFloat(d[1].replace(',', '.'));
+      offsets[option] = amount * (/^m/i.test(d[2] || '') ? 60 * 1000 : 60 * 60 * 1000);
+    } else if (/^\d{1,3}$/.test(token) || parseFormatSpec(token)) {
+      format = /^\d{1,3}$/.test(token) ? formatForCount(parseInt(token, 10)) : parseFormatSpec(token);
+      if (!format) return { error: 'usage' };
+    } else if (/^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/.test(token)) {
+      if (!isValidTimeZone(token)) return { error: 'timezone', tz: token };
+      tz = token;
+    } else {
+      return { error: 'usage' };
+    }
+  }
+  return { weekday, time, tz, format, offsets };
+}
+
+// The game the schedule opened, while it's the current one
+function scheduledGame(schedule) {
+  const game = currentGame();
+  return game && game.day === WEEKDAYS[schedule.weekday] && game.time === schedule.time ? game : null;
+}
+
+// Distinct chats of a list of spots (guests count under their host's chat) → Map<replyTo, names[]>
+function chatsOf(spots) {
+  const chats = new Map();
+  for (const s of spots) {
+    if (!chats.has(s.replyTo)) chats.set(s.replyTo, []);
+    chats.get(s.replyTo).push(s.name);
+  }
+  return chats;
+}
+
+// One scheduled step for the weekly game; see scheduler.js
+async function runScheduledStage(stage, schedule) {
+  const owner = schedule.by;
+  const day = WEEKDAYS[schedule.weekday];
+  const langOf = (to) => userLangPref.get(to) || 'en';
+
+  if (stage === 'open') {
+    const previous = currentGame();
+    const opened = openGame({ by: owner, day, time: schedule.time, format: schedule.format });
+    if (opened.error) {
+      const g = opened.game;
+      const lang = langOf(owner);
+      await pushText(owner, t(lang, 'schedule.openFailed', { day, time: schedule.time, openDay: g.day, openTime: g.time }));
+      return;
+    }
+    // Organiser plus everyone from the last game
+    const regulars = previous ? Array.from(chatsOf(previous.spots.filter(s => !s.hostId)).keys()) : [];
+    for (const to of new Set([owner, ...regulars])) {
+      await pushText(to, t(langOf(to), 'schedule.opened', { day, time: schedule.time, format: formatLabel(schedule.format) }));
+    }
+    return;
+  }
+
+  const game = scheduledGame(schedule);
+  if (!game) return; // not opened (or replaced by a manual game)
+
+  if (stage === 'remind') {
+    if (game.closed) return;
+    for (const [to, names] of chatsOf(splitSpots(game).confirmed)) {
+      await pushText(to, t(langOf(to), 'schedule.reminder', { day, time: schedule.time, names: names.join(', ') }));
+    }
+    return;
+  }
+
+  if (stage === 'close') {
+    if (!closeGame()) return;
+    const lang = langOf(owner);
+    await pushText(owner, `${t(lang, 'schedule.closed')}\n\n${renderGame(currentGame(), lang)}`);
+    return;
+  }
+
+  if (stage === 'teams') {
+    // Same as the organiser sending "make teams": they get the menu and can shuffle
+    const target = transports.get(channelOf(owner));
+    const texts = [];
+    const relay = {
+      sendText: (to, text) => { texts.push(text); return target && target.sendText(to, text); },
+      sendButtons: (to, text, buttons) => target && target.sendButtons(to, text, buttons),
+      sendList: (to, text, button, rows) => target && target.sendList(to, text, button, rows),
+      sendImage: (to, png, caption) => target && target.sendImage && target.sendImage(to, png, caption)
+    };
+    const before = lastRosterByUser.get(owner)?.sessionId;
+    await handleGroupMessage({
+      from: owner, id: `schedule:${schedule.id}:${schedule.kickoffAt}`, author: { id: owner }, type: 'text', text: 'make teams'
+    }, relay, getGroup(storage.currentGroup()));
+    const made = lastRosterByUser.get(owner)?.sessionId;
+    if (!made || made === before || !texts.length) return;
+    // ... and every player's chat gets the teams too
+    for (const to of chatsOf(game.spots).keys()) {
+      if (to !== owner) await pushText(to, texts[texts.length - 1]);
+    }
+  }
+}
+
+// Run every group's weekly game steps on time (server.js calls this once the transports are up).
+function startGameScheduler() {
+  return startScheduler(runScheduledStage, {
+    eachGroup: async (tick) => {
+      for (const id of groupIds()) await storage.withGroup(id, tick);
+    }
+  });
+}
+
+function renderSchedule(schedule, lang = 'en') {
+  const when = (ms) => new Intl.DateTimeFormat(lang === 'en' ? 'en-GB' : lang, {
+    timeZone: schedule.tz, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).format(new Date(ms));
+  const before = (ms) => (ms % (60 * 60 * 1000)
+    ? t(lang, 'schedule.minutes', { count: Math.round(ms / 60000) })
+    : t(lang, 'schedule.hours', { count: ms / (60 * 60 * 1000) }));
+  const steps = stageTimes(schedule).map(({ stage, at }) =>
+    t(lang, 'schedule.step', { stage: t(lang, `schedule.stage.${stage}`), when: when(at), before: before(schedule.offsets[stage]) }) +
+    (schedule.done.includes(stage) ? ' ✓' : ''));
+  return t(lang, 'schedule.every', { day: WEEKDAYS[schedule.weekday], time: schedule.time, tz: schedule.tz, format: formatLabel(schedule.format) }) +
+    `\n${t(lang, 'schedule.next', { when: when(schedule.kickoffAt) })}\n${steps.join('\n')}`;
+}
+
+// ---------- Signup rendering ----------
+function renderGame(game, lang = 'en') {
+  const { confirmed, waitlist } = splitSpots(game);
+  const list = (spots) => spots.map((s, i) => `${i + 1}. ${titleCaseName(s.name)}`).join('\n');
+  const head = t(lang, game.closed ? 'game.headClosed' : 'game.head', {
+    day: game.day, time: game.time, format: formatLabel(game.format), count: confirmed.length, capacity: capacity(game)
+  });
+  const body = `\n${confirmed.length ? list(confirmed) : t(lang, 'game.nobody')}`;
+  const wait = waitlist.length ? `\n\n${t(lang, 'teams.waitlist')}\n${list(waitlist)}` : '';
+  return `${head}${body}${wait}`;
+}
+
+// Where a player (and their guests) stand after signing up, in their language.
+function signupStatus(game, playerId, lang = 'en') {
+  const cap = capacity(game);
+  const own = game.spots.map((s, i) => ({ s, i })).filter(({ s }) => s.id === playerId || s.hostId === playerId);
+  const lines = own.map(({ s, i }) => (i < cap
+    ? t(lang, 'signup.in', { name: s.name, position: i + 1, capacity: cap })
+    : t(lang, 'signup.waiting', { name: s.name, position: i - cap + 1 })));
+  const head = `📅 ${game.day} ${game.time}`;
+  const note = own.some(({ i }) => i >= cap) ? `\n${t(lang, 'signup.willTell')}` : '';
+  return `${head}\n${lines.join('\n')}${note}`;
+}
+
+module.exports = { handleMessage, registerTransport, startGameScheduler };
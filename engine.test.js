@@ -0,0 +1,236 @@
+// engine.test.js
+// Engine checks (npm test) through handleMessage() with a transport that just records the
+// replies, on a throwaway DATA_DIR; each test talks from its own chat and starts with no players,
+// bibs, lineups, results or settings.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-engine-'));
+for (const name of ['STORAGE', 'ADMINS', 'ORGANISERS', 'SHOW_TOTALS', 'TEAM_LIST_ORDER', 'GUEST_TEAM', 'GUEST_RATING']) {
+  delete process.env[name];
+}
+process.env.RATE_LIMIT_PER_MINUTE = '1000';
+
+const storage = require('./storage');
+const { handleMessage } = require('./engine');
+const { setCount } = require('./bibs');
+const { getPlayer } = require('./players');
+
+test.beforeEach(() => {
+  for (const ns of ['players', 'bibs', 'lineups', 'results', 'settings']) storage.replace(ns, {});
+});
+
+// A chat in English: say(text) / press(buttonId) return the replies, [{ type, text, ids? }]; from is its id
+let chats = 0;
+async function openChat() {
+  const from = `tester${++chats}`;
+  let id = 0;
+  const send = async (msg) => {
+    const replies = [];
+    const transport = {
+      sendText: async (to, text) => replies.push({ type: 'text', text }),
+      sendButtons: async (to, text, buttons) => replies.push({ type: 'buttons', text, ids: buttons.map(b => b.id) }),
+      sendList: async (to, text, button, rows) => replies.push({ type: 'list', text, ids: rows.map(r => r.id) })
+    };
+    await handleMessage({ from, id: `${from}-${++id}`, author: { id: from }, ...msg }, transport);
+    return replies;
+  };
+  const chat = {
+    from,
+    say: (text) => send({ type: 'text', text }),
+    press: (buttonId) => send({ type: 'button', buttonId })
+  };
+  await chat.say('lang en');
+  return chat;
+}
+
+// The teams in a teams message: one array of names per colour block
+function teamsIn(text) {
+  return text.split('\n\n')
+    .map(block => block.split('\n'))
+    .filter(lines => /^\S+\s{2}\S/u.test(lines[0]))
+    .map(lines => lines.filter(line => line.startsWith('• ')).map(line => line.slice(2)));
+}
+// The waiting list under a teams message, in order
+const waitlistIn = (text) => (text.split('⏳')[1] || '').split('\n').map(line => line.match(/^\d+\. (.+)/)).filter(Boolean).map(m => m[1]);
+// Each team's rotating subs
+const subsIn = (text) => text.split('\n\n')
+  .filter(block => /^\S+\s{2}\S/u.test(block))
+  .map(block => (block.match(/🔁 [^:]+: (.+)/) || [null, ''])[1].split(', ').filter(Boolean));
+const bibsNextIn = (text) => text.match(/🧼 Bibs next: ([^ (]+)/)[1];
+const teamsMessage = (replies) => replies.find(r => r.type === 'text' && r.text.includes('• ')).text;
+const roster = (names) => names.join('\n');
+const NAMES = ['Anish', 'Juan', 'Kevin', 'Simon', 'Rajesh', 'Pedro', 'Nami', 'Elias'];
+
+test('"teams 2x3:" makes two teams of three', async () => {
+  const chat = await openChat();
+  const teams = teamsIn(teamsMessage(await chat.say(`teams 2x3:\n${roster(NAMES.slice(0, 6))}`)));
+  assert.deepStrictEqual(teams.map(team => team.length), [3, 3]);
+  assert.deepStrictEqual(teams.flat().sort(), NAMES.slice(0, 6).sort());
+});
+
+test('"snake 4x2:" snakes the ratings into four even teams', async () => {
+  const chat = await openChat();
+  const rated = NAMES.map((name, i) => `${name} ${8 - i}`);
+  const teams = teamsIn(teamsMessage(await chat.say(`snake 4x2:\n${roster(rated)}`)));
+  const rating = new Map(NAMES.map((name, i) => [name, 8 - i]));
+  assert.deepStrictEqual(teams.map(team => team.reduce((sum, name) => sum + rating.get(name), 0)), [9, 9, 9, 9]);
+});
+
+test('a format out of range gets an explanation instead of teams', async () => {
+  const chat = await openChat();
+  const [reply] = await chat.say(`teams 9x2:\n${roster(NAMES)}`);
+  assert.strictEqual(reply.type, 'buttons');
+  assert.match(reply.text, /9x2/);
+});
+
+test('names beyond the format wait in line, first come first served', async () => {
+  const chat = await openChat();
+  const text = teamsMessage(await chat.say(`teams 2x3:\n${roster(NAMES)}`));
+  assert.deepStrictEqual(teamsIn(text).flat().sort(), NAMES.slice(0, 6).sort());
+  assert.deepStrictEqual(waitlistIn(text), ['Nami', 'Elias']);
+});
+
+test('"subs:" spreads the extras as rotating subs, the weaker team first', async () => {
+  const chat = await openChat();
+  const text = teamsMessage(await chat.say('snake 2x2 subs:\nAnish 9\nJuan 5\nKevin 4\nSimon 1\nPedro 3'));
+  const teams = teamsIn(text);
+  const weaker = teams.findIndex(team => team.includes('Juan'));
+  assert.deepStrictEqual(teams[weaker].sort(), ['Juan', 'Kevin']); // 9 vs 10: the best snake split
+  assert.deepStrictEqual(subsIn(text)[weaker], ['Pedro']);
+  assert.deepStrictEqual(waitlistIn(text), []);
+});
+
+test('"roles:" spreads each role, tagged or stored, across the teams', async () => {
+  const chat = await openChat();
+  await chat.say('pos Juan DEF');
+  const teamOf = (teams, label) => teams.findIndex(team => team.includes(label));
+  let replies = await chat.say('roles 2x3:\nAnish (GK) 9\nJuan 8\nKevin (DEF) 7\nSimon (GK) 6\nRajesh 5\nPedro 4');
+  for (let i = 0; i < 5; i++) {
+    const teams = teamsIn(teamsMessage(replies));
+    assert.notStrictEqual(teamOf(teams, 'Anish (GK)'), teamOf(teams, 'Simon (GK)'));
+    assert.notStrictEqual(teamOf(teams, 'Juan (DEF)'), teamOf(teams, 'Kevin (DEF)'));
+    replies = await chat.press('shuffle');
+  }
+});
+
+test('goalkeepers are spread in every mode', async () => {
+  const chat = await openChat();
+  for (let i = 0; i < 5; i++) {
+    const teams = teamsIn(teamsMessage(await chat.say('teams 2x3:\nAnish (GK)\nJuan\nKevin\nSimon (GK)\nRajesh\nPedro')));
+    assert.strictEqual(teams.filter(team => team.some(name => name.endsWith('(GK)'))).length, 2);
+  }
+});
+
+test('bibs go to the fewest washes per game, skipping guests and players sitting out', async () => {
+  const chat = await openChat();
+  setCount('Anish', 2);
+  setCount('Juan', 2);
+  setCount('Kevin', 1);
+  const lineup = 'teams 2x3:\nAnish\nJuan\nKevin\nSimon\nSimon+1\nPedro+1';
+  assert.strictEqual(bibsNextIn(teamsMessage(await chat.say(lineup))), 'Simon');
+  await chat.say('bibs off Simon 2w');
+  for (let i = 0; i < 5; i++) assert.strictEqual(bibsNextIn(teamsMessage(await chat.say(lineup))), 'Kevin');
+  await chat.say('bibs on Simon');
+  assert.strictEqual(bibsNextIn(teamsMessage(await chat.say(lineup))), 'Simon');
+});
+
+test('guests play on their host\'s team and stay out of the registry', async () => {
+  const chat = await openChat();
+  for (let i = 0; i < 5; i++) {
+    const teams = teamsIn(teamsMessage(await chat.say("teams 2x3:\nAnish\nKevin\nKevin+1\nSimon\nJuan's friend\nJuan")));
+    assert.ok(teams.some(team => team.includes('Kevin') && team.includes('Kevin+1')));
+    assert.ok(teams.some(team => team.includes('Juan') && team.includes("Juan's Friend")));
+  }
+  await chat.say('rate Kevin+1 7');
+  assert.deepStrictEqual(storage.load('players'), {});
+});
+
+test('in a group only organisers change shared data, and the group keeps its own', async () => {
+  const admin = await openChat();
+  const member = await openChat();
+  const [created] = await admin.say('group new Tuesday Futsal');
+  const code = created.text.match(/group join (\S+)/)[1];
+  await member.say(`group join ${code}`);
+  assert.match((await member.say('rate Kevin 8'))[0].text, /Only organisers/);
+  await admin.say(`organiser add ${member.from}`);
+  assert.match((await member.say('rate Kevin 8'))[0].text, /Kevin 8/);
+  assert.deepStrictEqual(storage.load('players'), {}); // the default group's registry
+});
+
+test('group settings change how the teams message looks until reset', async () => {
+  const chat = await openChat();
+  for (const setting of ['set colors green,white', 'set order alpha', 'set totals off', 'set signoff "Vamos!"']) {
+    assert.match((await chat.say(setting))[0].text, /^✅/);
+  }
+  const lineup = 'snake 2x2:\nAnish 4\nJuan 3\nKevin 2\nSimon 1';
+  let text = teamsMessage(await chat.say(lineup));
+  assert.deepStrictEqual(text.match(/^\S+ {2}\S+$/gmu), ['🟢  GREEN', '⚪  WHITE']);
+  assert.deepStrictEqual(teamsIn(text), [['Anish', 'Simon'], ['Juan', 'Kevin']]);
+  assert.ok(!text.includes('Total'));
+  assert.ok(text.endsWith('Vamos!'));
+
+  await chat.say('settings reset');
+  text = teamsMessage(await chat.say(lineup));
+  assert.deepStrictEqual(text.match(/^\S+ {2}\S+$/gmu), ['🟡  YELLOW', '🔵  BLUE']);
+  assert.match(text, /Total: 5/);
+  assert.ok(text.endsWith('Have fun! ⚽'));
+});
+
+test('the options menu under the teams offers what fits the lineup', async () => {
+  const chat = await openChat();
+  const menuOf = (replies) => replies.find(r => r.type === 'list').ids;
+  assert.deepStrictEqual(menuOf(await chat.say(`teams 2x2:\n${roster(NAMES.slice(0, 4))}`)), ['shuffle', 'swap', 'lock', 'format', 'bibs_history', 'help']);
+  assert.ok(menuOf(await chat.say('snake 2x2:\nAnish 4\nJuan 3\nKevin 2\nSimon 1')).includes('ratings'));
+  assert.match((await chat.press('lock'))[0].text, /Locked/);
+  assert.ok(menuOf(await chat.press('shuffle')).includes('lock')); // the shuffled lineup isn't the locked one
+});
+
+test('"Change format" lists the formats the names fit, and a row remakes the teams', async () => {
+  const chat = await openChat();
+  const twelve = NAMES.concat(['Pranab', 'Saugat', 'Amrit', 'Kunal']);
+  await chat.say(`teams 2x6:\n${roster(twelve)}`);
+  const [formats] = await chat.press('format');
+  assert.strictEqual(formats.type, 'list');
+  assert.deepStrictEqual(formats.ids.slice(0, 2), ['format:3x4', 'format:4x3']);
+  const teams = teamsIn(teamsMessage(await chat.press('format:3x4')));
+  assert.deepStrictEqual(teams.map(team => team.length), [4, 4, 4]);
+});
+
+test('"Swap" asks for two names and swaps them', async () => {
+  const chat = await openChat();
+  const before = teamsIn(teamsMessage(await chat.say(`teams 2x2:\n${roster(NAMES.slice(0, 4))}`)));
+  const [a, b] = [before[0][0], before[1][0]];
+  assert.strictEqual((await chat.press('swap'))[0].type, 'text');
+  const after = teamsIn(teamsMessage(await chat.say(`${a} ${b}`)));
+  assert.ok(after[0].includes(b) && after[1].includes(a));
+});
+
+test('"move" onto a full team swaps with the closest rating there', async () => {
+  const chat = await openChat();
+  const before = teamsIn(teamsMessage(await chat.say('snake 2x2:\nAnish 4\nJuan 3\nKevin 2\nSimon 1')));
+  const colour = before[0].includes('Anish') ? 'blue' : 'yellow';
+  const replies = await chat.say(`move Anish to ${colour}`);
+  assert.match(replies[0].text, /Swapped Anish and Juan/);
+  const after = teamsIn(teamsMessage(replies));
+  assert.ok(after.some(team => team.includes('Anish') && team.includes('Kevin')));
+  assert.ok(after.some(team => team.includes('Juan') && team.includes('Simon')));
+});
+
+test('a locked lineup is the one a result goes by, whatever is shuffled after', async () => {
+  const chat = await openChat();
+  await chat.say('snake 2x2:\nAnish 4\nJuan 3\nKevin 2\nSimon 1');
+  const [yellow, blue] = teamsIn(teamsMessage(await chat.say('swap Anish Juan')));
+  await chat.say('lock');
+  await chat.press('shuffle');
+  await chat.say('result yellow 1 blue 0');
+  const rated = { Anish: 4, Juan: 3, Kevin: 2, Simon: 1 };
+  for (const name of yellow) assert.ok(getPlayer(name).rating > rated[name], name);
+  for (const name of blue) assert.ok(getPlayer(name).rating < rated[name], name);
+});
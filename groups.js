@@ -0,0 +1,172 @@
+// groups.js
+// Groups: separate futsal groups sharing one bot, each with its own players, bibs ledger,
+// results, signups, schedule and settings (storage.withGroup keeps their data apart), and
+// its own admins and organisers.
+//
+// "groups" namespace in storage.js (groups.json with the JSON backend):
+//   {
+//     "groups": {
+//       "tuesday-futsal": { "id": "tuesday-futsal", "name": "Tuesday Futsal", "code": "K7Q2XD",
+//                           "admins": ["34600111222"], "organisers": ["tg:5551234"], "at": "..." }
+//     },
+//     "members": { "<chat id>": "tuesday-futsal" }   // which group a chat talks to
+//   }
+//
+// A chat (a WhatsApp number, a Telegram group, ...) belongs to one group at a time; chats
+// that never joined one use the default group, i.e. the data from before groups existed.
+// People are identified by the author id (a phone number on WhatsApp, "tg:<user id>" on
+// Telegram). Admins manage organisers; organisers (admins included) run the commands that
+// change shared data. A new group starts with its creator as admin and always keeps one.
+// The default group with no admins or organisers at all is open to everyone, so an install
+// that never set any up works as before. ADMINS / ORGANISERS (comma-separated
+// phone numbers or ids) add people to the default group.
+
+const storage = require('./storage');
+const { normalizeNameKey } = require('./names');
+
+const NS = 'groups';
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const ENV_ADMINS = idList(process.env.ADMINS);
+const ENV_ORGANISERS = idList(process.env.ORGANISERS);
+
+// "+34 600 11 22 33" -> "34600112233" (as WhatsApp sends it); other ids as written
+function personId(raw) {
+  const s = String(raw || '').trim();
+  return /^[+\d\s().-]+$/.test(s) ? s.replace(/\D/g, '') : s;
+}
+function idList(text) {
+  return String(text || '').split(',').map(personId).filter(Boolean);
+}
+
+function readGroups() {
+  return storage.get(NS, 'groups') || {};
+}
+function writeGroups(groups) {
+  storage.set(NS, 'groups', groups);
+}
+function readMembers() {
+  return storage.get(NS, 'members') || {};
+}
+
+// Default group as stored (people added by command) plus ADMINS / ORGANISERS
+function defaultGroup(groups = readGroups()) {
+  const stored = groups[storage.DEFAULT_GROUP] || {};
+  return {
+    id: storage.DEFAULT_GROUP,
+    name: stored.name || 'Default',
+    code: null,
+    admins: Array.from(new Set(ENV_ADMINS.concat(stored.admins || []))),
+    organisers: Array.from(new Set(ENV_ORGANISERS.concat(stored.organisers || [])))
+  };
+}
+
+function getGroup(id) {
+  const groups = readGroups();
+  if (!id || id === storage.DEFAULT_GROUP) return defaultGroup(groups);
+  return groups[id] || null;
+}
+
+// Group a chat talks to (the default group unless it joined another)
+function groupOf(chatId) {
+  return getGroup(readMembers()[chatId]) || defaultGroup();
+}
+
+// Every group id, default first (for the scheduler)
+function groupIds() {
+  return [storage.DEFAULT_GROUP].concat(Object.keys(readGroups()).filter(id => id !== storage.DEFAULT_GROUP));
+}
+
+function newCode(groups) {
+  const taken = new Set(Object.values(groups).map(g => g.code));
+  let code;
+  do {
+    code = Array.from({ length: 6 }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join('');
+  } while (taken.has(code));
+  return code;
+}
+
+// "Tuesday Futsal!" -> "tuesday-futsal" (also the file suffix, so kept to [a-z0-9-])
+function slug(name, groups) {
+  const base = normalizeNameKey(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24) || 'group';
+  let id = base;
+  for (let n = 2; groups[id] || id === storage.DEFAULT_GROUP; n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * New group named name; by (an author id) becomes its admin and chatId joins it.
+ * Returns the group.
+ */
+function createGroup(name, { by, chatId }) {
+  const groups = readGroups();
+  const id = slug(name, groups);
+  groups[id] = { id, name: name.trim(), code: newCode(groups), admins: [by], organisers: [], at: new Date().toISOString() };
+  writeGroups(groups);
+  setMembership(chatId, id);
+  return groups[id];
+}
+
+// Join the group with this code. Returns the group, or null for an unknown code.
+function joinGroup(chatId, code) {
+  const group = Object.values(readGroups()).find(g => g.code === String(code || '').trim().toUpperCase());
+  if (!group) return null;
+  setMembership(chatId, group.id);
+  return group;
+}
+
+// Back to the default group. Returns the group left, or null when already there.
+function leaveGroup(chatId) {
+  const members = readMembers();
+  if (!members[chatId]) return null;
+  const left = getGroup(members[chatId]);
+  setMembership(chatId, null);
+  return left;
+}
+
+function setMembership(chatId, groupId) {
+  const members = readMembers();
+  if (groupId) members[chatId] = groupId;
+  else delete members[chatId];
+  storage.set(NS, 'members', members);
+}
+
+// 'admin' | 'organiser' | null for a person in a group
+function roleOf(group, id) {
+  const person = personId(id);
+  if (group.admins.includes(person)) return 'admin';
+  if (group.organisers.includes(person)) return 'organiser';
+  return null;
+}
+// May this person change shared data? Everyone may in a group nobody manages yet.
+function canOrganise(group, id) {
+  return !group.admins.length && !group.organisers.length ? true : Boolean(roleOf(group, id));
+}
+// May this person add or remove organisers? (anyone while the group has no admin)
+function canAdmin(group, id) {
+  return !group.admins.length || roleOf(group, id) === 'admin';
+}
+
+/**
+ * Give a person a role in a group ('admin' | 'organiser'), or none (null).
+ * People from ADMINS / ORGANISERS keep theirs. Returns the updated group, or null when
+ * that would take the group's last admin away (a group that has one keeps one).
+ */
+function setRole(groupId, id, role) {
+  const groups = readGroups();
+  const person = personId(id);
+  const { admins } = getGroup(groupId) || { admins: [] };
+  if (role !== 'admin' && admins.length === 1 && admins[0] === person) return null;
+  const group = groups[groupId] || { id: groupId, admins: [], organisers: [] };
+  group.admins = group.admins.filter(p => p !== person);
+  group.organisers = group.organisers.filter(p => p !== person);
+  if (role === 'admin') group.admins.push(person);
+  if (role === 'organiser') group.organisers.push(person);
+  groups[groupId] = group;
+  writeGroups(groups);
+  return getGroup(groupId);
+}
+
+module.exports = {
+  personId, getGroup, groupOf, groupIds, createGroup, joinGroup, leaveGroup,
+  roleOf, canOrganise, canAdmin, setRole
+};
@@ -0,0 +1,70 @@
+// groups.test.js
+// Group and permission checks (npm test), on a throwaway DATA_DIR; every test starts with no
+// groups.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-groups-'));
+for (const name of ['STORAGE', 'ADMINS', 'ORGANISERS']) delete process.env[name];
+
+const storage = require('./storage');
+const {
+  personId, getGroup, groupOf, createGroup, joinGroup, leaveGroup, roleOf, canOrganise, canAdmin, setRole
+} = require('./groups');
+
+test.beforeEach(() => storage.replace('groups', {}));
+
+test('phone numbers are one person however they are written', () => {
+  assert.strictEqual(personId('+34 600 11 22 33'), '34600112233');
+  assert.strictEqual(personId('34600112233'), '34600112233');
+  assert.strictEqual(personId('tg:5551234'), 'tg:5551234');
+});
+
+test('the default group is open to everyone until someone runs it', () => {
+  const group = groupOf('34600000001');
+  assert.strictEqual(group.id, storage.DEFAULT_GROUP);
+  assert.ok(canOrganise(group, '34600000001'));
+  assert.ok(canAdmin(group, '34600000001'));
+});
+
+test('a new group is run by its creator only', () => {
+  const created = createGroup('Tuesday Futsal', { by: '34600000001', chatId: 'tg:-100' });
+  assert.strictEqual(created.id, 'tuesday-futsal');
+  assert.strictEqual(groupOf('tg:-100').id, 'tuesday-futsal');
+  assert.strictEqual(roleOf(created, '+34 600 000 001'), 'admin');
+  assert.ok(canOrganise(created, '34600000001'));
+  assert.ok(!canOrganise(created, '34600000002'));
+  assert.ok(!canAdmin(created, '34600000002'));
+});
+
+test('organisers organise, admins manage them', () => {
+  const { id } = createGroup('Tuesday Futsal', { by: '34600000001', chatId: 'tg:-100' });
+  const group = setRole(id, '34600000002', 'organiser');
+  assert.ok(canOrganise(group, '34600000002'));
+  assert.ok(!canAdmin(group, '34600000002'));
+  assert.strictEqual(roleOf(setRole(id, '34600000002', null), '34600000002'), null);
+});
+
+test('the last admin keeps the role', () => {
+  const { id } = createGroup('Tuesday Futsal', { by: '34600000001', chatId: 'tg:-100' });
+  assert.strictEqual(setRole(id, '34600000001', null), null);
+  assert.strictEqual(setRole(id, '34600000001', 'organiser'), null);
+  assert.deepStrictEqual(getGroup(id).admins, ['34600000001']);
+  setRole(id, '34600000002', 'admin');
+  assert.deepStrictEqual(setRole(id, '34600000001', null).admins, ['34600000002']);
+});
+
+test('chats join by code and leave back to the default group', () => {
+  const { code } = createGroup('Tuesday Futsal', { by: '34600000001', chatId: '34600000001' });
+  assert.strictEqual(joinGroup('34600000003', 'nope'), null);
+  assert.strictEqual(joinGroup('34600000003', code.toLowerCase()).id, 'tuesday-futsal');
+  assert.strictEqual(leaveGroup('34600000003').id, 'tuesday-futsal');
+  assert.strictEqual(groupOf('34600000003').id, storage.DEFAULT_GROUP);
+  assert.strictEqual(leaveGroup('34600000003'), null);
+});
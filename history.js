@@ -0,0 +1,135 @@
+// history.js
+// Lineup history across sessions + teammate "freshness".
+//
+// A session is one roster message and its "Shuffle again" chain. Every lineup sent is
+// kept as generated; recording a result against it (or locking it from the menu) marks it
+// confirmed.
+//
+// Stored as the "lineups" namespace (storage.js), i.e. lineups.json with the JSON backend:
+//   {
+//     "sessions": [
+//       { "id": "lq3x2k9a", "by": "<sender>", "date": "2024-05-06T19:02:11.000Z",
+//         "generated": [ { "at": "...", "teams": [["Rajesh", ...], ...] } ],   // newest last
+//         "confirmed": { "at": "...", "teams": [...] } | null }
+//     ]
+//   }
+//
+// Freshness looks at the last HISTORY_SESSIONS sessions: the confirmed lineup, or the
+// last one sent when none was confirmed, and counts how often each pair were teammates.
+
+const storage = require('./storage');
+const { normalizeNameKey } = require('./names');
+const { nameResolver } = require('./players');
+
+const HISTORY_SESSIONS = parseInt(process.env.HISTORY_SESSIONS || '3', 10);
+const MAX_SESSIONS = 100;
+const MAX_GENERATED = 20; // per session; older shuffles are dropped
+
+function readHistory() {
+  return { sessions: storage.get('lineups', 'sessions') || [] };
+}
+function writeHistory(obj) {
+  storage.set('lineups', 'sessions', obj.sessions);
+}
+
+// New session with its first lineup. Returns the session id.
+function startSession(by, teams) {
+  const store = readHistory();
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  store.sessions.push({
+    id, by, date: new Date().toISOString(),
+    generated: [{ at: new Date().toISOString(), teams }],
+    confirmed: null
+  });
+  if (store.sessions.length > MAX_SESSIONS) store.sessions.splice(0, store.sessions.length - MAX_SESSIONS);
+  writeHistory(store);
+  return id;
+}
+
+// Another lineup sent in the same session (a shuffle).
+function addGenerated(id, teams) {
+  const store = readHistory();
+  const session = store.sessions.find(s => s.id === id);
+  if (!session) return;
+  session.generated.push({ at: new Date().toISOString(), teams });
+  if (session.generated.length > MAX_GENERATED) session.generated.splice(0, session.generated.length - MAX_GENERATED);
+  writeHistory(store);
+}
+
+// The lineup that was actually played.
+function confirmLineup(id, teams) {
+  const store = readHistory();
+  const session = store.sessions.find(s => s.id === id);
+  if (!session) return;
+  session.confirmed = { at: new Date().toISOString(), teams };
+  writeHistory(store);
+}
+
+function pairKey(a, b) {
+  const ka = normalizeNameKey(a);
+  const kb = normalizeNameKey(b);
+  return ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+}
+
+/**
+ * How often each pair were teammates in the last `sessions` sessions (excluding the
+ * session with id excludeId, i.e. the one being shuffled).
+ * Returns Map<pairKey, count>.
+ */
+function recentPairCounts(excludeId = null, sessions = HISTORY_SESSIONS) {
+  const counts = new Map();
+  const recent = readHistory().sessions.filter(s => s.id !== excludeId).slice(-sessions);
+  for (const s of recent) {
+    const lineup = s.confirmed || s.generated[s.generated.length - 1];
+    if (!lineup) continue;
+    for (const team of lineup.teams) {
+      for (let i = 0; i < team.length; i++) {
+        for (let j = i + 1; j < team.length; j++) {
+          const k = pairKey(team[i], team[j]);
+          counts.set(k, (counts.get(k) || 0) + 1);
+        }
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Games each player appeared in: Map<player key, { games, lastDate }> (keys as players.js
+ * nameResolver, so aliases count as one player). A game is a calendar day with a session
+ * (several rosters on one night count once); the lineup is the confirmed one, else the
+ * last one sent.
+ */
+function appearances() {
+  const resolve = nameResolver();
+  const days = new Map(); // key -> Set of 'YYYY-MM-DD'
+  for (const s of readHistory().sessions) {
+    const lineup = s.confirmed || s.generated[s.generated.length - 1];
+    if (!lineup) continue;
+    const day = s.date.slice(0, 10);
+    for (const name of lineup.teams.flat()) {
+      const k = resolve(name).key;
+      if (!days.has(k)) days.set(k, new Set());
+      days.get(k).add(day);
+    }
+  }
+  const out = new Map();
+  for (const [k, set] of days) out.set(k, { games: set.size, lastDate: Array.from(set).sort().pop() });
+  return out;
+}
+
+// Teammate pairs in teams that already played together recently (weighted by how often).
+function repeatedPairs(teams, pairCounts) {
+  let repeats = 0;
+  if (!pairCounts || !pairCounts.size) return 0;
+  for (const team of teams) {
+    for (let i = 0; i < team.length; i++) {
+      for (let j = i + 1; j < team.length; j++) {
+        repeats += pairCounts.get(pairKey(team[i], team[j])) || 0;
+      }
+    }
+  }
+  return repeats;
+}
+
+module.exports = { startSession, addGenerated, confirmLineup, recentPairCounts, repeatedPairs, appearances };
@@ -0,0 +1,59 @@
+// history.test.js
+// Lineup history and teammate freshness checks (npm test), on a throwaway DATA_DIR; every test
+// starts with no lineups and no players.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-history-'));
+for (const name of ['HISTORY_FILE', 'PLAYERS_FILE', 'STORAGE', 'HISTORY_SESSIONS']) delete process.env[name];
+
+const storage = require('./storage');
+const { startSession, addGenerated, confirmLineup, recentPairCounts, repeatedPairs, appearances } = require('./history');
+const { addAlias } = require('./players');
+
+test.beforeEach(() => {
+  storage.replace('lineups', {});
+  storage.replace('players', {});
+});
+
+test('a session counts its confirmed lineup, else the last one sent', () => {
+  const id = startSession('chat', [['Kevin', 'Simon'], ['Anish', 'Juan']]);
+  addGenerated(id, [['Kevin', 'Anish'], ['Simon', 'Juan']]);
+  assert.deepStrictEqual([...recentPairCounts()], [['anish|kevin', 1], ['juan|simon', 1]]);
+  confirmLineup(id, [['Kevin', 'Juan'], ['Simon', 'Anish']]);
+  addGenerated(id, [['Kevin', 'Simon'], ['Anish', 'Juan']]);
+  assert.deepStrictEqual([...recentPairCounts()], [['juan|kevin', 1], ['anish|simon', 1]]);
+});
+
+test('only the last sessions count, and never the one being shuffled', () => {
+  startSession('chat', [['Kevin', 'Simon']]);
+  startSession('chat', [['Kevin', 'Simon']]);
+  const current = startSession('chat', [['Kevin', 'Simon']]);
+  assert.strictEqual(recentPairCounts().get('kevin|simon'), 3);
+  assert.strictEqual(recentPairCounts(current).get('kevin|simon'), 2);
+  assert.strictEqual(recentPairCounts(null, 1).get('kevin|simon'), 1);
+});
+
+test('repeatedPairs weighs each pair by how often it played together', () => {
+  const counts = new Map([['kevin|simon', 2], ['anish|juan', 1]]);
+  assert.strictEqual(repeatedPairs([['SIMON', 'kevin', 'Juan'], ['Anish']], counts), 2);
+  assert.strictEqual(repeatedPairs([['Simon', 'Kevin'], ['Anish', 'Juan']], counts), 3);
+  assert.strictEqual(repeatedPairs([['Simon', 'Kevin']], new Map()), 0);
+});
+
+test('appearances count one game per day, aliases as one player', () => {
+  startSession('chat', [['Kevin', 'Simon']]);
+  startSession('chat', [['Kev', 'Anish']]);
+  addAlias('Kev', 'Kevin');
+  const seen = appearances();
+  assert.strictEqual(seen.get('kevin').games, 1);
+  assert.strictEqual(seen.get('kevin').lastDate, new Date().toISOString().slice(0, 10));
+  assert.strictEqual(seen.has('kev'), false);
+  assert.strictEqual(seen.get('anish').games, 1);
+});
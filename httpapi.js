@@ -0,0 +1,59 @@
+// httpapi.js
+// Generic HTTP transport: one request in, the bot's replies back in the response.
+// For bridges to other chat apps, scripts, or trying the bot with curl.
+//
+//   POST /api/messages   Authorization: Bearer <API_TOKEN>
+//   { "from": "alice", "name": "Alice", "text": "in" }   or   { "from": "alice", "button": "shuffle" }
+//   → { "replies": [ { "type": "text", "text": "..." },
+//                    { "type": "buttons", "text": "...", "buttons": [ { "id", "title" } ] },
+//                    { "type": "list", "text": "...", "button": "...", "rows": [ { "id", "title", "description" } ] },
+//                    { "type": "image", "mimeType": "image/png", "data": "<base64>" } ] }
+// A button or menu row is answered by sending its id as "button".
+//
+// Senders are namespaced ("api:alice") so they never share state with a WhatsApp number.
+// name (optional) is what "in" signs them up as. Nothing can be pushed to HTTP senders later
+// (e.g. a waiting-list promotion), so those messages are only logged.
+// Disabled (404) unless API_TOKEN is set.
+
+const express = require('express');
+const { handleMessage } = require('./engine');
+
+const API_TOKEN = process.env.API_TOKEN;
+
+const router = express.Router();
+router.use('/api', express.json({ limit: '1mb' }));
+
+router.post('/api/messages', async (req, res) => {
+  if (!API_TOKEN || req.get('authorization') !== `Bearer ${API_TOKEN}`) return res.sendStatus(404);
+
+  const { from, name, text, button, id } = req.body || {};
+  if (typeof from !== 'string' || !/^[\w.@+-]{1,64}$/.test(from)) {
+    return res.status(400).json({ error: 'from must be 1–64 letters, digits or ._@+-' });
+  }
+  if (typeof text !== 'string' && typeof button !== 'string') {
+    return res.status(400).json({ error: 'send either text or button' });
+  }
+
+  const replies = [];
+  const transport = {
+    sendText: async (_to, body) => { replies.push({ type: 'text', text: body }); },
+    sendButtons: async (_to, body, buttons) => { replies.push({ type: 'buttons', text: body, buttons }); },
+    sendList: async (_to, body, button, rows) => { replies.push({ type: 'list', text: body, button, rows }); },
+    sendImage: async (_to, png, caption) => { replies.push({ type: 'image', mimeType: 'image/png', data: png.toString('base64'), caption }); }
+  };
+  const msg = typeof button === 'string'
+    ? { type: 'button', buttonId: button }
+    : { type: 'text', text };
+
+  try {
+    const sender = `api:${from}`;
+    const author = { id: sender, name: typeof name === 'string' ? name : undefined };
+    await handleMessage({ ...msg, from: sender, author, id: id ? `${sender}:${id}` : undefined }, transport);
+    res.json({ replies });
+  } catch (err) {
+    console.error('HTTP API handling error:', err?.message || err);
+    res.status(500).json({ error: 'internal error', replies });
+  }
+});
+
+module.exports = { router };
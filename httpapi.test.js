@@ -0,0 +1,55 @@
+// httpapi.test.js
+// Generic HTTP transport checks (npm test): the router on a local port, the engine behind it
+// on a throwaway DATA_DIR.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-httpapi-'));
+for (const name of ['STORAGE', 'ADMINS', 'ORGANISERS']) delete process.env[name];
+Object.assign(process.env, { API_TOKEN: 'test-token', TEAM_POSTER: '0' });
+
+const express = require('express');
+const { router } = require('./httpapi');
+
+let server, base;
+test.before(async () => {
+  const app = express();
+  app.use(router);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://localhost:${server.address().port}/api/messages`;
+});
+test.after(() => server.close());
+
+const post = (body, token = 'test-token') => fetch(base, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+  body: JSON.stringify(body)
+});
+
+test('without the token the endpoint is not there', async () => {
+  assert.strictEqual((await post({ from: 'alice', text: 'help' }, 'wrong')).status, 404);
+});
+
+test('malformed requests are turned away', async () => {
+  assert.strictEqual((await post({ from: 'a b', text: 'help' })).status, 400);
+  assert.strictEqual((await post({ from: 'alice' })).status, 400);
+});
+
+test('the replies come back in the response, and buttons are pressed by id', async () => {
+  const res = await post({ from: 'alice', text: 'lang en' });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), { replies: [{ type: 'text', text: 'Language set!' }] });
+
+  const teams = await (await post({ from: 'alice', text: 'teams 2x2:\nAnish\nJuan\nKevin\nSimon' })).json();
+  assert.deepStrictEqual(teams.replies.map(r => r.type), ['text', 'list']);
+  assert.ok(teams.replies[1].rows.some(row => row.id === 'shuffle'));
+  const shuffled = await (await post({ from: 'alice', button: 'shuffle' })).json();
+  assert.match(shuffled.replies[0].text, /Anish/);
+});
@@ -0,0 +1,57 @@
+// i18n.js
+// Message catalog: everything the bot says, by key, in each language (locales/<lang>.js).
+//
+//   t('es', 'bibs.added', { name: 'Kevin', count: 3 })  // "✅ Anotado: Kevin lavó los baberos (3)."
+//
+// A message is a string with {placeholders}, or its plural forms picked by the count
+// param with Intl.PluralRules ('other' is required, the rest as the language needs):
+//   'bibs.games': { one: '{count} game', other: '{count} games' }
+// A key missing from a language falls back to English (and then to the key itself);
+// `npm test` (check-i18n.js) fails when any language lacks a key or a placeholder.
+
+const LANGUAGES = ['en', 'es', 'ne', 'pt', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+const CATALOGS = Object.fromEntries(LANGUAGES.map(lang => [lang, require(`./locales/${lang}`)]));
+
+const pluralRules = new Map();
+function pluralForm(lang, count) {
+  if (!pluralRules.has(lang)) pluralRules.set(lang, new Intl.PluralRules(lang));
+  return pluralRules.get(lang).select(count);
+}
+
+function isLanguage(lang) {
+  return LANGUAGES.includes(lang);
+}
+
+function lookup(lang, key) {
+  const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANGUAGE];
+  if (Object.prototype.hasOwnProperty.call(catalog, key)) return catalog[key];
+  if (Object.prototype.hasOwnProperty.call(CATALOGS[DEFAULT_LANGUAGE], key)) return CATALOGS[DEFAULT_LANGUAGE][key];
+  return null;
+}
+
+/**
+ * Message key in lang with params filled in. Unknown placeholders are left as written.
+ */
+function t(lang, key, params = {}) {
+  let message = lookup(lang, key);
+  if (message === null) return key;
+  if (typeof message === 'object') {
+    const count = Number(params.count);
+    message = message[pluralForm(isLanguage(lang) ? lang : DEFAULT_LANGUAGE, count)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (whole, name) =>
+    (Object.prototype.hasOwnProperty.call(params, name) && params[name] !== undefined ? String(params[name]) : whole));
+}
+
+// ['Ana', 'Bea', 'Cris'] -> "Ana, Bea or Cris" in lang (type 'disjunction') or "... and ..." ('conjunction')
+function listOf(lang, items, type = 'conjunction') {
+  return new Intl.ListFormat(isLanguage(lang) ? lang : DEFAULT_LANGUAGE, { type }).format(items);
+}
+
+// For the catalog check: every language's messages
+function catalogs() {
+  return CATALOGS;
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, isLanguage, t, listOf, catalogs };
@@ -0,0 +1,33 @@
+// i18n.test.js
+// Message catalog checks (npm test): placeholders, plural forms and fallbacks. check-i18n.js
+// checks that every language has every message.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { LANGUAGES, isLanguage, t, listOf } = require('./i18n');
+
+test('placeholders are filled in, missing ones left as written', () => {
+  assert.strictEqual(t('es', 'bibs.added', { name: 'Kevin', count: 3 }), '✅ Anotado: Kevin lavó los baberos (3).');
+  assert.strictEqual(t('en', 'bibs.added', { name: 'Kevin' }), '✅ Recorded: Kevin washed the bibs ({count}).');
+});
+
+test('the count picks the plural form for the language', () => {
+  assert.deepStrictEqual([0, 1, 2].map(count => t('en', 'bibs.games', { count })), ['0 games', '1 game', '2 games']);
+  assert.strictEqual(t('es', 'bibs.games', { count: 1 }), '1 partido');
+});
+
+test('an unknown language gets English, an unknown key itself', () => {
+  assert.deepStrictEqual(LANGUAGES, ['en', 'es', 'ne', 'pt', 'hi']);
+  assert.strictEqual(isLanguage('fr'), false);
+  assert.strictEqual(t('fr', 'bibs.games', { count: 1 }), '1 game');
+  assert.strictEqual(t('es', 'no.such.key'), 'no.such.key');
+});
+
+test('lists are joined the way the language does', () => {
+  assert.strictEqual(listOf('en', ['Ana', 'Bea', 'Cris']), 'Ana, Bea, and Cris');
+  assert.strictEqual(listOf('es', ['Ana', 'Bea', 'Cris'], 'disjunction'), 'Ana, Bea o Cris');
+  assert.strictEqual(listOf('fr', ['Ana', 'Bea']), 'Ana and Bea');
+});
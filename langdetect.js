@@ -0,0 +1,101 @@
+// langdetect.js
+// Guess which language someone writes in. First the script (Latin, Devanagari, ...) narrows
+// the languages down; when more than one is left (es/en/pt, or Nepali vs Hindi), character
+// trigrams are scored against a profile of each language built from its own catalog
+// (locales/<lang>.js, with its 'lang.sample' of everyday chat). A language added to
+// i18n.js is detected without any change here.
+//
+// detectLanguage() also says how sure it is; below MIN_CONFIDENCE the engine asks instead.
+
+const { LANGUAGES, catalogs } = require('./i18n');
+
+const MIN_CONFIDENCE = 0.8;
+const SCRIPTS = ['Latin', 'Devanagari', 'Bengali', 'Arabic', 'Cyrillic', 'Greek', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Thai']
+  .map(name => ({ name, re: new RegExp(`\\p{Script=${name}}`, 'u') }));
+const MAX_TRIGRAMS = 40; // past this a message is as convincing as it gets
+
+function scriptOf(ch) {
+  const script = SCRIPTS.find(s => s.re.test(ch));
+  return script ? script.name : null;
+}
+
+// Most common script among the letters of text, or null when it has none
+function dominantScript(text) {
+  const counts = new Map();
+  for (const ch of text) {
+    const script = /\p{L}/u.test(ch) && scriptOf(ch);
+    if (script) counts.set(script, (counts.get(script) || 0) + 1);
+  }
+  let best = null;
+  for (const [script, count] of counts) if (!best || count > counts.get(best)) best = script;
+  return best;
+}
+
+// " hola " -> [' ho', 'hol', 'ola', 'la ']; words are runs of letters and combining marks
+function trigrams(text) {
+  const grams = [];
+  for (const word of text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || []) {
+    const chars = Array.from(` ${word} `);
+    for (let i = 0; i + 3 <= chars.length; i++) grams.push(chars.slice(i, i + 3).join(''));
+  }
+  return grams;
+}
+
+// What a catalog says in its own words: placeholders and quoted commands ("teams 4x5:") left out
+function catalogText(catalog) {
+  return Object.values(catalog)
+    .flatMap(message => (typeof message === 'object' ? Object.values(message) : [message]))
+    .join('\n')
+    .replace(/\{\w+\}/g, ' ')
+    .replace(/'[^'\n]*'|"[^"\n]*"|“[^”\n]*”/g, ' ');
+}
+
+let profiles = null;
+function languageProfiles() {
+  if (profiles) return profiles;
+  const all = catalogs();
+  profiles = new Map(LANGUAGES.map(lang => {
+    const text = catalogText(all[lang]);
+    const counts = new Map();
+    for (const g of trigrams(text)) counts.set(g, (counts.get(g) || 0) + 1);
+    const total = Array.from(counts.values()).reduce((a, b) => a + b, 0);
+    return [lang, { script: dominantScript(text), counts, total }];
+  }));
+  const vocabulary = new Set();
+  for (const p of profiles.values()) for (const g of p.counts.keys()) vocabulary.add(g);
+  for (const p of profiles.values()) p.vocabulary = vocabulary.size;
+  return profiles;
+}
+
+/**
+ * Best guess at the language of text.
+ * Returns { lang, confidence (0–1), sure, candidates } where candidates are the languages
+ * it could be, most likely first; lang is null (and candidates all languages) when the
+ * text has no letters or is in a script none of them use.
+ */
+function detectLanguage(text) {
+  const all = languageProfiles();
+  const script = dominantScript(text || '');
+  const candidates = LANGUAGES.filter(lang => script && all.get(lang).script === script);
+  if (!candidates.length) return { lang: null, confidence: 0, sure: false, candidates: LANGUAGES.slice() };
+  if (candidates.length === 1) return { lang: candidates[0], confidence: 1, sure: true, candidates };
+
+  // Naive Bayes over the message's trigrams (add-one smoothing), then each candidate's share
+  const grams = trigrams(text).filter(g => Array.from(g).some(ch => scriptOf(ch) === script)).slice(0, MAX_TRIGRAMS);
+  const scores = candidates.map(lang => {
+    const p = all.get(lang);
+    const logLikelihood = grams.reduce((sum, g) => sum + Math.log(((p.counts.get(g) || 0) + 1) / (p.total + p.vocabulary)), 0);
+    return { lang, logLikelihood };
+  }).sort((a, b) => b.logLikelihood - a.logLikelihood);
+  const top = scores[0].logLikelihood;
+  const weights = scores.map(s => Math.exp(s.logLikelihood - top));
+  const confidence = 1 / weights.reduce((a, b) => a + b, 0);
+  return {
+    lang: scores[0].lang,
+    confidence,
+    sure: confidence >= MIN_CONFIDENCE,
+    candidates: scores.map(s => s.lang)
+  };
+}
+
+module.exports = { detectLanguage, MIN_CONFIDENCE };
@@ -0,0 +1,40 @@
+// langdetect.test.js
+// Language detection checks (npm test): script first, then trigram scores from the catalogs.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectLanguage, MIN_CONFIDENCE } = require('./langdetect');
+const { LANGUAGES } = require('./i18n');
+
+const sureOf = (text) => {
+  const guess = detectLanguage(text);
+  return guess.sure ? guess.lang : null;
+};
+
+test('Spanish, English and Portuguese are told apart by their words', () => {
+  assert.strictEqual(sureOf('hola, cómo estás? quiero jugar el partido de esta noche'), 'es');
+  assert.strictEqual(sureOf('hello, can you make the teams for tonight please'), 'en');
+  assert.strictEqual(sureOf('olá, você pode fazer os times para hoje à noite'), 'pt');
+});
+
+test('Devanagari is Nepali or Hindi, vowel signs and all', () => {
+  assert.strictEqual(sureOf('नमस्ते, आज राति खेल्न टोली बनाइदिनुहोस्'), 'ne');
+  assert.strictEqual(sureOf('नमस्ते, क्या आप आज रात के लिए टीम बना सकते हैं'), 'hi');
+  assert.deepStrictEqual(detectLanguage('खेल्न').candidates.sort(), ['hi', 'ne']);
+});
+
+test('a short message is a guess, not sure enough to switch language', () => {
+  const guess = detectLanguage('ok');
+  assert.ok(guess.confidence < MIN_CONFIDENCE);
+  assert.strictEqual(guess.sure, false);
+  assert.strictEqual(guess.candidates.length, 3); // the Latin-script languages
+});
+
+test('no letters, or a script no catalog uses, gives no language', () => {
+  for (const text of ['123 !!', 'Привет', '']) {
+    assert.deepStrictEqual(detectLanguage(text), { lang: null, confidence: 0, sure: false, candidates: LANGUAGES });
+  }
+});
@@ -0,0 +1,294 @@
+// locales/en.js
+// English messages — the reference catalog: every other language has exactly these keys
+// (npm test checks). See i18n.js for {placeholders} and plural forms.
+
+module.exports = {
+  // ---------- General ----------
+  'lang.set': 'Language set!',
+  'lang.name': 'English',
+  'lang.ask': '🌐 Which language should I use?',
+  // Everyday chat in this language, only for guessing it (langdetect.js); never sent
+  'lang.sample': 'hi hello hey how does this work? can you make the teams for tonight please, we are playing football today and I want to know who is washing the bibs this week. thanks, see you later, what time is the game, I can\'t come, I\'m in, who is playing',
+  'rateLimited': 'Too many messages in a row. Give me a minute and try again. 🙏',
+  'notText': 'Please send text with a player list. 😊',
+  'buttons.prompt': 'Want anything else?',
+  'buttons.shuffle': 'Shuffle again',
+  'buttons.bibsHistory': 'Bibs history',
+  'buttons.help': 'Help',
+  'menu.button': 'Options',
+  'menu.shuffleInfo': 'Another split of the same players',
+  'menu.swap': 'Swap two players',
+  'menu.swapInfo': 'Trade two players between teams',
+  'menu.lock': 'Lock this lineup',
+  'menu.lockInfo': 'Make these tonight\'s teams in the history',
+  'menu.ratings': 'Show ratings',
+  'menu.ratingsInfo': 'Every player\'s rating, team by team',
+  'menu.format': 'Change format',
+  'menu.formatInfo': 'The same players in more or fewer teams',
+  'menu.bibsHistoryInfo': 'Who has washed the bibs, and when',
+  'menu.helpInfo': 'Everything the bot can do',
+
+  // ---------- Team colors ----------
+  'color.yellow': 'YELLOW',
+  'color.blue': 'BLUE',
+  'color.red': 'RED',
+  'color.green': 'GREEN',
+  'color.white': 'WHITE',
+  'color.black': 'BLACK',
+  'color.orange': 'ORANGE',
+  'color.purple': 'PURPLE',
+
+  // ---------- Teams message ----------
+  'teams.title': 'Teams for tonight:',
+  'teams.sub': '🔁 Sub: {names}',
+  'teams.total': 'Total: {total}',
+  'teams.spreadBest': '⚖️ Spread {spread} · best possible {best}',
+  'teams.spreadFound': '⚖️ Spread {spread} · best found {best}',
+  'teams.waitlist': '⏳ Waiting list:',
+  'teams.bibsNext': '🧼 Bibs next: {name}',
+  'teams.bibsNextWhy': '🧼 Bibs next: {name} ({why})',
+  'teams.bibsRecorded': '✅ Recorded: {names}',
+  'teams.signoff': 'Have fun! ⚽',
+  // The teams poster (poster.js): plain text, no emoji
+  'poster.subs': 'Sub: {names}',
+  'poster.waitlist': 'Waiting list: {names}',
+  'poster.bibsNext': 'Bibs next: {name}',
+  'bibs.washes': { one: '{count} wash', other: '{count} washes' },
+  'bibs.games': { one: '{count} game', other: '{count} games' },
+  'bibs.why': '{washes} in {games}, the fewest per game tonight',
+  'bibs.whyTied': '{washes} in {games}, the fewest per game tonight; drawn from {count} tied',
+
+  // ---------- Options menu ----------
+  'swap.ask': 'Which two players? Send both names, e.g. "{example}".',
+  'swap.sameTeam': '{a} and {b} are already on the same team.',
+  'swap.done': '🔄 Swapped {a} and {b}.',
+  'swap.notFound': 'I couldn\'t find two players of the last teams in "{text}". Use e.g. "swap Kevin Simon".',
+  'move.notFound': '"{name}" isn\'t on the last teams.',
+  'move.pickTeam': 'Move to which team? {colors}, e.g. "move {name} to {first}".',
+  'move.already': '{name} is already on {team}.',
+  'move.done': '➡️ Moved {name} to {team}.',
+  'move.swapped': '🔄 Swapped {name} and {other} so the teams stay even: {name} is on {team} now.',
+  'lineup.none': 'Make teams first, then e.g. "swap Kevin Simon", "move Anish to blue" or "lock".',
+  'lock.done': '🔒 Locked: these are tonight\'s teams. History, results and bibs go by this lineup, whatever gets shuffled after.',
+  'ratings.title': '⭐ Ratings, team by team:',
+  'ratings.none': 'These teams were made without ratings.',
+  'format.pick': { one: 'Which format for {count} name?', other: 'Which format for these {count} names?' },
+  'format.allPlay': 'Everyone plays',
+  'format.leftOver': { one: '{count} name left over', other: '{count} names left over' },
+  'format.none': { one: 'No other format fits {count} name.', other: 'No other format fits these {count} names.' },
+  'fix.format': 'Make {format}',
+  'fix.ignoreRules': 'Ignore the rules',
+  'fix.pickFormat': 'Or make a format that fits:',
+
+  // ---------- Roster problems ----------
+  'roster.found': {
+    one: 'I found {count} name. I need exactly {total} ({format}).',
+    other: 'I found {count} names. I need exactly {total} ({format}).'
+  },
+  'roster.badFormat': 'I can\'t make {format}. Use {min}–{max} teams and up to {size} players per team, e.g. "teams 4x5:" or "snake 2x6:".',
+  'roster.roles': 'For a role draft ({format}), send exactly {total} names; tag positions with (GK), (DEF) or (ATT) and add ratings if you like.\n\nExample:\n{example}',
+  'roster.balance': 'For a balanced split ({format}), send exactly {total} names each with a rating (or names that all have stored ratings).\n\nExample:\n{example}',
+  'roster.snake': 'For rated snake draft ({format}), send exactly {total} names each with a rating (decimals OK).\n\nExample:\n{example}',
+  'roster.snakeOrder': 'For ranked snake (no ratings), send exactly {total} names in strongest→weakest order after "snake:".\n\nExample:\n{example}',
+  'rules.problem': 'I can\'t make teams with those rules: {problem}',
+  'rules.not_listed': '"{name}" isn\'t on the playing list.',
+  'rules.block_too_big': '{players} is {count} players, but teams only have {size}.',
+  'rules.apart_too_many': 'I can\'t keep {count} players ({players}) apart with only {teams} teams.',
+  'rules.paired_and_apart': '{players} are both paired and kept apart.',
+  'rules.infeasible': 'no split keeps every pair together, every apart group separated and roles evenly spread.',
+  'rules.gaveUp': 'I couldn\'t find another split that meets every rule this time, so the teams above still stand. Tap "Shuffle again" to retry.',
+
+  // ---------- Canonical names ----------
+  'names.didYouMean': '🤔 I don\'t know "{typed}". Did you mean {options}?',
+  'names.newPlayer': 'New player',
+  'names.expired': 'That question isn\'t open any more. Paste the list again.',
+  'names.aliased': '✅ Got it: "{typed}" is {name}.',
+  'names.added': '✅ Got it: {typed} is a new player.',
+
+  // ---------- Bibs ----------
+  'bibs.none': 'No bibs history yet.',
+  'bibs.title': 'Bibs history (who has washed):',
+  'bibs.row': '{name} — {count} {bar}',
+  'bibs.rowLast': '{name} — {count} {bar} · last {date}',
+  'bibs.recent': 'Recent:',
+  'bibs.entry.wash': '{name} washed',
+  'bibs.entry.add': '{name} washed (added by hand)',
+  'bibs.entry.set': '{name} set to {count}',
+  'bibs.entry.undo': 'undo ({name})',
+  'bibs.entry.import': '{name} imported with {count}',
+  'bibs.sittingOut': 'Sitting out: {names}',
+  'bibs.until': '{name} (until {date})',
+  'bibs.nothingToUndo': 'Nothing to undo.',
+  'bibs.undone': '↩️ Undone: {what} ({date}). {name} now has {count}.',
+  'bibs.setTo': '✅ {name}\'s bibs count is now {after} (was {before}).',
+  'bibs.added': '✅ Recorded: {name} washed the bibs ({count}).',
+  'bibs.sayWho': 'Say who, e.g. "bibs off Kevin 2w".',
+  'bibs.othersOnly': 'Only organisers can change someone else\'s rotation; for yourself send "bibs {command}".',
+  'bibs.back': '✅ {name} is back in the bibs rotation.',
+  'bibs.alreadyIn': '{name} was already in the rotation.',
+  'bibs.outUntil': '🧼 {name} is out of the bibs rotation until {date}.',
+  'bibs.out': '🧼 {name} is out of the bibs rotation until "bibs on".',
+  'bibs.usage': 'Use e.g. "bibs add Simon" (one more wash) or "bibs set Kevin 3" (fix the total).',
+
+  // ---------- Player registry ----------
+  'players.none': 'No players stored yet. Save one with: rate Rajesh 8.5',
+  'players.title': 'Players ({count}):',
+  'players.aka': '{name} aka {aliases}',
+  'rate.saved': 'Saved ratings: {list}',
+  'rate.unreadable': 'Couldn\'t read: {list} (use "rate Name 7.5")',
+  'rate.guests': 'Not saved (guests): {list}',
+  'alias.saved': 'Saved: "{alias}" now means {name}.',
+  'alias.taken': '"{alias}" already means {name}.',
+  'alias.usage': 'Use: alias Ashu = Ashutosh',
+  'pos.usage': 'Use: pos Kevin GK (positions: {positions}, or none to clear)',
+  'pos.guest': '{name} is a guest; guests aren\'t saved. Tag them "(GK)" on the list instead.',
+  'pos.saved': 'Saved: {name} — {position}',
+  'pos.none': 'no position',
+  'forget.done': 'Removed {name} from the player list.',
+  'forget.unknown': 'I don\'t know "{name}".',
+
+  // ---------- Results ----------
+  'results.none': 'No results recorded yet.',
+  'results.nothingToUndo': 'No results to undo.',
+  'results.undone': 'Removed: {a} {goalsA}–{goalsB} {b} (ratings restored)',
+  'results.makeTeamsFirst': 'Make teams first, then send the score, e.g. result yellow 3 blue 2',
+  'results.pickTeams': 'Pick two different teams from: {colors}. E.g. result {first} 3 {second} 2',
+  'results.recorded': 'Recorded: {a} {goalsA}–{goalsB} {b}\nRatings: {a} {deltaA} each · {b} {deltaB} each',
+  'results.table': { one: 'Table ({count} game):', other: 'Table ({count} games):' },
+  'results.row': {
+    one: '{rank}. {team} — {count} pt ({won}W {drawn}D {lost}L, {goalsFor}–{goalsAgainst})',
+    other: '{rank}. {team} — {count} pts ({won}W {drawn}D {lost}L, {goalsFor}–{goalsAgainst})'
+  },
+  'results.games': 'Games:',
+
+  // ---------- Groups ----------
+  'group.created': '✅ Created "{group}". You\'re its admin, and this chat now uses it.\nOthers join with: group join {code}\nAdd organisers with: organiser add <phone number>',
+  'group.joined': '✅ This chat now uses the group "{group}".',
+  'group.unknownCode': 'I don\'t know the group code "{code}".',
+  'group.left': '✅ Left "{group}".',
+  'group.notInGroup': 'This chat isn\'t in a group.',
+  'group.title': 'Group: {group} (join code {code})',
+  'group.titleDefault': 'Group: {group} (chats that haven\'t joined another group)',
+  'group.open': 'Nobody runs this group yet, so everyone can change ratings, bibs and games.',
+  'group.setUp': 'Set it up with: organiser add <phone number>',
+  'group.admins': 'Admins: {ids}',
+  'group.organisers': 'Organisers: {ids}',
+  'group.you': 'You: {role}',
+  'group.commands': 'group new <name> · group join <code> · group leave',
+  'role.admin': 'admin',
+  'role.organiser': 'organiser',
+  'role.player': 'player',
+  'role.adminsOnly': 'Only admins of "{group}" can add or remove admins and organisers.',
+  'role.firstAdmin': 'You\'re now the admin of "{group}".',
+  'role.addedAdmin': '✅ {id} is now an admin of "{group}".',
+  'role.addedOrganiser': '✅ {id} is now an organiser of "{group}".',
+  'role.lastAdmin': '"{group}" needs at least one admin; add another before removing {id}.',
+  'role.removed': '✅ {id} no longer runs "{group}".',
+  'organisersOnly': 'Only organisers of "{group}" can do that.',
+
+  // ---------- Settings ----------
+  'settings.title': 'Settings for {group}:',
+  'settings.totals': '• Totals: {value}',
+  'settings.order': '• Order within teams: {value}',
+  'settings.colors': '• Colors: {value}',
+  'settings.signoff': '• Sign-off: {value}',
+  'settings.poster': '• Teams poster: {value}',
+  'settings.default': '{value} (default)',
+  'settings.on': 'on',
+  'settings.off': 'off',
+  'settings.none': 'none',
+  'settings.usage': 'Change with: set totals on|off · set poster on|off · set order random|alpha|pick · set colors green,white,black · set signoff "Vamos!" (or none) — "default" undoes one, "settings reset" all of them',
+  'settings.saved': '✅ Saved.',
+  'settings.reset': '✅ Settings back to the defaults.',
+  'settings.missing': 'What should {name} be?',
+  'settings.badTotals': 'Totals can be on or off, not "{value}".',
+  'settings.badOrder': 'Order can be {orders}, not "{value}".',
+  'settings.badPoster': 'The poster can be on or off, not "{value}".',
+  'settings.tooManyColors': 'That\'s {count} colors; teams go up to {max}.',
+  'settings.longColor': 'Keep each color to one short word (up to 12 letters).',
+  'settings.sameColor': 'Each team needs a different color.',
+  'settings.longSignoff': 'Keep the sign-off under {max} characters.',
+  'settings.unknown': 'There\'s no "{name}" setting.',
+
+  // ---------- Signups ----------
+  'game.none': 'No game is open right now.',
+  'game.noneOpenOne': 'No game is open right now. Open one with e.g. "open Monday 20:00 15".',
+  'game.head': '📅 {day} {time} · {format} · {count}/{capacity} in',
+  'game.headClosed': '📅 {day} {time} · {format} · {count}/{capacity} in · closed',
+  'game.nobody': 'Nobody yet.',
+  'open.usage': 'Use e.g. "open Monday 20:00 15": day, time and spots (or a format like 4x5).',
+  'open.alreadyOpen': 'A game is already open ({day} {time}). Send "close" first.',
+  'open.done': '📅 Game open: {day} {time} ({format}, {spots} spots).\nPlayers message me "in" (or "in +1" to bring a guest) and "out" to drop. Send "make teams" when you want the teams.',
+  'signup.askName': 'What name should I put you down as? Reply e.g. "in Kevin".',
+  'signup.closed': 'Signups for {day} {time} are closed.',
+  'signup.nameTaken': 'Someone is already in as {name}. Reply "in <your name>" with a different name.',
+  'signup.tooManyGuests': 'At most {max} guests per player.',
+  'signup.noGuests': 'You don\'t have any guests signed up.',
+  'signup.notIn': 'You weren\'t signed up.',
+  'signup.out': '👋 Out of {day} {time}: {names}.',
+  'signup.promoted': '🎉 A spot opened up: {name} is in for {day} {time}.',
+  'signup.in': '✅ {name}: in ({position}/{capacity})',
+  'signup.waiting': '⏳ {name}: waiting list #{position}',
+  'signup.willTell': 'If someone drops out, I\'ll let you know.',
+  'close.done': '🔒 Signups closed for {day} {time} ({confirmed} confirmed, {waiting} waiting).',
+  'makeTeams.short': 'Only {count} of {capacity} spots are filled for {day} {time}. Wait for more "in"s, or paste the list yourself.',
+
+  // ---------- Weekly schedule ----------
+  'schedule.none': 'No weekly game yet. Set one with e.g. "schedule Monday 20:00 Europe/Madrid 15".',
+  'schedule.noneToCancel': 'There was no weekly game.',
+  'schedule.cancelled': 'Weekly {day} {time} game cancelled.',
+  'schedule.badTimezone': 'I don\'t know the timezone "{tz}". Use names like Europe/Madrid or Asia/Kathmandu.',
+  'schedule.usage': 'Use e.g. "schedule Monday 20:00 Europe/Madrid 15" (day, time, timezone and spots). Optional: "open 72h", "remind 3h", "cutoff 2h", "teams 1h" (before kickoff).',
+  'schedule.saved': '✅ Weekly game saved. I\'ll open signups, remind players, close the list and send you the teams on my own.',
+  'schedule.every': '🔁 Every {day} {time} ({tz}) · {format}',
+  'schedule.next': 'Next kickoff: {when}',
+  'schedule.step': '• {stage}: {when} ({before} before)',
+  'schedule.hours': '{count} h',
+  'schedule.minutes': '{count} min',
+  'schedule.stage.open': 'Signups open',
+  'schedule.stage.remind': 'Reminder',
+  'schedule.stage.close': 'Signups close',
+  'schedule.stage.teams': 'Teams sent',
+  'schedule.openFailed': 'I couldn\'t open {day} {time}: {openDay} {openTime} is still open. Send "close" and open it with "open {day} {time}".',
+  'schedule.opened': '📅 Signups are open: {day} {time} ({format}). Reply "in" to play ("in +1" to bring a guest).',
+  'schedule.reminder': '⏰ Reminder: {day} {time}. On the list: {names}. Reply "out" if you can\'t make it.',
+  'schedule.closed': '🔒 Signups closed.',
+
+  // ---------- Tutorial ----------
+  'tutorial': `👋 First time here? Here are the two common ways to use me:
+
+1) Random 3 teams of 5
+Send exactly 15 names, e.g.
+{randomExample}
+
+(You can also paste 15 lines; I'll detect names either way.)
+
+2) Balanced snake draft (3×5)
+Include a rating at the end of each line (decimals OK), and optionally add 'bibs' on the person who washed last time:
+
+{snakeExample}
+
+Notes:
+• The numbers are sample ratings—tweak them to balance teams. Decimals like 7.5 work.
+• Put the word 'bibs' anywhere on a player's line to record who actually washed last time.
+• Type 'bibs_history' to see who has washed so far.
+• Wrong bibs entry? 'bibs undo', 'bibs set Kevin 3' or 'bibs add Simon'.
+• Bibs go to whoever has washed least per game played (never guests). Away for a while? 'bibs off Kevin 2w'; back with 'bibs on Kevin'.
+• Under the teams, 'Options' shuffles again, swaps two players, locks the lineup, shows ratings or changes the format.
+• Fix the teams by hand: 'swap Kevin Simon', 'move Anish to blue'; 'lock' makes them tonight's official teams.
+• Other formats: start with e.g. 'teams 4x5:' or 'snake 2x6:' (teams × players).
+• More names than spots? The first ones play and the rest go on a waiting list; start with 'teams subs:' to spread them as rotating subs instead.
+• Save ratings with 'rate Rajesh 8.5' and review them with 'players'. If everyone on a pasted list has a stored rating, I snake-draft with those ratings.
+• If a name looks like a saved player's ('Ashu' → Ashutosh), I ask and remember the answer; 'alias Ashu = Ashutosh' works too.
+• Rules on their own lines: 'pair: Anish+Juan' (same team), 'apart: Kevin, Simon' (different teams); '(GK)'-tagged players are spread across teams.
+• Guests: 'Kevin+1' or "Kevin's friend" play with Kevin; they never get bibs duty and aren't saved to the player list.
+• Several groups: 'group new Tuesday Futsal' makes one (with a code for 'group join'); 'organiser add +34600111222' decides who can change ratings, bibs and games.
+• Group settings: 'set colors green,white,black', 'set order alpha', 'set totals off', 'set signoff "Vamos!"', 'set poster off' (no teams picture); 'settings' shows them.
+• Tag roles with '(GK)', '(DEF)', '(ATT)' or save them with 'pos Kevin DEF', then start with 'roles:' to spread every role evenly before balancing by rating.
+• Use 'balance:' instead of 'snake:' to search for the most even split (I'll say how close it is to the best one).
+• After the game: 'result yellow 3 blue 2' records the score and nudges stored ratings ('results' shows the table, 'result undo' fixes a typo).
+• Signups: 'open Monday 20:00 15' opens a game; players message me 'in', 'in +1' or 'out' (extras wait in line), 'game' shows the list and 'make teams' drafts from it.
+• Weekly game: 'schedule Monday 20:00 Europe/Madrid 15' opens signups, reminds players, closes the list and sends the teams by itself ('schedule off' stops it).
+
+Change language with: {languages}.`
+};
@@ -0,0 +1,292 @@
+// locales/es.js
+// Spanish messages (same keys as en.js).
+
+module.exports = {
+  // ---------- General ----------
+  'lang.set': 'Idioma actualizado.',
+  'lang.name': 'Español',
+  'lang.ask': '🌐 ¿En qué idioma te escribo?',
+  'lang.sample': 'hola buenas qué tal, ¿cómo funciona esto? ¿puedes hacer los equipos para el partido de hoy? jugamos fútbol esta noche y quiero saber quién lava los baberos esta semana. gracias, nos vemos, ¿a qué hora es el partido? no puedo ir, yo juego, quiénes juegan',
+  'rateLimited': 'Demasiados mensajes seguidos. Espera un minuto y vuelve a intentarlo. 🙏',
+  'notText': 'Envíame texto con una lista de jugadores. 😊',
+  'buttons.prompt': '¿Algo más?',
+  'buttons.shuffle': 'Mezclar otra vez',
+  'buttons.bibsHistory': 'Historial baberos',
+  'buttons.help': 'Ayuda',
+  'menu.button': 'Opciones',
+  'menu.shuffleInfo': 'Otro reparto con los mismos jugadores',
+  'menu.swap': 'Cambiar dos jugadores',
+  'menu.swapInfo': 'Intercambia dos jugadores entre equipos',
+  'menu.lock': 'Fijar estos equipos',
+  'menu.lockInfo': 'Que queden como los equipos de hoy en el historial',
+  'menu.ratings': 'Ver calificaciones',
+  'menu.ratingsInfo': 'La calificación de cada jugador, equipo por equipo',
+  'menu.format': 'Cambiar formato',
+  'menu.formatInfo': 'Los mismos jugadores en más o menos equipos',
+  'menu.bibsHistoryInfo': 'Quién lavó los baberos y cuándo',
+  'menu.helpInfo': 'Todo lo que sabe hacer el bot',
+
+  // ---------- Team colors ----------
+  'color.yellow': 'AMARILLO',
+  'color.blue': 'AZUL',
+  'color.red': 'ROJO',
+  'color.green': 'VERDE',
+  'color.white': 'BLANCO',
+  'color.black': 'NEGRO',
+  'color.orange': 'NARANJA',
+  'color.purple': 'MORADO',
+
+  // ---------- Teams message ----------
+  'teams.title': 'Equipos para esta noche:',
+  'teams.sub': '🔁 Suplente: {names}',
+  'teams.total': 'Total: {total}',
+  'teams.spreadBest': '⚖️ Diferencia {spread} · la mejor posible {best}',
+  'teams.spreadFound': '⚖️ Diferencia {spread} · la mejor encontrada {best}',
+  'teams.waitlist': '⏳ Lista de espera:',
+  'teams.bibsNext': '🧼 Próximo en lavar baberos: {name}',
+  'teams.bibsNextWhy': '🧼 Próximo en lavar baberos: {name} ({why})',
+  'teams.bibsRecorded': '✅ Anotado: {names}',
+  'teams.signoff': '¡A disfrutar! ⚽',
+  // The teams poster (poster.js): plain text, no emoji
+  'poster.subs': 'Suplente: {names}',
+  'poster.waitlist': 'Lista de espera: {names}',
+  'poster.bibsNext': 'Próximo en lavar baberos: {name}',
+  'bibs.washes': { one: '{count} lavado', other: '{count} lavados' },
+  'bibs.games': { one: '{count} partido', other: '{count} partidos' },
+  'bibs.why': '{washes} en {games}, el que menos por partido esta noche',
+  'bibs.whyTied': '{washes} en {games}, el que menos por partido esta noche; sorteado entre {count} empatados',
+
+  // ---------- Menú de opciones ----------
+  'swap.ask': '¿Qué dos jugadores? Envía los dos nombres, p. ej. "{example}".',
+  'swap.sameTeam': '{a} y {b} ya están en el mismo equipo.',
+  'swap.done': '🔄 Cambiados {a} y {b}.',
+  'swap.notFound': 'No encontré dos jugadores de los últimos equipos en "{text}". Usa p. ej. "swap Kevin Simon".',
+  'move.notFound': '"{name}" no está en los últimos equipos.',
+  'move.pickTeam': '¿A qué equipo? {colors}, p. ej. "move {name} to {first}".',
+  'move.already': '{name} ya está en {team}.',
+  'move.done': '➡️ {name} pasa a {team}.',
+  'move.swapped': '🔄 Cambiados {name} y {other} para que los equipos sigan parejos: {name} pasa a {team}.',
+  'lineup.none': 'Primero arma los equipos, luego p. ej. "swap Kevin Simon", "move Anish to azul" o "lock".',
+  'lock.done': '🔒 Fijado: estos son los equipos de esta noche. El historial, los resultados y los baberos cuentan esta formación, aunque se mezcle después.',
+  'ratings.title': '⭐ Calificaciones, equipo por equipo:',
+  'ratings.none': 'Estos equipos se hicieron sin calificaciones.',
+  'format.pick': { one: '¿Qué formato para {count} nombre?', other: '¿Qué formato para estos {count} nombres?' },
+  'format.allPlay': 'Juegan todos',
+  'format.leftOver': { one: 'Sobra {count} nombre', other: 'Sobran {count} nombres' },
+  'format.none': { one: 'Ningún otro formato sirve para {count} nombre.', other: 'Ningún otro formato sirve para estos {count} nombres.' },
+  'fix.format': 'Armar {format}',
+  'fix.ignoreRules': 'Ignorar las reglas',
+  'fix.pickFormat': 'O arma un formato que encaje:',
+
+  // ---------- Roster problems ----------
+  'roster.found': {
+    one: 'Encontré {count} nombre. Necesito exactamente {total} ({format}).',
+    other: 'Encontré {count} nombres. Necesito exactamente {total} ({format}).'
+  },
+  'roster.badFormat': 'No puedo armar {format}. Usa de {min} a {max} equipos y hasta {size} jugadores por equipo, p. ej. "teams 4x5:" o "snake 2x6:".',
+  'roster.roles': 'Para roles {format}, envía exactamente {total} nombres; marca posiciones con (GK), (DEF) o (ATT) y añade calificaciones si quieres.\n\nEjemplo:\n{example}',
+  'roster.balance': 'Para balance {format}, envía exactamente {total} nombres con una calificación cada uno (o nombres con calificación guardada).\n\nEjemplo:\n{example}',
+  'roster.snake': 'Para snake {format} con calificaciones, envía exactamente {total} nombres con una nota al final (decimales OK).\n\nEjemplo:\n{example}',
+  'roster.snakeOrder': 'Para snake sin calificaciones, envía {total} nombres en orden de fuerte→débil después de "snake:".\n\nEjemplo:\n{example}',
+  'rules.problem': 'No puedo armar equipos con esas reglas: {problem}',
+  'rules.not_listed': '"{name}" no está en la lista de jugadores.',
+  'rules.block_too_big': '{players} son {count} jugadores, pero los equipos son de {size}.',
+  'rules.apart_too_many': 'No puedo separar a {count} jugadores ({players}) con solo {teams} equipos.',
+  'rules.paired_and_apart': '{players} están a la vez juntos y separados.',
+  'rules.infeasible': 'ningún reparto mantiene todas las parejas juntas, todos los grupos separados y las posiciones repartidas.',
+  'rules.gaveUp': 'Esta vez no encontré otro reparto que cumpla todas las reglas, así que siguen los equipos de arriba. Pulsa «Mezclar otra vez» para intentarlo de nuevo.',
+
+  // ---------- Canonical names ----------
+  'names.didYouMean': '🤔 No conozco a "{typed}". ¿Quisiste decir {options}?',
+  'names.newPlayer': 'Jugador nuevo',
+  'names.expired': 'Esa pregunta ya no está abierta. Pega la lista otra vez.',
+  'names.aliased': '✅ Anotado: "{typed}" es {name}.',
+  'names.added': '✅ Anotado: {typed} es un jugador nuevo.',
+
+  // ---------- Bibs ----------
+  'bibs.none': 'Todavía no hay historial de baberos.',
+  'bibs.title': 'Historial de baberos (quién ha lavado):',
+  'bibs.row': '{name} — {count} {bar}',
+  'bibs.rowLast': '{name} — {count} {bar} · último {date}',
+  'bibs.recent': 'Recientes:',
+  'bibs.entry.wash': '{name} lavó',
+  'bibs.entry.add': '{name} lavó (anotado a mano)',
+  'bibs.entry.set': '{name} = {count}',
+  'bibs.entry.undo': 'deshecho ({name})',
+  'bibs.entry.import': '{name} importado con {count}',
+  'bibs.sittingOut': 'Fuera de la rotación: {names}',
+  'bibs.until': '{name} (hasta el {date})',
+  'bibs.nothingToUndo': 'No hay nada que deshacer.',
+  'bibs.undone': '↩️ Deshecho: {what} ({date}). {name} tiene ahora {count}.',
+  'bibs.setTo': '✅ Baberos de {name}: {after} (antes {before}).',
+  'bibs.added': '✅ Anotado: {name} lavó los baberos ({count}).',
+  'bibs.sayWho': 'Dime quién, p. ej. "bibs off Kevin 2w".',
+  'bibs.othersOnly': 'Solo los organizadores pueden cambiar la rotación de otra persona; para ti usa "bibs {command}".',
+  'bibs.back': '✅ {name} vuelve a la rotación de baberos.',
+  'bibs.alreadyIn': '{name} ya estaba en la rotación.',
+  'bibs.outUntil': '🧼 {name} no lavará baberos hasta el {date}.',
+  'bibs.out': '🧼 {name} no lavará baberos hasta "bibs on".',
+  'bibs.usage': 'Usa p. ej. "bibs add Simon" (un lavado más) o "bibs set Kevin 3" (corregir el total).',
+
+  // ---------- Player registry ----------
+  'players.none': 'Todavía no hay jugadores guardados. Guarda uno con: rate Rajesh 8.5',
+  'players.title': 'Jugadores ({count}):',
+  'players.aka': '{name}, alias {aliases}',
+  'rate.saved': 'Calificaciones guardadas: {list}',
+  'rate.unreadable': 'No pude leer: {list} (usa "rate Nombre 7.5")',
+  'rate.guests': 'No guardados (invitados): {list}',
+  'alias.saved': 'Guardado: "{alias}" ahora es {name}.',
+  'alias.taken': '"{alias}" ya es {name}.',
+  'alias.usage': 'Usa: alias Ashu = Ashutosh',
+  'pos.usage': 'Usa: pos Kevin GK (posiciones: {positions}, o none para borrarla)',
+  'pos.guest': '{name} es invitado; los invitados no se guardan. Márcalo "(GK)" en la lista.',
+  'pos.saved': 'Guardado: {name} — {position}',
+  'pos.none': 'sin posición',
+  'forget.done': '{name} borrado de la lista de jugadores.',
+  'forget.unknown': 'No conozco a "{name}".',
+
+  // ---------- Results ----------
+  'results.none': 'Todavía no hay resultados.',
+  'results.nothingToUndo': 'No hay resultados que deshacer.',
+  'results.undone': 'Borrado: {a} {goalsA}–{goalsB} {b} (calificaciones restauradas)',
+  'results.makeTeamsFirst': 'Primero arma los equipos y luego envía el marcador, p. ej. result yellow 3 blue 2',
+  'results.pickTeams': 'Elige dos equipos distintos entre: {colors}. P. ej. result {first} 3 {second} 2',
+  'results.recorded': 'Anotado: {a} {goalsA}–{goalsB} {b}\nCalificaciones: {a} {deltaA} cada uno · {b} {deltaB} cada uno',
+  'results.table': { one: 'Tabla ({count} partido):', other: 'Tabla ({count} partidos):' },
+  'results.row': {
+    one: '{rank}. {team} — {count} pt ({won}G {drawn}E {lost}P, {goalsFor}–{goalsAgainst})',
+    other: '{rank}. {team} — {count} pts ({won}G {drawn}E {lost}P, {goalsFor}–{goalsAgainst})'
+  },
+  'results.games': 'Partidos:',
+
+  // ---------- Groups ----------
+  'group.created': '✅ Grupo "{group}" creado. Eres su admin y este chat ya lo usa.\nLos demás se unen con: group join {code}\nAñade organizadores con: organiser add <teléfono>',
+  'group.joined': '✅ Este chat ahora usa el grupo "{group}".',
+  'group.unknownCode': 'No conozco el código de grupo "{code}".',
+  'group.left': '✅ Has salido de "{group}".',
+  'group.notInGroup': 'Este chat no está en ningún grupo.',
+  'group.title': 'Grupo: {group} (código {code})',
+  'group.titleDefault': 'Grupo: {group} (chats que no se han unido a otro grupo)',
+  'group.open': 'Nadie lleva este grupo todavía, así que todos pueden cambiar calificaciones, baberos y partidos.',
+  'group.setUp': 'Configúralo con: organiser add <teléfono>',
+  'group.admins': 'Admins: {ids}',
+  'group.organisers': 'Organizadores: {ids}',
+  'group.you': 'Tú: {role}',
+  'group.commands': 'group new <nombre> · group join <código> · group leave',
+  'role.admin': 'admin',
+  'role.organiser': 'organizador',
+  'role.player': 'jugador',
+  'role.adminsOnly': 'Solo los admins de "{group}" pueden añadir o quitar admins y organizadores.',
+  'role.firstAdmin': 'Ahora eres el admin de "{group}".',
+  'role.addedAdmin': '✅ {id} ahora es admin de "{group}".',
+  'role.addedOrganiser': '✅ {id} ahora es organizador de "{group}".',
+  'role.lastAdmin': '"{group}" necesita al menos un admin; añade otro antes de quitar a {id}.',
+  'role.removed': '✅ {id} ya no lleva "{group}".',
+  'organisersOnly': 'Solo los organizadores de "{group}" pueden hacer eso.',
+
+  // ---------- Settings ----------
+  'settings.title': 'Ajustes de {group}:',
+  'settings.totals': '• Totales: {value}',
+  'settings.order': '• Orden dentro de cada equipo: {value}',
+  'settings.colors': '• Colores: {value}',
+  'settings.signoff': '• Despedida: {value}',
+  'settings.poster': '• Póster de equipos: {value}',
+  'settings.default': '{value} (por defecto)',
+  'settings.on': 'sí',
+  'settings.off': 'no',
+  'settings.none': 'ninguna',
+  'settings.usage': 'Cámbialos con: set totals on|off · set poster on|off · set order random|alpha|pick · set colors verde,blanco,negro · set signoff "¡Vamos!" (o none) — "default" deshace uno, "settings reset" todos',
+  'settings.saved': '✅ Guardado.',
+  'settings.reset': '✅ Ajustes por defecto otra vez.',
+  'settings.missing': '¿Qué valor le doy a {name}?',
+  'settings.badTotals': 'Los totales pueden ser on u off, no "{value}".',
+  'settings.badOrder': 'El orden puede ser {orders}, no "{value}".',
+  'settings.badPoster': 'El póster puede ser on u off, no "{value}".',
+  'settings.tooManyColors': 'Son {count} colores; como mucho hay {max} equipos.',
+  'settings.longColor': 'Usa una palabra corta por color (hasta 12 letras).',
+  'settings.sameColor': 'Cada equipo necesita un color distinto.',
+  'settings.longSignoff': 'La despedida debe tener menos de {max} caracteres.',
+  'settings.unknown': 'No existe el ajuste "{name}".',
+
+  // ---------- Signups ----------
+  'game.none': 'No hay ningún partido abierto ahora.',
+  'game.noneOpenOne': 'No hay ningún partido abierto ahora. Ábrelo con p. ej. "open Monday 20:00 15".',
+  'game.head': '📅 {day} {time} · {format} · {count}/{capacity} dentro',
+  'game.headClosed': '📅 {day} {time} · {format} · {count}/{capacity} dentro · cerrado',
+  'game.nobody': 'Nadie todavía.',
+  'open.usage': 'Usa p. ej. "open Monday 20:00 15": día, hora y plazas (o un formato como 4x5).',
+  'open.alreadyOpen': 'Ya hay un partido abierto ({day} {time}). Envía "close" primero.',
+  'open.done': '📅 Partido abierto: {day} {time} ({format}, {spots} plazas).\nLos jugadores me escriben "in" (o "in +1" con un invitado) y "out" para bajarse. Envía "make teams" cuando quieras los equipos.',
+  'signup.askName': '¿Con qué nombre te apunto? Responde p. ej. "in Kevin".',
+  'signup.closed': 'Las inscripciones para {day} {time} están cerradas.',
+  'signup.nameTaken': 'Ya hay alguien apuntado como {name}. Responde "in <tu nombre>" con otro nombre.',
+  'signup.tooManyGuests': 'Máximo {max} invitados por jugador.',
+  'signup.noGuests': 'No tienes invitados apuntados.',
+  'signup.notIn': 'No estabas apuntado.',
+  'signup.out': '👋 Fuera de {day} {time}: {names}.',
+  'signup.promoted': '🎉 Se liberó una plaza: {name} juega {day} {time}.',
+  'signup.in': '✅ {name}: dentro ({position}/{capacity})',
+  'signup.waiting': '⏳ {name}: lista de espera #{position}',
+  'signup.willTell': 'Si alguien se baja, te aviso.',
+  'close.done': '🔒 Inscripciones cerradas para {day} {time} ({confirmed} confirmados, {waiting} en espera).',
+  'makeTeams.short': 'Solo hay {count} de {capacity} plazas ocupadas para {day} {time}. Espera más "in" o pega la lista tú mismo.',
+
+  // ---------- Weekly schedule ----------
+  'schedule.none': 'No hay partido semanal. Créalo con p. ej. "schedule Monday 20:00 Europe/Madrid 15".',
+  'schedule.noneToCancel': 'No había partido semanal.',
+  'schedule.cancelled': 'Partido semanal de los {day} {time} cancelado.',
+  'schedule.badTimezone': 'No conozco la zona horaria "{tz}". Usa nombres como Europe/Madrid o Asia/Kathmandu.',
+  'schedule.usage': 'Usa p. ej. "schedule Monday 20:00 Europe/Madrid 15" (día, hora, zona horaria y plazas). Opcional: "open 72h", "remind 3h", "cutoff 2h", "teams 1h" (antes del inicio).',
+  'schedule.saved': '✅ Partido semanal guardado. Abriré las inscripciones, recordaré a los apuntados, cerraré la lista y te enviaré los equipos yo solo.',
+  'schedule.every': '🔁 Cada {day} {time} ({tz}) · {format}',
+  'schedule.next': 'Próximo partido: {when}',
+  'schedule.step': '• {stage}: {when} ({before} antes)',
+  'schedule.hours': '{count} h',
+  'schedule.minutes': '{count} min',
+  'schedule.stage.open': 'Abren inscripciones',
+  'schedule.stage.remind': 'Recordatorio',
+  'schedule.stage.close': 'Cierran inscripciones',
+  'schedule.stage.teams': 'Envío de equipos',
+  'schedule.openFailed': 'No pude abrir {day} {time}: {openDay} {openTime} sigue abierto. Envía "close" y ábrelo con "open {day} {time}".',
+  'schedule.opened': '📅 Inscripciones abiertas: {day} {time} ({format}). Responde "in" para jugar ("in +1" con un invitado).',
+  'schedule.reminder': '⏰ Recordatorio: {day} {time}. En la lista: {names}. Responde "out" si no puedes venir.',
+  'schedule.closed': '🔒 Inscripciones cerradas.',
+
+  // ---------- Tutorial ----------
+  'tutorial': `👋 ¿Primera vez? Dos formas comunes de usarme:
+
+1) 3 equipos de 5 al azar
+Envía exactamente 15 nombres, por ejemplo:
+{randomExample}
+
+(También puedes pegar 15 líneas; lo detecto igual.)
+
+2) Snake draft equilibrado (3×5)
+Añade una calificación al final de cada línea (se permiten decimales) y, opcionalmente, pon 'bibs' en quien lavó la vez anterior:
+
+{snakeExample}
+
+Notas:
+• Los números son ejemplos: ajústalos para equilibrar equipos. Decimales como 7.5 funcionan.
+• Escribe 'bibs' en la línea de quien realmente lavó la última vez para registrarlo.
+• Escribe 'bibs_history' para ver quiénes han lavado.
+• ¿Baberos mal anotados? 'bibs undo', 'bibs set Kevin 3' o 'bibs add Simon'.
+• Le toca lavar a quien menos lavados tiene por partido jugado (los invitados nunca). ¿De viaje? 'bibs off Kevin 2w'; vuelve con 'bibs on Kevin'.
+• Bajo los equipos, 'Opciones' vuelve a mezclar, cambia dos jugadores, fija la formación, muestra calificaciones o cambia el formato.
+• Retoca los equipos a mano: 'swap Kevin Simon', 'move Anish to azul'; 'lock' los deja como los equipos oficiales de hoy.
+• Otros formatos: empieza con p. ej. 'teams 4x5:' o 'snake 2x6:' (equipos × jugadores).
+• ¿Más nombres de la cuenta? Los primeros juegan y el resto queda en lista de espera; empieza con 'teams subs:' para repartirlos como suplentes rotativos.
+• Guarda calificaciones con 'rate Rajesh 8.5' y revísalas con 'players'. Si todos en una lista pegada tienen calificación guardada, hago snake con ellas.
+• Si un nombre se parece a un jugador guardado ('Ashu' → Ashutosh), te pregunto y recuerdo la respuesta; también puedes usar 'alias Ashu = Ashutosh'.
+• Reglas en líneas aparte: 'pair: Anish+Juan' (mismo equipo), 'apart: Kevin, Simon' (equipos distintos); los marcados '(GK)' se reparten entre equipos.
+• Invitados: 'Kevin+1' o 'amigo de Kevin' juegan con Kevin; no lavan baberos ni se guardan en la lista de jugadores.
+• Varios grupos: 'group new Martes Futsal' crea uno (con código para 'group join'); 'organiser add +34600111222' decide quién puede cambiar calificaciones, baberos y partidos.
+• Ajustes del grupo: 'set colors verde,blanco,negro', 'set order alpha', 'set totals off', 'set signoff "¡Vamos!"', 'set poster off' (sin imagen de los equipos); 'settings' los muestra.
+• Marca posiciones con '(GK)', '(DEF)', '(ATT)' o guárdalas con 'pos Kevin DEF', y empieza con 'roles:' para repartir cada posición antes de equilibrar por calificación.
+• Usa 'balance:' en vez de 'snake:' para buscar el reparto más parejo posible (te digo qué tan cerca está del mejor).
+• Después del partido: 'result amarillo 3 azul 2' guarda el marcador y ajusta las calificaciones ('results' muestra la tabla, 'result undo' corrige un error).
+• Inscripciones: 'open Monday 20:00 15' abre un partido; cada jugador me escribe 'in', 'in +1' o 'out' (con lista de espera), 'game' muestra la lista y 'make teams' arma los equipos.
+• Partido semanal: 'schedule Monday 20:00 Europe/Madrid 15' abre inscripciones, avisa, cierra la lista y envía los equipos solo ('schedule off' para pararlo).
+
+Comando de idioma: {languages}.`
+};
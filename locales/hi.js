@@ -0,0 +1,292 @@
+// locales/hi.js
+// Hindi messages (same keys as en.js).
+
+module.exports = {
+  // ---------- General ----------
+  'lang.set': 'भाषा बदल दी गई।',
+  'lang.name': 'हिन्दी',
+  'lang.ask': '🌐 मैं किस भाषा में लिखूँ?',
+  'lang.sample': 'नमस्ते, यह कैसे काम करता है? क्या आप आज के मैच के लिए टीमें बना सकते हैं? हम आज रात फुटबॉल खेल रहे हैं और मैं जानना चाहता हूँ कि इस हफ्ते बिब्स कौन धोएगा। धन्यवाद, बाद में मिलते हैं, मैच कितने बजे है? मैं नहीं आ सकता, मैं खेलूँगा, कौन कौन खेल रहा है',
+  'rateLimited': 'एक साथ बहुत सारे संदेश आए। एक मिनट रुककर फिर से भेजें। 🙏',
+  'notText': 'कृपया खिलाड़ियों की सूची के साथ टेक्स्ट भेजें। 😊',
+  'buttons.prompt': 'और कुछ चाहिए?',
+  'buttons.shuffle': 'फिर से मिलाएँ',
+  'buttons.bibsHistory': 'बिब्स इतिहास',
+  'buttons.help': 'मदद',
+  'menu.button': 'विकल्प',
+  'menu.shuffleInfo': 'उन्हीं खिलाड़ियों का दूसरा बँटवारा',
+  'menu.swap': 'दो खिलाड़ी बदलें',
+  'menu.swapInfo': 'दो टीमों के बीच दो खिलाड़ी अदला-बदली',
+  'menu.lock': 'यह लाइनअप पक्का करें',
+  'menu.lockInfo': 'इतिहास में यही आज की टीमें रहेंगी',
+  'menu.ratings': 'रेटिंग देखें',
+  'menu.ratingsInfo': 'हर खिलाड़ी की रेटिंग, टीम के हिसाब से',
+  'menu.format': 'फ़ॉर्मैट बदलें',
+  'menu.formatInfo': 'वही खिलाड़ी, ज़्यादा या कम टीमों में',
+  'menu.bibsHistoryInfo': 'किसने कब बिब्स धोईं',
+  'menu.helpInfo': 'बॉट जो कुछ कर सकता है',
+
+  // ---------- Team colors ----------
+  'color.yellow': 'पीला',
+  'color.blue': 'नीला',
+  'color.red': 'लाल',
+  'color.green': 'हरा',
+  'color.white': 'सफ़ेद',
+  'color.black': 'काला',
+  'color.orange': 'नारंगी',
+  'color.purple': 'बैंगनी',
+
+  // ---------- Teams message ----------
+  'teams.title': 'आज की टीमें:',
+  'teams.sub': '🔁 सब: {names}',
+  'teams.total': 'कुल: {total}',
+  'teams.spreadBest': '⚖️ अंतर {spread} · सबसे अच्छा संभव {best}',
+  'teams.spreadFound': '⚖️ अंतर {spread} · मिला सबसे अच्छा {best}',
+  'teams.waitlist': '⏳ प्रतीक्षा सूची:',
+  'teams.bibsNext': '🧼 अगली बार बिब्स: {name}',
+  'teams.bibsNextWhy': '🧼 अगली बार बिब्स: {name} ({why})',
+  'teams.bibsRecorded': '✅ दर्ज किया: {names}',
+  'teams.signoff': 'मज़े से खेलें! ⚽',
+  // The teams poster (poster.js): plain text, no emoji
+  'poster.subs': 'सब: {names}',
+  'poster.waitlist': 'प्रतीक्षा सूची: {names}',
+  'poster.bibsNext': 'अगली बार बिब्स: {name}',
+  'bibs.washes': { one: '{count} बार धोया', other: '{count} बार धोया' },
+  'bibs.games': { one: '{count} मैच', other: '{count} मैच' },
+  'bibs.why': '{games} में {washes}, आज प्रति मैच सबसे कम',
+  'bibs.whyTied': '{games} में {washes}, आज प्रति मैच सबसे कम; बराबरी वाले {count} में से चुना गया',
+
+  // ---------- विकल्प मेनू ----------
+  'swap.ask': 'कौन से दो खिलाड़ी? दोनों नाम भेजें, जैसे "{example}"।',
+  'swap.sameTeam': '{a} और {b} पहले से एक ही टीम में हैं।',
+  'swap.done': '🔄 {a} और {b} बदल दिए।',
+  'swap.notFound': '"{text}" में पिछली टीमों के दो खिलाड़ी नहीं मिले। जैसे "swap Kevin Simon" भेजें।',
+  'move.notFound': '"{name}" पिछली टीमों में नहीं है।',
+  'move.pickTeam': 'किस टीम में? {colors}, जैसे "move {name} to {first}"।',
+  'move.already': '{name} पहले से {team} में है।',
+  'move.done': '➡️ {name} को {team} में भेजा।',
+  'move.swapped': '🔄 टीमें बराबर रखने के लिए {name} और {other} बदल दिए: {name} अब {team} में।',
+  'lineup.none': 'पहले टीमें बनाएँ, फिर जैसे "swap Kevin Simon", "move Anish to blue" या "lock"।',
+  'lock.done': '🔒 पक्का: आज की टीमें यही हैं। बाद में कितना भी मिलाएँ, इतिहास, नतीजे और बिब्स इसी लाइनअप से चलेंगे।',
+  'ratings.title': '⭐ रेटिंग, टीम के हिसाब से:',
+  'ratings.none': 'ये टीमें बिना रेटिंग के बनी हैं।',
+  'format.pick': { one: '{count} नाम के लिए कौन सा फ़ॉर्मैट?', other: 'इन {count} नामों के लिए कौन सा फ़ॉर्मैट?' },
+  'format.allPlay': 'सब खेलेंगे',
+  'format.leftOver': { one: '{count} नाम बचा', other: '{count} नाम बचे' },
+  'format.none': { one: '{count} नाम के लिए कोई और फ़ॉर्मैट नहीं बैठता।', other: 'इन {count} नामों के लिए कोई और फ़ॉर्मैट नहीं बैठता।' },
+  'fix.format': '{format} बनाएँ',
+  'fix.ignoreRules': 'नियम छोड़ दें',
+  'fix.pickFormat': 'या कोई फ़िट होने वाला फ़ॉर्मैट बनाएँ:',
+
+  // ---------- Roster problems ----------
+  'roster.found': {
+    one: 'मुझे {count} नाम मिला। ठीक {total} ({format}) चाहिए।',
+    other: 'मुझे {count} नाम मिले। ठीक {total} ({format}) चाहिए।'
+  },
+  'roster.badFormat': '{format} नहीं बना सकता। {min} से {max} टीमें और हर टीम में ज़्यादा से ज़्यादा {size} खिलाड़ी रखें, जैसे "teams 4x5:" या "snake 2x6:"।',
+  'roster.roles': 'Roles {format} के लिए ठीक {total} नाम भेजें; (GK), (DEF) या (ATT) से पोज़ीशन लिखें और चाहें तो रेटिंग भी।\n\nउदाहरण:\n{example}',
+  'roster.balance': 'Balance {format} के लिए ठीक {total} नाम भेजें, हर एक के साथ रेटिंग (या ऐसे नाम जिनकी रेटिंग सेव है)।\n\nउदाहरण:\n{example}',
+  'roster.snake': 'रेटिंग वाले snake {format} के लिए ठीक {total} नाम भेजें, हर लाइन के अंत में रेटिंग (दशमलव भी चलेगा)।\n\nउदाहरण:\n{example}',
+  'roster.snakeOrder': 'बिना रेटिंग वाले snake के लिए "snake:" के बाद ठीक {total} नाम मज़बूत→कमज़ोर क्रम में भेजें।\n\nउदाहरण:\n{example}',
+  'rules.problem': 'इन नियमों के साथ टीमें नहीं बन सकतीं: {problem}',
+  'rules.not_listed': '"{name}" खेलने वालों की सूची में नहीं है।',
+  'rules.block_too_big': '{players} {count} खिलाड़ी हैं, लेकिन टीम में सिर्फ़ {size} होते हैं।',
+  'rules.apart_too_many': 'सिर्फ़ {teams} टीमों में {count} खिलाड़ियों ({players}) को अलग नहीं रख सकता।',
+  'rules.paired_and_apart': '{players} एक साथ भी हैं और अलग भी।',
+  'rules.infeasible': 'कोई भी बँटवारा सभी जोड़ियों को साथ, सभी अलग समूहों को अलग और पोज़ीशन बराबर नहीं रखता।',
+  'rules.gaveUp': 'इस बार सभी नियम मानने वाला दूसरा बँटवारा नहीं मिला, इसलिए ऊपर वाली टीमें ही रहेंगी। फिर कोशिश करने के लिए "फिर से मिलाएँ" दबाएँ।',
+
+  // ---------- Canonical names ----------
+  'names.didYouMean': '🤔 मैं "{typed}" को नहीं जानता। क्या आपका मतलब {options} था?',
+  'names.newPlayer': 'नया खिलाड़ी',
+  'names.expired': 'वह सवाल अब खुला नहीं है। सूची फिर से पेस्ट करें।',
+  'names.aliased': '✅ समझ गया: "{typed}" मतलब {name}।',
+  'names.added': '✅ समझ गया: {typed} नया खिलाड़ी है।',
+
+  // ---------- Bibs ----------
+  'bibs.none': 'अभी तक बिब्स का कोई इतिहास नहीं है।',
+  'bibs.title': 'बिब्स इतिहास (किसने धोए):',
+  'bibs.row': '{name} — {count} {bar}',
+  'bibs.rowLast': '{name} — {count} {bar} · पिछली बार {date}',
+  'bibs.recent': 'हाल में:',
+  'bibs.entry.wash': '{name} ने धोए',
+  'bibs.entry.add': '{name} ने धोए (हाथ से जोड़ा)',
+  'bibs.entry.set': '{name} = {count}',
+  'bibs.entry.undo': 'वापस ({name})',
+  'bibs.entry.import': '{name} {count} के साथ आयात',
+  'bibs.sittingOut': 'बारी से बाहर: {names}',
+  'bibs.until': '{name} ({date} तक)',
+  'bibs.nothingToUndo': 'वापस लेने को कुछ नहीं है।',
+  'bibs.undone': '↩️ वापस लिया: {what} ({date})। अब {name} के {count}।',
+  'bibs.setTo': '✅ {name} के बिब्स: {after} (पहले {before})।',
+  'bibs.added': '✅ दर्ज किया: {name} ने बिब्स धोए ({count})।',
+  'bibs.sayWho': 'बताइए किसके लिए, जैसे "bibs off Kevin 2w"।',
+  'bibs.othersOnly': 'किसी और की बारी सिर्फ़ आयोजक बदल सकते हैं; अपने लिए "bibs {command}" भेजें।',
+  'bibs.back': '✅ {name} फिर से बिब्स की बारी में।',
+  'bibs.alreadyIn': '{name} पहले से बारी में हैं।',
+  'bibs.outUntil': '🧼 {name} {date} तक बिब्स नहीं धोएँगे।',
+  'bibs.out': '🧼 {name} "bibs on" तक बिब्स नहीं धोएँगे।',
+  'bibs.usage': 'जैसे "bibs add Simon" (एक बार और धोया) या "bibs set Kevin 3" (कुल ठीक करें)।',
+
+  // ---------- Player registry ----------
+  'players.none': 'अभी तक कोई खिलाड़ी सेव नहीं है। ऐसे सेव करें: rate Rajesh 8.5',
+  'players.title': 'खिलाड़ी ({count}):',
+  'players.aka': '{name} उर्फ़ {aliases}',
+  'rate.saved': 'रेटिंग सेव हुई: {list}',
+  'rate.unreadable': 'पढ़ नहीं पाया: {list} ("rate नाम 7.5" लिखें)',
+  'rate.guests': 'सेव नहीं हुए (मेहमान): {list}',
+  'alias.saved': 'सेव हुआ: "{alias}" का मतलब अब {name}।',
+  'alias.taken': '"{alias}" का मतलब पहले से {name} है।',
+  'alias.usage': 'ऐसे लिखें: alias Ashu = Ashutosh',
+  'pos.usage': 'ऐसे लिखें: pos Kevin GK (पोज़ीशन: {positions}, हटाने के लिए none)',
+  'pos.guest': '{name} मेहमान हैं; मेहमान सेव नहीं होते। सूची में "(GK)" लिख दें।',
+  'pos.saved': 'सेव हुआ: {name} — {position}',
+  'pos.none': 'कोई पोज़ीशन नहीं',
+  'forget.done': '{name} को खिलाड़ियों की सूची से हटा दिया।',
+  'forget.unknown': 'मैं "{name}" को नहीं जानता।',
+
+  // ---------- Results ----------
+  'results.none': 'अभी तक कोई नतीजा दर्ज नहीं है।',
+  'results.nothingToUndo': 'वापस लेने को कोई नतीजा नहीं है।',
+  'results.undone': 'हटाया: {a} {goalsA}–{goalsB} {b} (रेटिंग पहले जैसी)',
+  'results.makeTeamsFirst': 'पहले टीमें बनाएँ, फिर स्कोर भेजें, जैसे result yellow 3 blue 2',
+  'results.pickTeams': 'इनमें से दो अलग टीमें चुनें: {colors}। जैसे result {first} 3 {second} 2',
+  'results.recorded': 'दर्ज किया: {a} {goalsA}–{goalsB} {b}\nरेटिंग: {a} हर एक {deltaA} · {b} हर एक {deltaB}',
+  'results.table': { one: 'तालिका ({count} मैच):', other: 'तालिका ({count} मैच):' },
+  'results.row': {
+    one: '{rank}. {team} — {count} अंक ({won}जी {drawn}ड्रॉ {lost}हा, {goalsFor}–{goalsAgainst})',
+    other: '{rank}. {team} — {count} अंक ({won}जी {drawn}ड्रॉ {lost}हा, {goalsFor}–{goalsAgainst})'
+  },
+  'results.games': 'मैच:',
+
+  // ---------- Groups ----------
+  'group.created': '✅ "{group}" बन गया। आप इसके एडमिन हैं, और यह चैट अब इसी ग्रुप में है।\nबाकी लोग ऐसे जुड़ें: group join {code}\nआयोजक जोड़ें: organiser add <फ़ोन नंबर>',
+  'group.joined': '✅ यह चैट अब "{group}" ग्रुप में है।',
+  'group.unknownCode': 'मैं ग्रुप कोड "{code}" नहीं जानता।',
+  'group.left': '✅ "{group}" छोड़ दिया।',
+  'group.notInGroup': 'यह चैट किसी ग्रुप में नहीं है।',
+  'group.title': 'ग्रुप: {group} (जुड़ने का कोड {code})',
+  'group.titleDefault': 'ग्रुप: {group} (वे चैट जो किसी और ग्रुप में नहीं जुड़े)',
+  'group.open': 'इस ग्रुप को अभी कोई नहीं चलाता, इसलिए सभी रेटिंग, बिब्स और मैच बदल सकते हैं।',
+  'group.setUp': 'ऐसे शुरू करें: organiser add <फ़ोन नंबर>',
+  'group.admins': 'एडमिन: {ids}',
+  'group.organisers': 'आयोजक: {ids}',
+  'group.you': 'आप: {role}',
+  'group.commands': 'group new <नाम> · group join <कोड> · group leave',
+  'role.admin': 'एडमिन',
+  'role.organiser': 'आयोजक',
+  'role.player': 'खिलाड़ी',
+  'role.adminsOnly': 'सिर्फ़ "{group}" के एडमिन ही एडमिन और आयोजक जोड़ या हटा सकते हैं।',
+  'role.firstAdmin': 'अब आप "{group}" के एडमिन हैं।',
+  'role.addedAdmin': '✅ {id} अब "{group}" के एडमिन हैं।',
+  'role.addedOrganiser': '✅ {id} अब "{group}" के आयोजक हैं।',
+  'role.lastAdmin': '"{group}" में कम से कम एक एडमिन चाहिए; {id} को हटाने से पहले कोई और जोड़ें।',
+  'role.removed': '✅ {id} अब "{group}" नहीं चलाते।',
+  'organisersOnly': 'यह सिर्फ़ "{group}" के आयोजक कर सकते हैं।',
+
+  // ---------- Settings ----------
+  'settings.title': '{group} की सेटिंग:',
+  'settings.totals': '• कुल रेटिंग: {value}',
+  'settings.order': '• टीम के अंदर क्रम: {value}',
+  'settings.colors': '• रंग: {value}',
+  'settings.signoff': '• आख़िरी लाइन: {value}',
+  'settings.poster': '• टीमों का पोस्टर: {value}',
+  'settings.default': '{value} (डिफ़ॉल्ट)',
+  'settings.on': 'दिखाएँ',
+  'settings.off': 'न दिखाएँ',
+  'settings.none': 'कुछ नहीं',
+  'settings.usage': 'बदलने के लिए: set totals on|off · set poster on|off · set order random|alpha|pick · set colors green,white,black · set signoff "Vamos!" (या none) — "default" एक को, "settings reset" सबको वापस करता है',
+  'settings.saved': '✅ सेव हुआ।',
+  'settings.reset': '✅ सेटिंग डिफ़ॉल्ट पर वापस।',
+  'settings.missing': '{name} क्या होना चाहिए?',
+  'settings.badTotals': 'Totals on या off हो सकता है, "{value}" नहीं।',
+  'settings.badOrder': 'क्रम {orders} हो सकता है, "{value}" नहीं।',
+  'settings.badPoster': 'पोस्टर on या off हो सकता है, "{value}" नहीं।',
+  'settings.tooManyColors': 'ये {count} रंग हैं; टीमें ज़्यादा से ज़्यादा {max} होती हैं।',
+  'settings.longColor': 'हर रंग एक छोटे शब्द में लिखें (12 अक्षर तक)।',
+  'settings.sameColor': 'हर टीम का रंग अलग होना चाहिए।',
+  'settings.longSignoff': 'आख़िरी लाइन {max} अक्षरों से छोटी रखें।',
+  'settings.unknown': '"{name}" नाम की कोई सेटिंग नहीं है।',
+
+  // ---------- Signups ----------
+  'game.none': 'अभी कोई मैच खुला नहीं है।',
+  'game.noneOpenOne': 'अभी कोई मैच खुला नहीं है। "open Monday 20:00 15" जैसा भेजकर खोलें।',
+  'game.head': '📅 {day} {time} · {format} · {count}/{capacity} पक्के',
+  'game.headClosed': '📅 {day} {time} · {format} · {count}/{capacity} पक्के · बंद',
+  'game.nobody': 'अभी तक कोई नहीं।',
+  'open.usage': 'जैसे "open Monday 20:00 15": दिन, समय और जगहें (या 4x5 जैसा फ़ॉर्मैट)।',
+  'open.alreadyOpen': 'एक मैच पहले से खुला है ({day} {time})। पहले "close" भेजें।',
+  'open.done': '📅 मैच खुला: {day} {time} ({format}, {spots} जगहें)।\nखिलाड़ी मुझे "in" (मेहमान के साथ "in +1") और हटने के लिए "out" भेजें। टीमें चाहिए तो "make teams" भेजें।',
+  'signup.askName': 'आपको किस नाम से लिखूँ? जैसे "in Kevin" भेजें।',
+  'signup.closed': '{day} {time} के लिए नाम लिखवाना बंद हो चुका है।',
+  'signup.nameTaken': '{name} नाम से कोई पहले से है। किसी और नाम के साथ "in <आपका नाम>" भेजें।',
+  'signup.tooManyGuests': 'हर खिलाड़ी ज़्यादा से ज़्यादा {max} मेहमान ला सकता है।',
+  'signup.noGuests': 'आपका कोई मेहमान सूची में नहीं है।',
+  'signup.notIn': 'आप सूची में नहीं थे।',
+  'signup.out': '👋 {day} {time} से हटाए गए: {names}।',
+  'signup.promoted': '🎉 एक जगह खाली हुई: {name} {day} {time} को खेल रहे हैं।',
+  'signup.in': '✅ {name}: पक्का ({position}/{capacity})',
+  'signup.waiting': '⏳ {name}: प्रतीक्षा सूची #{position}',
+  'signup.willTell': 'कोई हटेगा तो मैं बता दूँगा।',
+  'close.done': '🔒 {day} {time} के लिए नाम लिखवाना बंद ({confirmed} पक्के, {waiting} प्रतीक्षा में)।',
+  'makeTeams.short': '{day} {time} के लिए {capacity} में से सिर्फ़ {count} जगहें भरी हैं। और "in" का इंतज़ार करें या सूची ख़ुद पेस्ट करें।',
+
+  // ---------- Weekly schedule ----------
+  'schedule.none': 'अभी कोई साप्ताहिक मैच नहीं है। "schedule Monday 20:00 Asia/Kolkata 15" जैसा भेजकर बनाएँ।',
+  'schedule.noneToCancel': 'कोई साप्ताहिक मैच नहीं था।',
+  'schedule.cancelled': 'हर {day} {time} का साप्ताहिक मैच रद्द हुआ।',
+  'schedule.badTimezone': 'मैं टाइमज़ोन "{tz}" नहीं जानता। Asia/Kolkata या Europe/Madrid जैसे नाम लिखें।',
+  'schedule.usage': 'जैसे "schedule Monday 20:00 Asia/Kolkata 15" (दिन, समय, टाइमज़ोन और जगहें)। वैकल्पिक: "open 72h", "remind 3h", "cutoff 2h", "teams 1h" (शुरू होने से पहले)।',
+  'schedule.saved': '✅ साप्ताहिक मैच सेव हुआ। मैं ख़ुद नाम लिखवाना खोलूँगा, खिलाड़ियों को याद दिलाऊँगा, सूची बंद करूँगा और आपको टीमें भेजूँगा।',
+  'schedule.every': '🔁 हर {day} {time} ({tz}) · {format}',
+  'schedule.next': 'अगला मैच: {when}',
+  'schedule.step': '• {stage}: {when} ({before} पहले)',
+  'schedule.hours': '{count} घंटे',
+  'schedule.minutes': '{count} मिनट',
+  'schedule.stage.open': 'नाम लिखवाना शुरू',
+  'schedule.stage.remind': 'याद दिलाना',
+  'schedule.stage.close': 'नाम लिखवाना बंद',
+  'schedule.stage.teams': 'टीमें भेजना',
+  'schedule.openFailed': '{day} {time} नहीं खोल पाया: {openDay} {openTime} अभी भी खुला है। "close" भेजें और "open {day} {time}" से खोलें।',
+  'schedule.opened': '📅 नाम लिखवाना शुरू: {day} {time} ({format})। खेलने के लिए "in" भेजें (मेहमान के साथ "in +1")।',
+  'schedule.reminder': '⏰ याद दिला दूँ: {day} {time}। सूची में: {names}। न आ सकें तो "out" भेजें।',
+  'schedule.closed': '🔒 नाम लिखवाना बंद।',
+
+  // ---------- Tutorial ----------
+  'tutorial': `👋 पहली बार? मुझे इस्तेमाल करने के दो आम तरीके:
+
+1) 5-5 खिलाड़ियों की 3 रैंडम टीमें
+ठीक 15 नाम भेजें, जैसे:
+{randomExample}
+
+(15 अलग-अलग लाइनें भी पेस्ट कर सकते हैं; मैं नाम पहचान लूँगा।)
+
+2) संतुलित snake draft (3×5)
+हर लाइन के अंत में रेटिंग लिखें (दशमलव भी चलेगा), और चाहें तो पिछली बार बिब्स धोने वाले की लाइन में 'bibs' लिखें:
+
+{snakeExample}
+
+नोट:
+• ये नंबर सिर्फ़ उदाहरण हैं — टीमें बराबर करने के लिए बदलें। 7.5 जैसे दशमलव चलते हैं।
+• जिसने सच में पिछली बार धोए, उसकी लाइन में 'bibs' लिखकर दर्ज करें।
+• 'bibs_history' लिखकर देखें कि अब तक किसने धोए।
+• बिब्स ग़लत दर्ज हुए? 'bibs undo', 'bibs set Kevin 3' या 'bibs add Simon'।
+• बारी उसकी जिसने खेले गए मैचों के हिसाब से सबसे कम धोए (मेहमान कभी नहीं)। बाहर जा रहे हैं? 'bibs off Kevin 2w'; लौटकर 'bibs on Kevin'।
+• टीमों के नीचे 'विकल्प' से फिर से मिलाएँ, दो खिलाड़ी बदलें, लाइनअप पक्का करें, रेटिंग देखें या फ़ॉर्मैट बदलें।
+• टीमें हाथ से ठीक करें: 'swap Kevin Simon', 'move Anish to blue'; 'lock' इन्हें आज की आधिकारिक टीमें बना देता है।
+• दूसरे फ़ॉर्मैट: 'teams 4x5:' या 'snake 2x6:' से शुरू करें (टीमें × खिलाड़ी)।
+• जगहों से ज़्यादा नाम? पहले वाले खेलते हैं और बाकी प्रतीक्षा सूची में; उन्हें बारी-बारी वाले सब बनाने के लिए 'teams subs:' से शुरू करें।
+• 'rate Rajesh 8.5' से रेटिंग सेव करें और 'players' से देखें। पेस्ट की गई सूची में सबकी रेटिंग सेव हो तो मैं उसी से snake बनाता हूँ।
+• कोई नाम सेव खिलाड़ी जैसा लगे ('Ashu' → Ashutosh) तो मैं पूछता हूँ और जवाब याद रखता हूँ; 'alias Ashu = Ashutosh' भी चलता है।
+• अलग लाइनों में नियम: 'pair: Anish+Juan' (एक ही टीम), 'apart: Kevin, Simon' (अलग टीमें); '(GK)' वाले खिलाड़ी टीमों में बाँटे जाते हैं।
+• मेहमान: 'Kevin+1' या "Kevin's friend" Kevin के साथ खेलते हैं; वे कभी बिब्स नहीं धोते और खिलाड़ियों की सूची में सेव नहीं होते।
+• कई ग्रुप: 'group new Tuesday Futsal' ग्रुप बनाता है ('group join' के कोड के साथ); 'organiser add +919800000000' तय करता है कि रेटिंग, बिब्स और मैच कौन बदल सकता है।
+• ग्रुप की सेटिंग: 'set colors green,white,black', 'set order alpha', 'set totals off', 'set signoff "Vamos!"', 'set poster off' (टीमों की तस्वीर के बिना); 'settings' सब दिखाता है।
+• '(GK)', '(DEF)', '(ATT)' से पोज़ीशन लिखें या 'pos Kevin DEF' से सेव करें, फिर 'roles:' से शुरू करें ताकि हर पोज़ीशन बराबर बँटे और फिर रेटिंग से संतुलन हो।
+• 'snake:' की जगह 'balance:' सबसे बराबर बँटवारा ढूँढता है (सबसे अच्छे से कितना पास है, यह भी बताता हूँ)।
+• मैच के बाद: 'result yellow 3 blue 2' स्कोर दर्ज करके रेटिंग थोड़ी बदलता है ('results' तालिका दिखाता है, 'result undo' ग़लती सुधारता है)।
+• नाम लिखवाना: 'open Monday 20:00 15' मैच खोलता है; खिलाड़ी मुझे 'in', 'in +1' या 'out' भेजते हैं (प्रतीक्षा सूची के साथ), 'game' सूची दिखाता है और 'make teams' उससे टीमें बनाता है।
+• साप्ताहिक मैच: 'schedule Monday 20:00 Asia/Kolkata 15' ख़ुद नाम लिखवाना खोलता है, याद दिलाता है, सूची बंद करता है और टीमें भेजता है ('schedule off' से रुकता है)।
+
+भाषा बदलें: {languages}।`
+};
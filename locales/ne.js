@@ -0,0 +1,292 @@
+// locales/ne.js
+// Nepali messages (same keys as en.js).
+
+module.exports = {
+  // ---------- General ----------
+  'lang.set': 'भाषा परिवर्तन भयो।',
+  'lang.name': 'नेपाली',
+  'lang.ask': '🌐 कुन भाषामा लेखूँ?',
+  'lang.sample': 'नमस्ते, यो कसरी चल्छ? आजको खेलका लागि टिम बनाइदिनुहोस् न। हामी आज बेलुका फुटबल खेल्दैछौं र यो हप्ता बिब्स कसले धुने हो थाहा पाउन चाहन्छु। धन्यवाद, पछि भेटौंला, खेल कति बजे हो? म आउन सक्दिनँ, म खेल्छु, को को खेल्दै हुनुहुन्छ',
+  'rateLimited': 'धेरै सन्देशहरू एकैचोटि आए। एक मिनेट पर्खेर फेरि पठाउनुहोस्। 🙏',
+  'notText': 'कृपया खेलाडीहरूको सूचीसहित टेक्स्ट पठाउनुहोस्। 😊',
+  'buttons.prompt': 'अरू केही चाहियो?',
+  'buttons.shuffle': 'फेरि मिलाउनुहोस्',
+  'buttons.bibsHistory': 'बिब्स इतिहास',
+  'buttons.help': 'मद्दत',
+  'menu.button': 'विकल्पहरू',
+  'menu.shuffleInfo': 'उही खेलाडीहरूको अर्को बाँडफाँड',
+  'menu.swap': 'दुई खेलाडी साट्नुहोस्',
+  'menu.swapInfo': 'दुई टिमबीच दुई खेलाडी साट्छ',
+  'menu.lock': 'यो लाइनअप पक्का',
+  'menu.lockInfo': 'इतिहासमा यिनै आजका टिम हुन्छन्',
+  'menu.ratings': 'रेटिङ हेर्नुहोस्',
+  'menu.ratingsInfo': 'हरेक खेलाडीको रेटिङ, टिम अनुसार',
+  'menu.format': 'फर्म्याट बदल्नुहोस्',
+  'menu.formatInfo': 'उही खेलाडी, धेरै वा थोरै टिममा',
+  'menu.bibsHistoryInfo': 'कसले कहिले बिब्स धोयो',
+  'menu.helpInfo': 'बटले गर्न सक्ने सबै कुरा',
+
+  // ---------- Team colors ----------
+  'color.yellow': 'पहेंलो',
+  'color.blue': 'नीलो',
+  'color.red': 'रातो',
+  'color.green': 'हरियो',
+  'color.white': 'सेतो',
+  'color.black': 'कालो',
+  'color.orange': 'सुन्तला',
+  'color.purple': 'बैजनी',
+
+  // ---------- Teams message ----------
+  'teams.title': 'आजका टिमहरू:',
+  'teams.sub': '🔁 सब: {names}',
+  'teams.total': 'जम्मा: {total}',
+  'teams.spreadBest': '⚖️ फरक {spread} · सम्भव भएसम्मको उत्कृष्ट {best}',
+  'teams.spreadFound': '⚖️ फरक {spread} · भेटिएको उत्कृष्ट {best}',
+  'teams.waitlist': '⏳ प्रतीक्षा सूची:',
+  'teams.bibsNext': '🧼 अर्को बिब्स: {name}',
+  'teams.bibsNextWhy': '🧼 अर्को बिब्स: {name} ({why})',
+  'teams.bibsRecorded': '✅ रेकर्ड भयो: {names}',
+  'teams.signoff': 'रमाइलो गर्नुहोस्! ⚽',
+  // The teams poster (poster.js): plain text, no emoji
+  'poster.subs': 'सब: {names}',
+  'poster.waitlist': 'प्रतीक्षा सूची: {names}',
+  'poster.bibsNext': 'अर्को बिब्स: {name}',
+  'bibs.washes': { one: '{count} पटक धोएको', other: '{count} पटक धोएको' },
+  'bibs.games': { one: '{count} खेल', other: '{count} खेल' },
+  'bibs.why': '{games} मा {washes}, आज खेलअनुसार सबैभन्दा कम',
+  'bibs.whyTied': '{games} मा {washes}, आज खेलअनुसार सबैभन्दा कम; बराबर {count} जनाबाट छानिएको',
+
+  // ---------- विकल्प मेनु ----------
+  'swap.ask': 'कुन दुई खेलाडी? दुवै नाम पठाउनुहोस्, जस्तै "{example}"।',
+  'swap.sameTeam': '{a} र {b} पहिले नै एउटै टिममा छन्।',
+  'swap.done': '🔄 {a} र {b} साटियो।',
+  'swap.notFound': '"{text}" मा पछिल्ला टिमका दुई खेलाडी भेटिएनन्। जस्तै "swap Kevin Simon" पठाउनुहोस्।',
+  'move.notFound': '"{name}" पछिल्ला टिममा छैनन्।',
+  'move.pickTeam': 'कुन टिममा? {colors}, जस्तै "move {name} to {first}"।',
+  'move.already': '{name} पहिले नै {team} मा छन्।',
+  'move.done': '➡️ {name} {team} मा सारियो।',
+  'move.swapped': '🔄 टोली बराबर राख्न {name} र {other} साटियो: {name} अब {team} मा।',
+  'lineup.none': 'पहिले टिम बनाउनुहोस्, त्यसपछि जस्तै "swap Kevin Simon", "move Anish to blue" वा "lock"।',
+  'lock.done': '🔒 पक्का भयो: आजका टिम यिनै हुन्। पछि जतिसुकै मिलाए पनि इतिहास, नतिजा र बिब्सले यही लाइनअप मान्छन्।',
+  'ratings.title': '⭐ रेटिङ, टिम अनुसार:',
+  'ratings.none': 'यी टिम रेटिङ बिना बनेका हुन्।',
+  'format.pick': { one: '{count} नामका लागि कुन फर्म्याट?', other: 'यी {count} नामका लागि कुन फर्म्याट?' },
+  'format.allPlay': 'सबै खेल्छन्',
+  'format.leftOver': { one: '{count} नाम बाँकी', other: '{count} नाम बाँकी' },
+  'format.none': { one: '{count} नामका लागि अर्को फर्म्याट मिल्दैन।', other: 'यी {count} नामका लागि अर्को फर्म्याट मिल्दैन।' },
+  'fix.format': '{format} बनाउनुहोस्',
+  'fix.ignoreRules': 'नियम नमान्नुहोस्',
+  'fix.pickFormat': 'वा मिल्ने फर्म्याट बनाउनुहोस्:',
+
+  // ---------- Roster problems ----------
+  'roster.found': {
+    one: 'मैले {count} वटा नाम फेला पारेँ। ठ्याक्कै {total} ({format}) चाहिन्छ।',
+    other: 'मैले {count} वटा नाम फेला पारेँ। ठ्याक्कै {total} ({format}) चाहिन्छ।'
+  },
+  'roster.badFormat': '{format} बनाउन सकिँदैन। {min} देखि {max} टिम र टिममा बढीमा {size} खेलाडी प्रयोग गर्नुहोस्, जस्तै "teams 4x5:" वा "snake 2x6:"।',
+  'roster.roles': 'Roles {format} को लागि, ठ्याक्कै {total} वटा नाम पठाउनुहोस्; (GK), (DEF) वा (ATT) ले पोजिसन लेख्नुहोस्, चाहे रेटिङ पनि।\n\nउदाहरण:\n{example}',
+  'roster.balance': 'Balance {format} को लागि, {total} वटा नाम रेटिङसहित पठाउनुहोस् (वा रेटिङ सेभ भएका नाम)।\n\nउदाहरण:\n{example}',
+  'roster.snake': 'Rated snake {format} को लागि, {total} वटा नाम चाहिन्छ, प्रत्येक लाइनको अन्त्यमा रेटिङ (दशमलव पनि ठीक)।\n\nउदाहरण:\n{example}',
+  'roster.snakeOrder': 'Snake (रेटिङ बिना) को लागि, "snake:" पछाडि {total} वटा नाम मजबूत→कमजोर क्रममा पठाउनुहोस्।\n\nउदाहरण:\n{example}',
+  'rules.problem': 'यी नियमसहित टिम बनाउन सकिँदैन: {problem}',
+  'rules.not_listed': '"{name}" खेल्ने सूचीमा छैन।',
+  'rules.block_too_big': '{players} {count} जना हुन्, तर टिममा {size} जना मात्र हुन्छन्।',
+  'rules.apart_too_many': '{teams} टिममा {count} जना ({players}) लाई छुट्याउन सकिँदैन।',
+  'rules.paired_and_apart': '{players} एकैपटक सँगै र छुट्टै राखिएका छन्।',
+  'rules.infeasible': 'कुनै पनि बाँडफाँटले सबै जोडी सँगै, सबै छुट्टै समूह अलग र पोजिसन बराबर राख्दैन।',
+  'rules.gaveUp': 'यसपटक सबै नियम मिल्ने अर्को बाँडफाँड भेटिएन, त्यसैले माथिकै टोली कायम छन्। फेरि प्रयास गर्न "फेरि मिलाउनुहोस्" थिच्नुहोस्।',
+
+  // ---------- Canonical names ----------
+  'names.didYouMean': '🤔 "{typed}" मेरो सूचीमा छैन। के {options} भन्न खोज्नुभएको हो?',
+  'names.newPlayer': 'नयाँ खेलाडी',
+  'names.expired': 'त्यो प्रश्न अब खुला छैन। सूची फेरि पेस्ट गर्नुहोस्।',
+  'names.aliased': '✅ बुझें: "{typed}" भनेको {name} हो।',
+  'names.added': '✅ बुझें: {typed} नयाँ खेलाडी हो।',
+
+  // ---------- Bibs ----------
+  'bibs.none': 'अहिलेसम्म बिब्स इतिहास छैन।',
+  'bibs.title': 'बिब्स इतिहास (कसले धोए):',
+  'bibs.row': '{name} — {count} {bar}',
+  'bibs.rowLast': '{name} — {count} {bar} · पछिल्लो {date}',
+  'bibs.recent': 'हालसालै:',
+  'bibs.entry.wash': '{name} ले धोए',
+  'bibs.entry.add': '{name} ले धोए (हातले थपिएको)',
+  'bibs.entry.set': '{name} = {count}',
+  'bibs.entry.undo': 'पूर्ववत ({name})',
+  'bibs.entry.import': '{name} {count} सहित आयात',
+  'bibs.sittingOut': 'पालोबाट बाहिर: {names}',
+  'bibs.until': '{name} ({date} सम्म)',
+  'bibs.nothingToUndo': 'पूर्ववत गर्न केही छैन।',
+  'bibs.undone': '↩️ पूर्ववत: {what} ({date})। अब {name} को {count}।',
+  'bibs.setTo': '✅ {name} को बिब्स: {after} (पहिले {before})।',
+  'bibs.added': '✅ रेकर्ड भयो: {name} ले बिब्स धोए ({count})।',
+  'bibs.sayWho': 'को हो भन्नुहोस्, जस्तै "bibs off Kevin 2w"।',
+  'bibs.othersOnly': 'अरूको पालो आयोजकले मात्र बदल्न सक्छन्; आफ्नो लागि "bibs {command}" पठाउनुहोस्।',
+  'bibs.back': '✅ {name} फेरि बिब्स पालोमा।',
+  'bibs.alreadyIn': '{name} पहिले नै पालोमा हुनुहुन्छ।',
+  'bibs.outUntil': '🧼 {name} ले {date} सम्म बिब्स धुनु पर्दैन।',
+  'bibs.out': '🧼 {name} ले "bibs on" नभएसम्म बिब्स धुनु पर्दैन।',
+  'bibs.usage': 'उदाहरण: "bibs add Simon" (एक पटक थप) वा "bibs set Kevin 3" (जम्मा सच्याउन)।',
+
+  // ---------- Player registry ----------
+  'players.none': 'अहिलेसम्म कुनै खेलाडी सेभ छैन। यसरी सेभ गर्नुहोस्: rate Rajesh 8.5',
+  'players.title': 'खेलाडीहरू ({count}):',
+  'players.aka': '{name} उर्फ {aliases}',
+  'rate.saved': 'रेटिङ सेभ भयो: {list}',
+  'rate.unreadable': 'पढ्न सकिनँ: {list} ("rate नाम 7.5" प्रयोग गर्नुहोस्)',
+  'rate.guests': 'सेभ भएन (पाहुना): {list}',
+  'alias.saved': 'सेभ भयो: "{alias}" भनेको अब {name}।',
+  'alias.taken': '"{alias}" भनेको पहिले नै {name} हो।',
+  'alias.usage': 'प्रयोग: alias Ashu = Ashutosh',
+  'pos.usage': 'प्रयोग: pos Kevin GK (पोजिसन: {positions}, हटाउन none)',
+  'pos.guest': '{name} पाहुना हो; पाहुना सेभ हुँदैनन्। बरु सूचीमा "(GK)" लेख्नुहोस्।',
+  'pos.saved': 'सेभ भयो: {name} — {position}',
+  'pos.none': 'पोजिसन छैन',
+  'forget.done': '{name} खेलाडी सूचीबाट हटाइयो।',
+  'forget.unknown': '"{name}" चिनिनँ।',
+
+  // ---------- Results ----------
+  'results.none': 'अहिलेसम्म कुनै नतिजा छैन।',
+  'results.nothingToUndo': 'पूर्ववत गर्न कुनै नतिजा छैन।',
+  'results.undone': 'हटाइयो: {a} {goalsA}–{goalsB} {b} (रेटिङ पहिलेजस्तै)',
+  'results.makeTeamsFirst': 'पहिले टिम बनाउनुहोस्, अनि स्कोर पठाउनुहोस्, जस्तै result yellow 3 blue 2',
+  'results.pickTeams': 'यीमध्ये दुई फरक टिम छान्नुहोस्: {colors}। जस्तै result {first} 3 {second} 2',
+  'results.recorded': 'रेकर्ड भयो: {a} {goalsA}–{goalsB} {b}\nरेटिङ: {a} प्रत्येक {deltaA} · {b} प्रत्येक {deltaB}',
+  'results.table': { one: 'तालिका ({count} खेल):', other: 'तालिका ({count} खेल):' },
+  'results.row': {
+    one: '{rank}. {team} — {count} अंक ({won}जि {drawn}ब {lost}हा, {goalsFor}–{goalsAgainst})',
+    other: '{rank}. {team} — {count} अंक ({won}जि {drawn}ब {lost}हा, {goalsFor}–{goalsAgainst})'
+  },
+  'results.games': 'खेलहरू:',
+
+  // ---------- Groups ----------
+  'group.created': '✅ "{group}" बनाइयो। तपाईं यसको एडमिन हुनुहुन्छ, र यो च्याट अब यही समूहमा छ।\nअरूले यसरी जोडिन्छन्: group join {code}\nआयोजक थप्न: organiser add <फोन नम्बर>',
+  'group.joined': '✅ यो च्याट अब "{group}" समूहमा छ।',
+  'group.unknownCode': '"{code}" समूह कोड चिनिनँ।',
+  'group.left': '✅ "{group}" बाट निस्कनुभयो।',
+  'group.notInGroup': 'यो च्याट कुनै समूहमा छैन।',
+  'group.title': 'समूह: {group} (जोडिने कोड {code})',
+  'group.titleDefault': 'समूह: {group} (अरू समूहमा नजोडिएका च्याटहरू)',
+  'group.open': 'यो समूह अहिले कसैले चलाउँदैन, त्यसैले सबैले रेटिङ, बिब्स र खेल बदल्न सक्छन्।',
+  'group.setUp': 'यसरी सुरु गर्नुहोस्: organiser add <फोन नम्बर>',
+  'group.admins': 'एडमिन: {ids}',
+  'group.organisers': 'आयोजक: {ids}',
+  'group.you': 'तपाईं: {role}',
+  'group.commands': 'group new <नाम> · group join <कोड> · group leave',
+  'role.admin': 'एडमिन',
+  'role.organiser': 'आयोजक',
+  'role.player': 'खेलाडी',
+  'role.adminsOnly': '"{group}" का एडमिनले मात्र एडमिन र आयोजक थप्न वा हटाउन सक्छन्।',
+  'role.firstAdmin': 'तपाईं अब "{group}" को एडमिन हुनुहुन्छ।',
+  'role.addedAdmin': '✅ {id} अब "{group}" को एडमिन।',
+  'role.addedOrganiser': '✅ {id} अब "{group}" को आयोजक।',
+  'role.lastAdmin': '"{group}" मा कम्तीमा एक एडमिन चाहिन्छ; {id} लाई हटाउनुअघि अर्को थप्नुहोस्।',
+  'role.removed': '✅ {id} ले अब "{group}" चलाउँदैनन्।',
+  'organisersOnly': '"{group}" का आयोजकहरूले मात्र यो गर्न सक्छन्।',
+
+  // ---------- Settings ----------
+  'settings.title': '{group} का सेटिङ:',
+  'settings.totals': '• जम्मा रेटिङ: {value}',
+  'settings.order': '• टिमभित्रको क्रम: {value}',
+  'settings.colors': '• रङ: {value}',
+  'settings.signoff': '• अन्तिम लाइन: {value}',
+  'settings.poster': '• टिमको पोस्टर: {value}',
+  'settings.default': '{value} (पूर्वनिर्धारित)',
+  'settings.on': 'देखाउने',
+  'settings.off': 'नदेखाउने',
+  'settings.none': 'केही छैन',
+  'settings.usage': 'बदल्न: set totals on|off · set poster on|off · set order random|alpha|pick · set colors green,white,black · set signoff "Vamos!" (वा none) — "default" ले एउटा, "settings reset" ले सबै फर्काउँछ',
+  'settings.saved': '✅ सेभ भयो।',
+  'settings.reset': '✅ सेटिङ पूर्वनिर्धारितमा फर्किए।',
+  'settings.missing': '{name} के हुनुपर्छ?',
+  'settings.badTotals': 'Totals on वा off हुन सक्छ, "{value}" होइन।',
+  'settings.badOrder': 'क्रम {orders} हुन सक्छ, "{value}" होइन।',
+  'settings.badPoster': 'पोस्टर on वा off हुन सक्छ, "{value}" होइन।',
+  'settings.tooManyColors': 'यी {count} रङ भए; टिम बढीमा {max} हुन्छन्।',
+  'settings.longColor': 'हरेक रङ छोटो एक शब्दमा लेख्नुहोस् (१२ अक्षरसम्म)।',
+  'settings.sameColor': 'हरेक टिमको रङ फरक हुनुपर्छ।',
+  'settings.longSignoff': 'अन्तिम लाइन {max} अक्षरभन्दा छोटो राख्नुहोस्।',
+  'settings.unknown': '"{name}" भन्ने सेटिङ छैन।',
+
+  // ---------- Signups ----------
+  'game.none': 'अहिले कुनै खेल खुला छैन।',
+  'game.noneOpenOne': 'अहिले कुनै खेल खुला छैन। "open Monday 20:00 15" जस्तै पठाएर खोल्नुहोस्।',
+  'game.head': '📅 {day} {time} · {format} · {count}/{capacity} पक्का',
+  'game.headClosed': '📅 {day} {time} · {format} · {count}/{capacity} पक्का · बन्द',
+  'game.nobody': 'अहिलेसम्म कोही छैन।',
+  'open.usage': 'उदाहरण: "open Monday 20:00 15" — दिन, समय र ठाउँ संख्या (वा 4x5 जस्तो ढाँचा)।',
+  'open.alreadyOpen': 'एउटा खेल पहिले नै खुला छ ({day} {time})। पहिले "close" पठाउनुहोस्।',
+  'open.done': '📅 खेल खुला: {day} {time} ({format}, {spots} ठाउँ)।\nखेलाडीहरूले "in" (अतिथिसहित "in +1") र हट्न "out" पठाउनुहोस्। टिम चाहिँदा "make teams" पठाउनुहोस्।',
+  'signup.askName': 'तपाईंलाई कुन नाममा राखूँ? जस्तै "in Kevin" पठाउनुहोस्।',
+  'signup.closed': '{day} {time} को साइनअप बन्द भइसक्यो।',
+  'signup.nameTaken': '{name} नाममा कोही पहिले नै छ। अर्कै नाम राखेर "in <तपाईंको नाम>" पठाउनुहोस्।',
+  'signup.tooManyGuests': 'एक खेलाडीले बढीमा {max} अतिथि ल्याउन सक्छ।',
+  'signup.noGuests': 'तपाईंको कुनै अतिथि सूचीमा छैन।',
+  'signup.notIn': 'तपाईं सूचीमा हुनुहुन्न।',
+  'signup.out': '👋 {day} {time} बाट हटाइयो: {names}।',
+  'signup.promoted': '🎉 ठाउँ खाली भयो: {name} {day} {time} मा खेल्दै हुनुहुन्छ।',
+  'signup.in': '✅ {name}: पक्का ({position}/{capacity})',
+  'signup.waiting': '⏳ {name}: प्रतीक्षा सूची #{position}',
+  'signup.willTell': 'कोही हटेमा म खबर गर्छु।',
+  'close.done': '🔒 {day} {time} को साइनअप बन्द ({confirmed} पक्का, {waiting} प्रतीक्षामा)।',
+  'makeTeams.short': '{day} {time} का लागि {capacity} मध्ये {count} ठाउँ मात्र भरिएका छन्। थप "in" पर्खनुहोस् वा सूची आफैं पेस्ट गर्नुहोस्।',
+
+  // ---------- Weekly schedule ----------
+  'schedule.none': 'कुनै साप्ताहिक खेल छैन। "schedule Monday 20:00 Europe/Madrid 15" जस्तै पठाएर बनाउनुहोस्।',
+  'schedule.noneToCancel': 'कुनै साप्ताहिक खेल थिएन।',
+  'schedule.cancelled': 'हरेक {day} {time} को साप्ताहिक खेल रद्द भयो।',
+  'schedule.badTimezone': '"{tz}" समय क्षेत्र चिनिनँ। Europe/Madrid वा Asia/Kathmandu जस्ता नाम प्रयोग गर्नुहोस्।',
+  'schedule.usage': 'उदाहरण: "schedule Monday 20:00 Europe/Madrid 15" (दिन, समय, समय क्षेत्र र ठाउँ)। ऐच्छिक: "open 72h", "remind 3h", "cutoff 2h", "teams 1h" (सुरु हुनुअघि)।',
+  'schedule.saved': '✅ साप्ताहिक खेल सेभ भयो। म आफैं साइनअप खोल्छु, खेलाडीलाई सम्झाउँछु, सूची बन्द गर्छु र टिम पठाउँछु।',
+  'schedule.every': '🔁 हरेक {day} {time} ({tz}) · {format}',
+  'schedule.next': 'अर्को खेल: {when}',
+  'schedule.step': '• {stage}: {when} ({before} अगाडि)',
+  'schedule.hours': '{count} घण्टा',
+  'schedule.minutes': '{count} मिनेट',
+  'schedule.stage.open': 'साइनअप खुल्छ',
+  'schedule.stage.remind': 'सम्झना',
+  'schedule.stage.close': 'साइनअप बन्द',
+  'schedule.stage.teams': 'टिम पठाइन्छ',
+  'schedule.openFailed': '{day} {time} खोल्न सकिनँ: {openDay} {openTime} अझै खुला छ। "close" पठाएर "open {day} {time}" ले खोल्नुहोस्।',
+  'schedule.opened': '📅 साइनअप खुला: {day} {time} ({format})। खेल्न "in" पठाउनुहोस् (अतिथिसहित "in +1")।',
+  'schedule.reminder': '⏰ सम्झना: {day} {time}। सूचीमा: {names}। आउन नसके "out" पठाउनुहोस्।',
+  'schedule.closed': '🔒 साइनअप बन्द भयो।',
+
+  // ---------- Tutorial ----------
+  'tutorial': `👋 पहिलोपटक? प्रयोग गर्ने दुई सामान्य तरिका:
+
+1) ३ वटा टिम (हरेकमा ५)
+ठ्याक्कै १५ जनाका नाम पठाउनुहोस्, जस्तै:
+{randomExample}
+
+(१५ वटा अलग–अलग लाइनमा पनि पठाउन सक्नुहुन्छ — म पहिचान गर्छु।)
+
+2) सन्तुलित snake draft (३×५)
+हरेक लाइनको अन्त्यमा रेटिङ लेख्नुहोस् (दशमलव मान्य), र अघिल्लो खेपमा बिब्स लगेर धुने व्यक्तिको लाइनमा 'bibs' राख्नुहोस्:
+
+{snakeExample}
+
+नोट:
+• यी नम्बरहरू उदाहरण हुन् — समतुल्य टिमका लागि मिलाउनुहोस्। 7.5 जस्ता दशमलव पनि ठीक।
+• 'bibs' राखेर अघिल्लो पटक वास्तवमै धुने व्यक्तिलाई रेकर्ड गर्नुहोस्।
+• 'bibs_history' टाइप गर्दा धुने इतिहास देखिन्छ।
+• बिब्स गलत रेकर्ड भयो? 'bibs undo', 'bibs set Kevin 3' वा 'bibs add Simon'।
+• खेलेको खेलको अनुपातमा सबैभन्दा कम धुनेको पालो (पाहुना कहिल्यै होइन)। बाहिर जाँदै? 'bibs off Kevin 2w'; फर्किँदा 'bibs on Kevin'।
+• टिमको तल 'विकल्पहरू' ले फेरि मिलाउँछ, दुई खेलाडी साट्छ, लाइनअप पक्का गर्छ, रेटिङ देखाउँछ वा फर्म्याट बदल्छ।
+• टिम हातैले मिलाउनुहोस्: 'swap Kevin Simon', 'move Anish to blue'; 'lock' ले यिनलाई आजका आधिकारिक टिम बनाउँछ।
+• अन्य ढाँचा: 'teams 4x5:' वा 'snake 2x6:' बाट सुरु गर्नुहोस् (टिम × खेलाडी)।
+• धेरै नाम भए पहिलाका खेल्छन्, बाँकी प्रतीक्षा सूचीमा; पालैपालो सब्स बनाउन 'teams subs:' बाट सुरु गर्नुहोस्।
+• 'rate Rajesh 8.5' ले रेटिङ सेभ गर्छ, 'players' ले देखाउँछ। पेस्ट गरिएको सूचीमा सबैको रेटिङ सेभ छ भने म त्यही रेटिङले snake बनाउँछु।
+• कुनै नाम सेभ भएको खेलाडीसँग मिल्दोजुल्दो भए ('Ashu' → Ashutosh) म सोध्छु र जवाफ सम्झन्छु; 'alias Ashu = Ashutosh' पनि चल्छ।
+• छुट्टै लाइनमा नियम: 'pair: Anish+Juan' (एउटै टिम), 'apart: Kevin, Simon' (फरक टिम); '(GK)' लेखिएका खेलाडी टिमहरूमा बाँडिन्छन्।
+• पाहुना: 'Kevin+1' वा "Kevin's friend" Kevin सँगै खेल्छन्; उनीहरूले बिब्स धुँदैनन् र खेलाडी सूचीमा सेभ हुँदैनन्।
+• धेरै समूह: 'group new Tuesday Futsal' ले समूह बनाउँछ ('group join' को कोडसहित); 'organiser add +9779800000000' ले रेटिङ, बिब्स र खेल कसले बदल्न सक्छ तय गर्छ।
+• समूहका सेटिङ: 'set colors green,white,black', 'set order alpha', 'set totals off', 'set signoff "Vamos!"', 'set poster off' (टिमको तस्बिर नपठाउन); 'settings' ले देखाउँछ।
+• '(GK)', '(DEF)', '(ATT)' ले पोजिसन लेख्नुहोस् वा 'pos Kevin DEF' ले सेभ गर्नुहोस्; 'roles:' ले हरेक पोजिसन बराबर बाँडेर रेटिङले मिलाउँछ।
+• 'snake:' को सट्टा 'balance:' ले सबैभन्दा बराबर बाँडफाँट खोज्छ (उत्कृष्टबाट कति नजिक छ पनि भन्छु)।
+• खेलपछि: 'result yellow 3 blue 2' ले स्कोर सेभ गरी रेटिङ मिलाउँछ ('results' ले तालिका देखाउँछ, 'result undo' ले गल्ती सच्याउँछ)।
+• साइनअप: 'open Monday 20:00 15' ले खेल खोल्छ; खेलाडीहरूले 'in', 'in +1' वा 'out' पठाउँछन् (प्रतीक्षा सूचीसहित), 'game' ले सूची देखाउँछ र 'make teams' ले टिम बनाउँछ।
+• साप्ताहिक खेल: 'schedule Monday 20:00 Europe/Madrid 15' ले आफैं साइनअप खोल्छ, सम्झाउँछ, सूची बन्द गर्छ र टिम पठाउँछ ('schedule off' ले रोक्छ)।
+
+भाषा परिवर्तन: {languages}।`
+};
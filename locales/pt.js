@@ -0,0 +1,292 @@
+// locales/pt.js
+// Portuguese messages (same keys as en.js).
+
+module.exports = {
+  // ---------- General ----------
+  'lang.set': 'Idioma atualizado.',
+  'lang.name': 'Português',
+  'lang.ask': '🌐 Em que idioma eu escrevo?',
+  'lang.sample': 'oi olá tudo bem, como funciona isso? você pode fazer os times para o jogo de hoje? vamos jogar futebol hoje à noite e quero saber quem lava os coletes nesta semana. obrigado, até mais, que horas é o jogo? não posso ir, eu jogo, quem vai jogar',
+  'rateLimited': 'Muitas mensagens seguidas. Espere um minuto e tente de novo. 🙏',
+  'notText': 'Envie um texto com a lista de jogadores. 😊',
+  'buttons.prompt': 'Mais alguma coisa?',
+  'buttons.shuffle': 'Sortear de novo',
+  'buttons.bibsHistory': 'Histórico coletes',
+  'buttons.help': 'Ajuda',
+  'menu.button': 'Opções',
+  'menu.shuffleInfo': 'Outra divisão com os mesmos jogadores',
+  'menu.swap': 'Trocar dois jogadores',
+  'menu.swapInfo': 'Troca dois jogadores entre times',
+  'menu.lock': 'Fixar estes times',
+  'menu.lockInfo': 'Ficam como os times de hoje no histórico',
+  'menu.ratings': 'Ver notas',
+  'menu.ratingsInfo': 'A nota de cada jogador, time por time',
+  'menu.format': 'Mudar formato',
+  'menu.formatInfo': 'Os mesmos jogadores em mais ou menos times',
+  'menu.bibsHistoryInfo': 'Quem lavou os coletes e quando',
+  'menu.helpInfo': 'Tudo o que o bot sabe fazer',
+
+  // ---------- Team colors ----------
+  'color.yellow': 'AMARELO',
+  'color.blue': 'AZUL',
+  'color.red': 'VERMELHO',
+  'color.green': 'VERDE',
+  'color.white': 'BRANCO',
+  'color.black': 'PRETO',
+  'color.orange': 'LARANJA',
+  'color.purple': 'ROXO',
+
+  // ---------- Teams message ----------
+  'teams.title': 'Times de hoje:',
+  'teams.sub': '🔁 Reserva: {names}',
+  'teams.total': 'Total: {total}',
+  'teams.spreadBest': '⚖️ Diferença {spread} · melhor possível {best}',
+  'teams.spreadFound': '⚖️ Diferença {spread} · melhor encontrada {best}',
+  'teams.waitlist': '⏳ Lista de espera:',
+  'teams.bibsNext': '🧼 Próximo a lavar os coletes: {name}',
+  'teams.bibsNextWhy': '🧼 Próximo a lavar os coletes: {name} ({why})',
+  'teams.bibsRecorded': '✅ Anotado: {names}',
+  'teams.signoff': 'Bom jogo! ⚽',
+  // The teams poster (poster.js): plain text, no emoji
+  'poster.subs': 'Reserva: {names}',
+  'poster.waitlist': 'Lista de espera: {names}',
+  'poster.bibsNext': 'Próximo a lavar os coletes: {name}',
+  'bibs.washes': { one: '{count} lavagem', other: '{count} lavagens' },
+  'bibs.games': { one: '{count} jogo', other: '{count} jogos' },
+  'bibs.why': '{washes} em {games}, o menor por jogo hoje',
+  'bibs.whyTied': '{washes} em {games}, o menor por jogo hoje; sorteado entre {count} empatados',
+
+  // ---------- Menu de opções ----------
+  'swap.ask': 'Quais dois jogadores? Mande os dois nomes, por ex. "{example}".',
+  'swap.sameTeam': '{a} e {b} já estão no mesmo time.',
+  'swap.done': '🔄 Trocados {a} e {b}.',
+  'swap.notFound': 'Não achei dois jogadores dos últimos times em "{text}". Use por ex. "swap Kevin Simon".',
+  'move.notFound': '"{name}" não está nos últimos times.',
+  'move.pickTeam': 'Para qual time? {colors}, por ex. "move {name} to {first}".',
+  'move.already': '{name} já está no {team}.',
+  'move.done': '➡️ {name} foi para o {team}.',
+  'move.swapped': '🔄 Trocados {name} e {other} para os times continuarem iguais: {name} foi para o {team}.',
+  'lineup.none': 'Monte os times primeiro, depois por ex. "swap Kevin Simon", "move Anish to azul" ou "lock".',
+  'lock.done': '🔒 Fixado: estes são os times de hoje. Histórico, resultados e coletes contam esta escalação, mesmo que sorteiem depois.',
+  'ratings.title': '⭐ Notas, time por time:',
+  'ratings.none': 'Estes times foram feitos sem notas.',
+  'format.pick': { one: 'Qual formato para {count} nome?', other: 'Qual formato para estes {count} nomes?' },
+  'format.allPlay': 'Todos jogam',
+  'format.leftOver': { one: 'Sobra {count} nome', other: 'Sobram {count} nomes' },
+  'format.none': { one: 'Nenhum outro formato serve para {count} nome.', other: 'Nenhum outro formato serve para estes {count} nomes.' },
+  'fix.format': 'Montar {format}',
+  'fix.ignoreRules': 'Ignorar as regras',
+  'fix.pickFormat': 'Ou monte um formato que caiba:',
+
+  // ---------- Roster problems ----------
+  'roster.found': {
+    one: 'Encontrei {count} nome. Preciso de exatamente {total} ({format}).',
+    other: 'Encontrei {count} nomes. Preciso de exatamente {total} ({format}).'
+  },
+  'roster.badFormat': 'Não consigo montar {format}. Use de {min} a {max} times e até {size} jogadores por time, por ex. "teams 4x5:" ou "snake 2x6:".',
+  'roster.roles': 'Para roles {format}, envie exatamente {total} nomes; marque posições com (GK), (DEF) ou (ATT) e adicione notas se quiser.\n\nExemplo:\n{example}',
+  'roster.balance': 'Para balance {format}, envie exatamente {total} nomes, cada um com uma nota (ou nomes com nota salva).\n\nExemplo:\n{example}',
+  'roster.snake': 'Para snake {format} com notas, envie exatamente {total} nomes com uma nota no final (decimais OK).\n\nExemplo:\n{example}',
+  'roster.snakeOrder': 'Para snake sem notas, envie exatamente {total} nomes do mais forte ao mais fraco depois de "snake:".\n\nExemplo:\n{example}',
+  'rules.problem': 'Não consigo montar times com essas regras: {problem}',
+  'rules.not_listed': '"{name}" não está na lista de jogadores.',
+  'rules.block_too_big': '{players} são {count} jogadores, mas os times têm só {size}.',
+  'rules.apart_too_many': 'Não consigo separar {count} jogadores ({players}) com só {teams} times.',
+  'rules.paired_and_apart': '{players} estão ao mesmo tempo juntos e separados.',
+  'rules.infeasible': 'nenhuma divisão mantém todos os pares juntos, todos os grupos separados e as posições distribuídas.',
+  'rules.gaveUp': 'Desta vez não encontrei outra divisão que cumpra todas as regras, então continuam os times acima. Toque em «Sortear de novo» para tentar outra vez.',
+
+  // ---------- Canonical names ----------
+  'names.didYouMean': '🤔 Não conheço "{typed}". Você quis dizer {options}?',
+  'names.newPlayer': 'Jogador novo',
+  'names.expired': 'Essa pergunta não está mais aberta. Cole a lista de novo.',
+  'names.aliased': '✅ Entendi: "{typed}" é {name}.',
+  'names.added': '✅ Entendi: {typed} é um jogador novo.',
+
+  // ---------- Bibs ----------
+  'bibs.none': 'Ainda não há histórico de coletes.',
+  'bibs.title': 'Histórico de coletes (quem já lavou):',
+  'bibs.row': '{name} — {count} {bar}',
+  'bibs.rowLast': '{name} — {count} {bar} · último {date}',
+  'bibs.recent': 'Recentes:',
+  'bibs.entry.wash': '{name} lavou',
+  'bibs.entry.add': '{name} lavou (anotado à mão)',
+  'bibs.entry.set': '{name} = {count}',
+  'bibs.entry.undo': 'desfeito ({name})',
+  'bibs.entry.import': '{name} importado com {count}',
+  'bibs.sittingOut': 'Fora do rodízio: {names}',
+  'bibs.until': '{name} (até {date})',
+  'bibs.nothingToUndo': 'Nada para desfazer.',
+  'bibs.undone': '↩️ Desfeito: {what} ({date}). {name} agora tem {count}.',
+  'bibs.setTo': '✅ Coletes de {name}: {after} (antes {before}).',
+  'bibs.added': '✅ Anotado: {name} lavou os coletes ({count}).',
+  'bibs.sayWho': 'Diga quem, por ex. "bibs off Kevin 2w".',
+  'bibs.othersOnly': 'Só os organizadores podem mudar o rodízio de outra pessoa; para você, envie "bibs {command}".',
+  'bibs.back': '✅ {name} voltou ao rodízio dos coletes.',
+  'bibs.alreadyIn': '{name} já estava no rodízio.',
+  'bibs.outUntil': '🧼 {name} está fora do rodízio dos coletes até {date}.',
+  'bibs.out': '🧼 {name} está fora do rodízio dos coletes até "bibs on".',
+  'bibs.usage': 'Use por ex. "bibs add Simon" (mais uma lavagem) ou "bibs set Kevin 3" (corrigir o total).',
+
+  // ---------- Player registry ----------
+  'players.none': 'Ainda não há jogadores salvos. Salve um com: rate Rajesh 8.5',
+  'players.title': 'Jogadores ({count}):',
+  'players.aka': '{name}, também {aliases}',
+  'rate.saved': 'Notas salvas: {list}',
+  'rate.unreadable': 'Não consegui ler: {list} (use "rate Nome 7.5")',
+  'rate.guests': 'Não salvos (convidados): {list}',
+  'alias.saved': 'Salvo: "{alias}" agora é {name}.',
+  'alias.taken': '"{alias}" já é {name}.',
+  'alias.usage': 'Use: alias Ashu = Ashutosh',
+  'pos.usage': 'Use: pos Kevin GK (posições: {positions}, ou none para apagar)',
+  'pos.guest': '{name} é convidado; convidados não são salvos. Marque "(GK)" na lista.',
+  'pos.saved': 'Salvo: {name} — {position}',
+  'pos.none': 'sem posição',
+  'forget.done': '{name} removido da lista de jogadores.',
+  'forget.unknown': 'Não conheço "{name}".',
+
+  // ---------- Results ----------
+  'results.none': 'Ainda não há resultados.',
+  'results.nothingToUndo': 'Nenhum resultado para desfazer.',
+  'results.undone': 'Removido: {a} {goalsA}–{goalsB} {b} (notas restauradas)',
+  'results.makeTeamsFirst': 'Monte os times primeiro e depois envie o placar, por ex. result yellow 3 blue 2',
+  'results.pickTeams': 'Escolha dois times diferentes entre: {colors}. Por ex. result {first} 3 {second} 2',
+  'results.recorded': 'Anotado: {a} {goalsA}–{goalsB} {b}\nNotas: {a} {deltaA} cada · {b} {deltaB} cada',
+  'results.table': { one: 'Tabela ({count} jogo):', other: 'Tabela ({count} jogos):' },
+  'results.row': {
+    one: '{rank}. {team} — {count} pt ({won}V {drawn}E {lost}D, {goalsFor}–{goalsAgainst})',
+    other: '{rank}. {team} — {count} pts ({won}V {drawn}E {lost}D, {goalsFor}–{goalsAgainst})'
+  },
+  'results.games': 'Jogos:',
+
+  // ---------- Groups ----------
+  'group.created': '✅ Grupo "{group}" criado. Você é o admin, e este chat já usa o grupo.\nOs outros entram com: group join {code}\nAdicione organizadores com: organiser add <telefone>',
+  'group.joined': '✅ Este chat agora usa o grupo "{group}".',
+  'group.unknownCode': 'Não conheço o código de grupo "{code}".',
+  'group.left': '✅ Você saiu de "{group}".',
+  'group.notInGroup': 'Este chat não está em nenhum grupo.',
+  'group.title': 'Grupo: {group} (código {code})',
+  'group.titleDefault': 'Grupo: {group} (chats que não entraram em outro grupo)',
+  'group.open': 'Ninguém administra este grupo ainda, então todos podem mudar notas, coletes e jogos.',
+  'group.setUp': 'Configure com: organiser add <telefone>',
+  'group.admins': 'Admins: {ids}',
+  'group.organisers': 'Organizadores: {ids}',
+  'group.you': 'Você: {role}',
+  'group.commands': 'group new <nome> · group join <código> · group leave',
+  'role.admin': 'admin',
+  'role.organiser': 'organizador',
+  'role.player': 'jogador',
+  'role.adminsOnly': 'Só os admins de "{group}" podem adicionar ou remover admins e organizadores.',
+  'role.firstAdmin': 'Agora você é o admin de "{group}".',
+  'role.addedAdmin': '✅ {id} agora é admin de "{group}".',
+  'role.addedOrganiser': '✅ {id} agora é organizador de "{group}".',
+  'role.lastAdmin': '"{group}" precisa de pelo menos um admin; adicione outro antes de remover {id}.',
+  'role.removed': '✅ {id} não administra mais "{group}".',
+  'organisersOnly': 'Só os organizadores de "{group}" podem fazer isso.',
+
+  // ---------- Settings ----------
+  'settings.title': 'Configurações de {group}:',
+  'settings.totals': '• Totais: {value}',
+  'settings.order': '• Ordem dentro dos times: {value}',
+  'settings.colors': '• Cores: {value}',
+  'settings.signoff': '• Despedida: {value}',
+  'settings.poster': '• Pôster dos times: {value}',
+  'settings.default': '{value} (padrão)',
+  'settings.on': 'sim',
+  'settings.off': 'não',
+  'settings.none': 'nenhuma',
+  'settings.usage': 'Mude com: set totals on|off · set poster on|off · set order random|alpha|pick · set colors verde,branco,preto · set signoff "Vamos!" (ou none) — "default" desfaz uma, "settings reset" todas',
+  'settings.saved': '✅ Salvo.',
+  'settings.reset': '✅ Configurações de volta ao padrão.',
+  'settings.missing': 'Qual deve ser o valor de {name}?',
+  'settings.badTotals': 'Os totais podem ser on ou off, não "{value}".',
+  'settings.badOrder': 'A ordem pode ser {orders}, não "{value}".',
+  'settings.badPoster': 'O pôster pode ser on ou off, não "{value}".',
+  'settings.tooManyColors': 'São {count} cores; os times vão até {max}.',
+  'settings.longColor': 'Use uma palavra curta por cor (até 12 letras).',
+  'settings.sameColor': 'Cada time precisa de uma cor diferente.',
+  'settings.longSignoff': 'A despedida deve ter menos de {max} caracteres.',
+  'settings.unknown': 'Não existe a configuração "{name}".',
+
+  // ---------- Signups ----------
+  'game.none': 'Nenhum jogo aberto agora.',
+  'game.noneOpenOne': 'Nenhum jogo aberto agora. Abra um com por ex. "open Monday 20:00 15".',
+  'game.head': '📅 {day} {time} · {format} · {count}/{capacity} confirmados',
+  'game.headClosed': '📅 {day} {time} · {format} · {count}/{capacity} confirmados · fechado',
+  'game.nobody': 'Ninguém ainda.',
+  'open.usage': 'Use por ex. "open Monday 20:00 15": dia, hora e vagas (ou um formato como 4x5).',
+  'open.alreadyOpen': 'Já há um jogo aberto ({day} {time}). Envie "close" primeiro.',
+  'open.done': '📅 Jogo aberto: {day} {time} ({format}, {spots} vagas).\nOs jogadores me enviam "in" (ou "in +1" com um convidado) e "out" para sair. Envie "make teams" quando quiser os times.',
+  'signup.askName': 'Com que nome eu te coloco? Responda por ex. "in Kevin".',
+  'signup.closed': 'As inscrições para {day} {time} estão fechadas.',
+  'signup.nameTaken': 'Já tem alguém inscrito como {name}. Responda "in <seu nome>" com outro nome.',
+  'signup.tooManyGuests': 'No máximo {max} convidados por jogador.',
+  'signup.noGuests': 'Você não tem convidados inscritos.',
+  'signup.notIn': 'Você não estava inscrito.',
+  'signup.out': '👋 Fora de {day} {time}: {names}.',
+  'signup.promoted': '🎉 Abriu uma vaga: {name} joga {day} {time}.',
+  'signup.in': '✅ {name}: dentro ({position}/{capacity})',
+  'signup.waiting': '⏳ {name}: lista de espera #{position}',
+  'signup.willTell': 'Se alguém sair, eu te aviso.',
+  'close.done': '🔒 Inscrições fechadas para {day} {time} ({confirmed} confirmados, {waiting} na espera).',
+  'makeTeams.short': 'Só {count} de {capacity} vagas preenchidas para {day} {time}. Espere mais "in" ou cole a lista você mesmo.',
+
+  // ---------- Weekly schedule ----------
+  'schedule.none': 'Ainda não há jogo semanal. Crie um com por ex. "schedule Monday 20:00 Europe/Madrid 15".',
+  'schedule.noneToCancel': 'Não havia jogo semanal.',
+  'schedule.cancelled': 'Jogo semanal de {day} {time} cancelado.',
+  'schedule.badTimezone': 'Não conheço o fuso horário "{tz}". Use nomes como Europe/Lisbon ou America/Sao_Paulo.',
+  'schedule.usage': 'Use por ex. "schedule Monday 20:00 Europe/Madrid 15" (dia, hora, fuso horário e vagas). Opcional: "open 72h", "remind 3h", "cutoff 2h", "teams 1h" (antes do início).',
+  'schedule.saved': '✅ Jogo semanal salvo. Eu abro as inscrições, lembro os jogadores, fecho a lista e te envio os times sozinho.',
+  'schedule.every': '🔁 Toda {day} {time} ({tz}) · {format}',
+  'schedule.next': 'Próximo jogo: {when}',
+  'schedule.step': '• {stage}: {when} ({before} antes)',
+  'schedule.hours': '{count} h',
+  'schedule.minutes': '{count} min',
+  'schedule.stage.open': 'Abrem inscrições',
+  'schedule.stage.remind': 'Lembrete',
+  'schedule.stage.close': 'Fecham inscrições',
+  'schedule.stage.teams': 'Envio dos times',
+  'schedule.openFailed': 'Não consegui abrir {day} {time}: {openDay} {openTime} continua aberto. Envie "close" e abra com "open {day} {time}".',
+  'schedule.opened': '📅 Inscrições abertas: {day} {time} ({format}). Responda "in" para jogar ("in +1" com um convidado).',
+  'schedule.reminder': '⏰ Lembrete: {day} {time}. Na lista: {names}. Responda "out" se não puder vir.',
+  'schedule.closed': '🔒 Inscrições fechadas.',
+
+  // ---------- Tutorial ----------
+  'tutorial': `👋 Primeira vez? Duas formas comuns de me usar:
+
+1) 3 times de 5 por sorteio
+Envie exatamente 15 nomes, por exemplo:
+{randomExample}
+
+(Você também pode colar 15 linhas; eu reconheço os nomes do mesmo jeito.)
+
+2) Snake draft equilibrado (3×5)
+Coloque uma nota no fim de cada linha (decimais OK) e, se quiser, escreva 'bibs' na linha de quem lavou os coletes da última vez:
+
+{snakeExample}
+
+Notas:
+• Os números são exemplos: ajuste-os para equilibrar os times. Decimais como 7.5 funcionam.
+• Escreva 'bibs' na linha de quem realmente lavou da última vez para registrar.
+• Escreva 'bibs_history' para ver quem já lavou.
+• Coletes anotados errado? 'bibs undo', 'bibs set Kevin 3' ou 'bibs add Simon'.
+• Lava quem tem menos lavagens por jogo disputado (convidados nunca). Viajando? 'bibs off Kevin 2w'; volte com 'bibs on Kevin'.
+• Abaixo dos times, 'Opções' sorteia de novo, troca dois jogadores, fixa a escalação, mostra as notas ou muda o formato.
+• Ajuste os times à mão: 'swap Kevin Simon', 'move Anish to azul'; 'lock' deixa eles como os times oficiais de hoje.
+• Outros formatos: comece com por ex. 'teams 4x5:' ou 'snake 2x6:' (times × jogadores).
+• Mais nomes que vagas? Os primeiros jogam e o resto fica na lista de espera; comece com 'teams subs:' para distribuí-los como reservas que revezam.
+• Salve notas com 'rate Rajesh 8.5' e veja-as com 'players'. Se todos de uma lista colada têm nota salva, faço o snake com elas.
+• Se um nome parece com o de um jogador salvo ('Ashu' → Ashutosh), eu pergunto e lembro a resposta; 'alias Ashu = Ashutosh' também funciona.
+• Regras em linhas separadas: 'pair: Anish+Juan' (mesmo time), 'apart: Kevin, Simon' (times diferentes); quem tem '(GK)' é distribuído entre os times.
+• Convidados: 'Kevin+1' ou "Kevin's friend" jogam com o Kevin; nunca lavam coletes e não são salvos na lista de jogadores.
+• Vários grupos: 'group new Futsal de Terça' cria um (com código para 'group join'); 'organiser add +5511999990000' decide quem pode mudar notas, coletes e jogos.
+• Configurações do grupo: 'set colors verde,branco,preto', 'set order alpha', 'set totals off', 'set signoff "Vamos!"', 'set poster off' (sem imagem dos times); 'settings' mostra todas.
+• Marque posições com '(GK)', '(DEF)', '(ATT)' ou salve-as com 'pos Kevin DEF', e comece com 'roles:' para distribuir cada posição antes de equilibrar pelas notas.
+• Use 'balance:' em vez de 'snake:' para buscar a divisão mais equilibrada (digo o quão perto está da melhor).
+• Depois do jogo: 'result amarelo 3 azul 2' salva o placar e ajusta as notas ('results' mostra a tabela, 'result undo' corrige um erro).
+• Inscrições: 'open Monday 20:00 15' abre um jogo; cada jogador me envia 'in', 'in +1' ou 'out' (com lista de espera), 'game' mostra a lista e 'make teams' monta os times.
+• Jogo semanal: 'schedule Monday 20:00 Europe/Lisbon 15' abre as inscrições, lembra os jogadores, fecha a lista e envia os times sozinho ('schedule off' para parar).
+
+Mudar idioma: {languages}.`
+};
@@ -0,0 +1,54 @@
+// mock-graph.js
+// Stand-in for the Graph API messages and media endpoints, for trying the bot (and its
+// outbox retries) without Meta. Prints every message it receives.
+//
+//   MOCK_FAILURES="429,500,timeout" node mock-graph.js
+//   GRAPH_BASE_URL=http://localhost:4010 ALLOW_UNSIGNED_WEBHOOKS=1 node server.js
+//
+// MOCK_FAILURES is consumed one entry per request (an HTTP status, "timeout" to never
+// answer, or "ok" to let one through), media uploads included; once it runs out every
+// request succeeds.
+
+const express = require('express');
+
+const PORT = process.env.MOCK_GRAPH_PORT || 4010;
+const failures = (process.env.MOCK_FAILURES || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+// Answers the request with the next MOCK_FAILURES entry, if any; true when it did
+function failed(res, label) {
+  const failure = failures.shift();
+  if (failure === 'timeout') {
+    console.log(`${label} → (no answer)`);
+    return true; // leave the request hanging; the bot's GRAPH_TIMEOUT_MS kicks in
+  }
+  if (!failure || failure === 'ok') return false;
+  const status = parseInt(failure, 10);
+  console.log(`${label} → ${status}`);
+  if (status === 429) res.set('Retry-After', '1');
+  res.status(status).json({ error: { message: `mock ${status}`, code: status } });
+  return true;
+}
+
+let count = 0;
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+  count++;
+  const body = req.body || {};
+  const summary = body.type === 'text' ? JSON.stringify(body.text.body.slice(0, 60)) : body.type;
+  if (failed(res, `#${count} ${body.type}`)) return;
+  console.log(`#${count} ${body.type} → 200 ${summary}`);
+  res.json({ messaging_product: 'whatsapp', messages: [{ id: `wamid.mock${count}` }] });
+});
+
+// Uploads (the teams poster) just get an id back
+let uploads = 0;
+app.post('/:version/:phoneNumberId/media', express.raw({ type: 'multipart/form-data', limit: '10mb' }), (req, res) => {
+  uploads++;
+  if (failed(res, `media #${uploads}`)) return;
+  console.log(`media #${uploads} → 200 (${req.body.length} bytes)`);
+  res.json({ id: `media.mock${uploads}` });
+});
+
+app.listen(PORT, () => console.log(`Mock Graph API on ${PORT}`));
@@ -0,0 +1,41 @@
+// names.js
+// Name keys shared by the bibs store and the player registry, guests and their hosts, and
+// the edit distance behind "Did you mean …?" (players.js).
+
+// Case-, accent- and spacing-insensitive key: "Ashútosh " -> "ashutosh", "Kevin + 1" -> "kevin+1"
+function normalizeNameKey(name) {
+  if (!name) return '';
+  const lower = name.toLowerCase();
+  const decomp = lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return decomp.replace(/\s*\+\s*/g, '+').replace(/\s+/g, ' ').trim();
+}
+
+// Host named in a guest entry: "Kevin+1", "Kevin's friend", "friend of Kevin" -> "Kevin"; null otherwise
+function guestHost(name) {
+  const n = String(name || '').trim();
+  const m = n.match(/^(.+?)\s*\+\s*\d*$/)
+    || n.match(/^(.+?)['’]s\s+(?:friend|guest|mate|brother|cousin)\b/i)
+    || n.match(/\b(?:friend|guest|invitado|amigo)\s+(?:of|de)\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+// Someone's guest rather than a regular: any of the above, or just "guest" / "invitado"
+function isGuestName(name) {
+  return Boolean(guestHost(name)) || /\b(guest|invitado)\b/i.test(String(name || ''));
+}
+
+// Edits (insert, delete, substitute, swap two neighbours) turning a into b: "ahsutosh" -> "ashutosh" is 1
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i].concat(Array(b.length).fill(0)));
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+module.exports = { normalizeNameKey, guestHost, isGuestName, editDistance };
@@ -0,0 +1,27 @@
+// names.test.js
+// Name key and guest checks (npm test).
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeNameKey, guestHost, isGuestName } = require('./names');
+
+test('name keys ignore case, accents and spacing, guests included', () => {
+  assert.strictEqual(normalizeNameKey(' Ashútosh  Rai '), 'ashutosh rai');
+  assert.strictEqual(normalizeNameKey('Kevin + 1'), 'kevin+1');
+});
+
+test('a guest entry names its host', () => {
+  assert.deepStrictEqual(
+    ['Kevin+1', 'Kevin +2', "Kevin's friend", 'Kevin’s cousin', 'friend of Kevin', 'amigo de Juan Pablo'].map(guestHost),
+    ['Kevin', 'Kevin', 'Kevin', 'Kevin', 'Kevin', 'Juan Pablo']
+  );
+  assert.strictEqual(guestHost('Kevin'), null);
+  assert.strictEqual(guestHost('Friendly Kevin'), null);
+});
+
+test('guests without a host are still guests', () => {
+  assert.deepStrictEqual(['Guest', 'invitado 2', 'Kevin+1', 'Kevin', 'Guestavo'].map(isGuestName), [true, true, true, false, false]);
+});
@@ -0,0 +1,109 @@
+// outbox.js
+// Outbound dispatcher for chat API messages (one outbox per transport).
+//
+// - One queue per recipient: a message is only sent once the previous one to the same
+//   person went out (or gave up), so the teams text always lands before the buttons.
+// - 429, 5xx, timeouts and network errors are retried with exponential backoff (plus
+//   jitter; a Retry-After header wins when it asks for longer). Other 4xx are final.
+// - Messages that still fail go to the dead-letter log ("outbox.dead" namespace in
+//   storage.js, newest MAX_DEAD_LETTERS kept) for inspection via deadLetters().
+
+const storage = require('./storage');
+const { maskPhone } = require('./security');
+
+const DEAD_NS = 'outbox.dead';
+const MAX_DEAD_LETTERS = 200;
+
+function statusOf(err) {
+  return err && err.response ? err.response.status : null;
+}
+function isRetryable(err) {
+  const status = statusOf(err);
+  if (!status) return true; // timeout / connection error
+  return status === 429 || status >= 500;
+}
+function retryAfterMs(err) {
+  const header = err && err.response && err.response.headers && err.response.headers['retry-after'];
+  const seconds = parseFloat(header);
+  return Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+function describe(err) {
+  const status = statusOf(err);
+  if (status) return `HTTP ${status}`;
+  return (err && (err.code || err.message)) || 'error';
+}
+
+function recordDeadLetter(entry) {
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  storage.set(DEAD_NS, id, entry);
+  const all = storage.entries(DEAD_NS);
+  for (const [oldId] of all.slice(0, Math.max(0, all.length - MAX_DEAD_LETTERS))) storage.remove(DEAD_NS, oldId);
+  return id;
+}
+
+// Failed messages, newest first: [{ id, at, channel, to, payload, status, error, attempts }]
+function deadLetters() {
+  return storage.entries(DEAD_NS)
+    .map(([id, e]) => ({ id, ...e }))
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+/**
+ * createOutbox({ send, channel, maxAttempts, baseDelayMs, maxDelayMs })
+ *   send(payload) → Promise; rejects with an axios-style error ({ response: { status, headers, data } }).
+ *   channel names the transport in logs and dead letters ('whatsapp', 'telegram').
+ * Returns { enqueue(to, payload) → Promise<{ ok, attempts, deadLetterId? }>, stats, pending() }.
+ * enqueue never rejects: a message that can't be delivered ends up in the dead-letter log.
+ */
+function createOutbox({ send, channel = 'whatsapp', maxAttempts = 5, baseDelayMs = 1000, maxDelayMs = 30000 }) {
+  const queues = new Map(); // recipient -> tail of its promise chain
+  const stats = { sent: 0, retries: 0, failed: 0 };
+  const kind = (payload) => payload.type || 'message';
+
+  async function deliver(to, payload) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await send(payload);
+        stats.sent++;
+        return { ok: true, attempts: attempt };
+      } catch (err) {
+        if (!isRetryable(err) || attempt >= maxAttempts) {
+          stats.failed++;
+          const deadLetterId = recordDeadLetter({
+            at: new Date().toISOString(),
+            channel,
+            to,
+            payload,
+            status: statusOf(err),
+            error: (err && err.response && err.response.data) || describe(err),
+            attempts: attempt
+          });
+          console.error(`[OUTBOX] Gave up on ${channel} ${kind(payload)} to ${maskPhone(to)} after ${attempt} attempt(s): ${describe(err)} (dead letter ${deadLetterId})`);
+          return { ok: false, attempts: attempt, deadLetterId };
+        }
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        const delay = Math.max(retryAfterMs(err), backoff * (0.5 + Math.random() / 2));
+        stats.retries++;
+        console.warn(`[OUTBOX] ${describe(err)} sending ${channel} ${kind(payload)} to ${maskPhone(to)}; retry ${attempt}/${maxAttempts - 1} in ${Math.round(delay)} ms`);
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  }
+
+  function enqueue(to, payload) {
+    const previous = queues.get(to) || Promise.resolve();
+    const job = previous.then(() => deliver(to, payload));
+    queues.set(to, job);
+    job.then(() => { if (queues.get(to) === job) queues.delete(to); });
+    return job;
+  }
+
+  // Recipients with messages still queued or in flight
+  function pending() {
+    return queues.size;
+  }
+
+  return { enqueue, stats, pending };
+}
+
+module.exports = { createOutbox, deadLetters };
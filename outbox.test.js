@@ -0,0 +1,72 @@
+// outbox.test.js
+// Outbound queue checks (npm test), on a throwaway DATA_DIR with millisecond backoff; every
+// test starts with no dead letters.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-outbox-'));
+delete process.env.STORAGE;
+
+const storage = require('./storage');
+const { createOutbox, deadLetters } = require('./outbox');
+
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+test.beforeEach(() => storage.replace('outbox.dead', {}));
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers, data: { status } } });
+
+// send() failing with the given errors first, then succeeding; sent payloads in order
+function flakySend(...failures) {
+  const sent = [];
+  const send = async (payload) => {
+    const failure = failures.shift();
+    if (failure) throw failure;
+    sent.push(payload);
+  };
+  return { send, sent };
+}
+
+test('429, 5xx and network errors are retried until the message goes out', async () => {
+  const { send, sent } = flakySend(httpError(429), httpError(503), Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+  const outbox = createOutbox({ send, baseDelayMs: 1 });
+  assert.deepStrictEqual(await outbox.enqueue('34600112233', { type: 'text', n: 1 }), { ok: true, attempts: 4 });
+  assert.deepStrictEqual(sent, [{ type: 'text', n: 1 }]);
+  assert.deepStrictEqual(outbox.stats, { sent: 1, retries: 3, failed: 0 });
+  assert.deepStrictEqual(deadLetters(), []);
+});
+
+test('other 4xx are final and land in the dead letters', async () => {
+  const { send, sent } = flakySend(httpError(400));
+  const outbox = createOutbox({ send, channel: 'telegram', baseDelayMs: 1 });
+  const result = await outbox.enqueue('tg:42', { type: 'text' });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.attempts, 1);
+  assert.deepStrictEqual(sent, []);
+  const [{ id, at, ...letter }] = deadLetters();
+  assert.strictEqual(id, result.deadLetterId);
+  assert.deepStrictEqual(letter, { channel: 'telegram', to: 'tg:42', payload: { type: 'text' }, status: 400, error: { status: 400 }, attempts: 1 });
+});
+
+test('retries stop at maxAttempts', async () => {
+  const { send } = flakySend(httpError(500), httpError(500), httpError(500));
+  const outbox = createOutbox({ send, maxAttempts: 2, baseDelayMs: 1 });
+  assert.strictEqual((await outbox.enqueue('34600112233', { type: 'text' })).attempts, 2);
+  assert.strictEqual(deadLetters()[0].status, 500);
+});
+
+test('messages to one recipient go out in order, even when the first is retried', async () => {
+  const { send, sent } = flakySend(httpError(429, { 'retry-after': '0.02' }));
+  const outbox = createOutbox({ send, baseDelayMs: 1 });
+  const jobs = [1, 2, 3].map(n => outbox.enqueue('34600112233', { n }));
+  assert.strictEqual(outbox.pending(), 1);
+  await Promise.all(jobs);
+  assert.deepStrictEqual(sent.map(p => p.n), [1, 2, 3]);
+  assert.strictEqual(outbox.pending(), 0);
+});
@@ -0,0 +1,185 @@
+// players.js
+// Persistent player registry (ratings, aliases, positions), "players" namespace in storage.js.
+//
+// Shape (keys are normalizeNameKey(name); players.json with the JSON backend):
+//   {
+//     "rajesh": { "name": "Rajesh", "rating": 8.5, "aliases": ["raj"], "position": "GK" },
+//     ...
+//   }
+//
+// Every spelling that reaches bibs, ratings or lineups is meant to go through here first:
+// a name or alias maps to the stored spelling, and an unknown name that looks like a
+// registered one (a typo, or a nickname like "ashu") gets suggestions so the bot can ask
+// "Did you mean Ashutosh?" — the answer is saved as an alias (or a new player).
+
+const storage = require('./storage');
+const { normalizeNameKey, isGuestName, editDistance } = require('./names');
+
+const POSITIONS = ['GK', 'DEF', 'ATT'];
+const MIN_NICKNAME = 3;     // "ash" can stand for "Ashutosh", "as" can't
+const MAX_SUGGESTIONS = 2;  // plus "New player" fits WhatsApp's 3 buttons
+
+function readPlayers() {
+  return storage.load('players');
+}
+function writePlayers(obj) {
+  storage.replace('players', obj);
+}
+
+// Registry key for a name or one of its aliases; null when unknown.
+function resolveKey(store, name) {
+  const key = normalizeNameKey(name);
+  if (!key) return null;
+  if (store[key]) return key;
+  for (const [k, p] of Object.entries(store)) {
+    if ((p.aliases || []).includes(key)) return k;
+  }
+  return null;
+}
+
+// Existing record for name (or alias), else a fresh one under the typed spelling.
+function ensurePlayer(store, name) {
+  const key = resolveKey(store, name) || normalizeNameKey(name);
+  if (!store[key]) store[key] = { name: name.trim(), aliases: [] };
+  return key;
+}
+
+function getPlayer(name) {
+  const store = readPlayers();
+  const key = resolveKey(store, name);
+  return key ? store[key] : null;
+}
+
+function setRating(name, rating) {
+  const store = readPlayers();
+  const key = ensurePlayer(store, name);
+  store[key].rating = rating;
+  writePlayers(store);
+  return store[key];
+}
+
+function setPosition(name, position) {
+  const store = readPlayers();
+  const key = ensurePlayer(store, name);
+  if (position) store[key].position = position;
+  else delete store[key].position;
+  writePlayers(store);
+  return store[key];
+}
+
+// Returns the updated record, or null when the alias already names someone else.
+function addAlias(alias, name) {
+  const store = readPlayers();
+  const aliasKey = normalizeNameKey(alias);
+  const key = ensurePlayer(store, name);
+  const owner = resolveKey(store, alias);
+  if (owner && owner !== key) return null;
+  if (aliasKey !== key && !store[key].aliases.includes(aliasKey)) store[key].aliases.push(aliasKey);
+  writePlayers(store);
+  return store[key];
+}
+
+// Returns the removed record, or null when unknown.
+function removePlayer(name) {
+  const store = readPlayers();
+  const key = resolveKey(store, name);
+  if (!key) return null;
+  const removed = store[key];
+  delete store[key];
+  writePlayers(store);
+  return removed;
+}
+
+function listPlayers() {
+  return Object.values(readPlayers()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Unknown name saved as a player of its own (so it's no longer asked about).
+function registerName(name) {
+  const store = readPlayers();
+  const key = ensurePlayer(store, name);
+  writePlayers(store);
+  return store[key];
+}
+
+// ---------- Canonical names ----------
+/**
+ * name -> { key, name }, reading the registry once: a player's name or alias gives that
+ * player's key and stored spelling, anything else its plain normalizeNameKey and itself.
+ * For replaying stored names (bibs ledger, lineup history), so an alias added later
+ * merges the old spellings too.
+ */
+function nameResolver() {
+  const store = readPlayers();
+  return (name) => {
+    const key = resolveKey(store, name);
+    return key ? { key, name: store[key].name } : { key: normalizeNameKey(name), name: String(name).trim() };
+  };
+}
+
+// Typos allowed for a name of this length (short names must match exactly)
+function maxTypos(key) {
+  return key.length <= 4 ? 0 : key.length <= 7 ? 1 : 2;
+}
+
+/**
+ * A typed name checked against the registry:
+ *   { name, known: true }                       stored spelling of a player or alias ("ashu" → "Ashutosh")
+ *   { name, known: false, suggestions: [...] }  unknown; registered names it may be (closest first, maybe none)
+ * A guest ("Ashu+1") keeps its "+1" and gets its host's stored spelling when the host is known.
+ */
+function matchName(name) {
+  const store = readPlayers();
+  const typed = name.trim();
+  const key = resolveKey(store, typed);
+  if (key) return { name: store[key].name, known: true };
+
+  const guest = typed.match(/^(.*?)\s*(\+\s*\d*)$/);
+  if (guest && guest[1]) {
+    const host = resolveKey(store, guest[1]);
+    return { name: host ? `${store[host].name}${guest[2].replace(/\s+/g, '')}` : typed, known: Boolean(host), suggestions: [] };
+  }
+  if (isGuestName(typed)) return { name: typed, known: false, suggestions: [] };
+
+  const t = normalizeNameKey(typed);
+  const scored = [];
+  for (const [k, p] of Object.entries(store)) {
+    let best = Infinity;
+    for (const spelling of [k, k.split(' ')[0], ...(p.aliases || [])]) {
+      if (t.length >= MIN_NICKNAME && spelling.startsWith(t)) best = Math.min(best, 1.5); // nickname
+      const typos = editDistance(t, spelling);
+      if (typos <= maxTypos(spelling)) best = Math.min(best, typos);
+    }
+    if (best < Infinity) scored.push({ name: p.name, score: best });
+  }
+  const suggestions = scored
+    .sort((a, b) => (a.score - b.score) || a.name.localeCompare(b.name))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(s => s.name);
+  return { name: typed, known: false, suggestions };
+}
+
+// Map typed name -> stored rating, for the names that have one.
+function getStoredRatings(names) {
+  const store = readPlayers();
+  const out = new Map();
+  for (const n of names) {
+    const key = resolveKey(store, n);
+    if (key && Number.isFinite(store[key].rating)) out.set(n, store[key].rating);
+  }
+  return out;
+}
+
+module.exports = {
+  POSITIONS,
+  getPlayer,
+  setRating,
+  setPosition,
+  addAlias,
+  registerName,
+  removePlayer,
+  listPlayers,
+  getStoredRatings,
+  nameResolver,
+  matchName
+};
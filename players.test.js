@@ -0,0 +1,80 @@
+// players.test.js
+// Player registry checks (npm test), on a throwaway DATA_DIR; every test starts with no
+// players.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-players-'));
+for (const name of ['PLAYERS_FILE', 'STORAGE']) delete process.env[name];
+
+const storage = require('./storage');
+const {
+  getPlayer, setRating, addAlias, registerName, removePlayer, listPlayers, getStoredRatings, nameResolver, matchName
+} = require('./players');
+
+test.beforeEach(() => storage.replace('players', {}));
+
+test('a rating is kept under the first spelling and found however the name is typed', () => {
+  setRating('Rajesh', 8.5);
+  assert.deepStrictEqual(getPlayer('  RAJESH '), { name: 'Rajesh', rating: 8.5, aliases: [] });
+  setRating('rajesh', 7);
+  assert.strictEqual(getPlayer('Rajesh').rating, 7);
+  assert.strictEqual(getPlayer('Rajesh').name, 'Rajesh');
+  assert.strictEqual(getPlayer('Kevin'), null);
+});
+
+test('stored ratings come back for the rated names only, under the typed spelling', () => {
+  setRating('Rajesh', 8.5);
+  setRating('Kevin', 6);
+  const ratings = getStoredRatings(['rajesh', 'Kevin', 'Simon']);
+  assert.deepStrictEqual([...ratings], [['rajesh', 8.5], ['Kevin', 6]]);
+});
+
+test('players are listed by name and can be removed', () => {
+  setRating('Simon', 5);
+  setRating('anish', 7);
+  assert.deepStrictEqual(listPlayers().map(p => p.name), ['anish', 'Simon']);
+  assert.strictEqual(removePlayer('SIMON').rating, 5);
+  assert.strictEqual(removePlayer('Simon'), null);
+  assert.deepStrictEqual(listPlayers().map(p => p.name), ['anish']);
+});
+
+test('ratings survive in the players namespace on disk', () => {
+  setRating('Rajesh', 8.5);
+  storage.flush();
+  const file = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'players.json'), 'utf8'));
+  assert.strictEqual(file.rajesh.rating, 8.5);
+});
+
+test('an alias finds the player, but never one already taken by someone else', () => {
+  setRating('Ashutosh', 7);
+  registerName('Ashish');
+  assert.deepStrictEqual(addAlias('Ashu', 'ashutosh').aliases, ['ashu']);
+  assert.strictEqual(getPlayer('ASHU').name, 'Ashutosh');
+  assert.strictEqual(addAlias('Ashu', 'Ashish'), null);
+  assert.deepStrictEqual(nameResolver()('ashu'), { key: 'ashutosh', name: 'Ashutosh' });
+  assert.deepStrictEqual(nameResolver()('Nobody'), { key: 'nobody', name: 'Nobody' });
+});
+
+test('unknown names get the registered names they may be, closest first', () => {
+  for (const name of ['Ashutosh', 'Ashish', 'Kevin', 'Juan']) registerName(name);
+  assert.deepStrictEqual(matchName('ashutosh'), { name: 'Ashutosh', known: true });
+  assert.deepStrictEqual(matchName('Ashutsoh').suggestions, ['Ashutosh']);  // a typo
+  assert.deepStrictEqual(matchName('Ash').suggestions, ['Ashish', 'Ashutosh']); // a nickname of either
+  assert.deepStrictEqual(matchName('Kevn').suggestions, ['Kevin']);
+  assert.deepStrictEqual(matchName('Jaun').suggestions, []);                // short names must match exactly
+  assert.deepStrictEqual(matchName('Rajesh'), { name: 'Rajesh', known: false, suggestions: [] });
+});
+
+test('a guest keeps its "+1" and takes its host\'s stored spelling', () => {
+  registerName('Kevin');
+  addAlias('Kev', 'Kevin');
+  assert.deepStrictEqual(matchName('kev + 1'), { name: 'Kevin+1', known: true, suggestions: [] });
+  assert.deepStrictEqual(matchName('Rajesh+2'), { name: 'Rajesh+2', known: false, suggestions: [] });
+});
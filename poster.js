@@ -0,0 +1,135 @@
+// poster.js
+// The teams message as a picture: one coloured column per team with its players, subs and
+// total, "Bibs next" underneath. Drawn as SVG and rendered to PNG here on the server with the
+// optional @resvg/resvg-js dependency; without it renderPoster() returns null and the bot
+// just sends the text.
+//
+// The engine hands over finished strings (already translated, names title-cased):
+//   { title, teams: [{ emoji, name, players: [..], subs?, total? }], footer: [..] }
+// where emoji is the team's palette slot ('🟡', '🔵', ...; '🎽' for a "set colors" name off
+// the palette), which picks the column colour.
+//
+// Env (optional): POSTER_FONT_FILES (comma-separated .ttf/.otf paths, e.g. a Devanagari font
+//                 for Hindi/Nepali names), POSTER_FONT_FAMILY (default 'DejaVu Sans'),
+//                 POSTER_WIDTH (PNG width in pixels, default 1080)
+
+const FONT_FILES  = (process.env.POSTER_FONT_FILES || '').split(',').map(f => f.trim()).filter(Boolean);
+const FONT_FAMILY = process.env.POSTER_FONT_FAMILY || 'DejaVu Sans';
+const WIDTH       = parseInt(process.env.POSTER_WIDTH || '1080', 10);
+
+const FILLS = {
+  '🟡': '#F5C518', '🔵': '#1E88E5', '🔴': '#E53935', '🟢': '#43A047',
+  '⚪': '#EEEEEE', '⚫': '#212121', '🟠': '#FB8C00', '🟣': '#8E24AA'
+};
+const OFF_PALETTE = '#607D8B';
+
+// Layout, in SVG units (the PNG is scaled to WIDTH)
+const PER_ROW = 4;       // teams side by side before wrapping to another row
+const COLUMN = 250, GAP = 20, MARGIN = 40;
+const TITLE_H = 90, HEADER_H = 56, LINE_H = 40, TOTAL_H = 48, FOOTER_LINE_H = 36;
+const MAX_CHARS = 15;    // longer names are cut with "…" to stay inside the column
+const CHAR_W = 14;       // rough width of a footer character, for cutting long waiting lists
+
+let resvg; // undefined: not loaded yet; null: not installed
+function loadRenderer() {
+  if (resvg !== undefined) return resvg;
+  try {
+    resvg = require('@resvg/resvg-js');
+  } catch {
+    console.warn('[poster] @resvg/resvg-js is not installed: teams go out as text only');
+    resvg = null;
+  }
+  return resvg;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+function clip(s, max = MAX_CHARS) {
+  const chars = Array.from(String(s));
+  return chars.length > max ? `${chars.slice(0, max - 1).join('')}…` : chars.join('');
+}
+function isLight(fill) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(fill.slice(i, i + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 160;
+}
+
+function text(x, y, content, { size = 24, weight = 'normal', fill = '#212121', anchor = 'start' } = {}) {
+  return `<text x="${x}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${fill}" text-anchor="${anchor}">${escapeXml(content)}</text>`;
+}
+
+function column(team, x, y, height) {
+  const fill = FILLS[team.emoji] || OFF_PALETTE;
+  const ink = isLight(fill) ? '#212121' : '#FFFFFF'; // dark text on yellow and white
+  const edge = fill === FILLS['⚪'] ? '#BDBDBD' : fill;  // a white team still needs an outline
+  const mid = x + COLUMN / 2;
+  const parts = [
+    `<rect x="${x}" y="${y}" width="${COLUMN}" height="${height}" rx="16" fill="#FFFFFF" stroke="${edge}" stroke-width="4"/>`,
+    `<path d="M${x} ${y + HEADER_H} v-${HEADER_H - 16} a16 16 0 0 1 16 -16 h${COLUMN - 32} a16 16 0 0 1 16 16 v${HEADER_H - 16} z" fill="${fill}"/>`,
+    text(mid, y + 38, clip(team.name), { size: 26, weight: 'bold', fill: ink, anchor: 'middle' })
+  ];
+  let line = y + HEADER_H + LINE_H - 8;
+  for (const player of team.players) {
+    parts.push(text(x + 20, line, clip(player), { size: 24 }));
+    line += LINE_H;
+  }
+  if (team.subs) parts.push(text(x + 20, line, clip(team.subs, MAX_CHARS + 2), { size: 20, fill: '#616161' }));
+  if (team.total !== undefined) {
+    const top = y + height - TOTAL_H;
+    parts.push(`<line x1="${x + 16}" y1="${top}" x2="${x + COLUMN - 16}" y2="${top}" stroke="#E0E0E0" stroke-width="2"/>`);
+    parts.push(text(mid, top + 32, team.total, { size: 22, weight: 'bold', anchor: 'middle' }));
+  }
+  return parts.join('\n');
+}
+
+// The poster (see the top of the file) as an SVG string
+function posterSvg(poster) {
+  const rows = [];
+  for (let i = 0; i < poster.teams.length; i += PER_ROW) rows.push(poster.teams.slice(i, i + PER_ROW));
+  const perRow = Math.min(PER_ROW, poster.teams.length);
+  const width = MARGIN * 2 + perRow * COLUMN + (perRow - 1) * GAP;
+  const hasTotals = poster.teams.some(team => team.total !== undefined);
+  const hasSubs = poster.teams.some(team => team.subs);
+  const tallest = Math.max(...poster.teams.map(team => team.players.length));
+  const columnH = HEADER_H + (tallest + (hasSubs ? 1 : 0)) * LINE_H + 12 + (hasTotals ? TOTAL_H : 0);
+  const footer = poster.footer || [];
+  const columnsEnd = TITLE_H + rows.length * (columnH + GAP) - GAP;
+  const height = columnsEnd + (footer.length ? 44 + (footer.length - 1) * FOOTER_LINE_H : 0) + MARGIN;
+
+  const parts = [text(width / 2, 60, poster.title, { size: 36, weight: 'bold', anchor: 'middle' })];
+  rows.forEach((row, r) => {
+    const y = TITLE_H + r * (columnH + GAP);
+    const left = (width - (row.length * COLUMN + (row.length - 1) * GAP)) / 2; // a short last row is centred
+    row.forEach((team, i) => parts.push(column(team, left + i * (COLUMN + GAP), y, columnH)));
+  });
+  footer.forEach((line, i) => {
+    const y = columnsEnd + 44 + i * FOOTER_LINE_H;
+    parts.push(text(width / 2, y, clip(line, Math.floor((width - MARGIN) / CHAR_W)), { size: 24, anchor: 'middle' }));
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}, sans-serif">
+<rect width="100%" height="100%" fill="#F4F6F8"/>
+${parts.join('\n')}
+</svg>`;
+}
+
+/**
+ * The poster as a PNG Buffer, or null when the renderer isn't installed or fails
+ * (a poster is never worth failing a teams message over).
+ */
+async function renderPoster(poster) {
+  const renderer = loadRenderer();
+  if (!renderer || !poster.teams.length) return null;
+  try {
+    const image = await renderer.renderAsync(posterSvg(poster), {
+      fitTo: { mode: 'width', value: WIDTH },
+      font: { fontFiles: FONT_FILES, loadSystemFonts: true, defaultFontFamily: FONT_FAMILY }
+    });
+    return image.asPng();
+  } catch (err) {
+    console.error('[poster] render failed:', err?.message || err);
+    return null;
+  }
+}
+
+module.exports = { renderPoster };
@@ -0,0 +1,39 @@
+// poster.test.js
+// Teams poster checks (npm test): renders with @resvg/resvg-js when it's installed, skipped
+// otherwise.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+for (const name of ['POSTER_FONT_FILES', 'POSTER_FONT_FAMILY', 'POSTER_WIDTH']) delete process.env[name];
+
+const { renderPoster } = require('./poster');
+
+let installed = true;
+try {
+  require.resolve('@resvg/resvg-js');
+} catch {
+  installed = false;
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const POSTER = {
+  title: 'Teams for tonight',
+  teams: [
+    { emoji: '🟡', name: 'YELLOW', players: ['Anish', 'Juan <3 & co'], total: 'Total: 15' },
+    { emoji: '🎽', name: 'BORDEAUX', players: ['Kevin', 'A name far too long for the column'], subs: 'Sub: Simon' }
+  ],
+  footer: ['🧼 Bibs next: Kevin']
+};
+
+test('the poster is a PNG as wide as POSTER_WIDTH', { skip: !installed && '@resvg/resvg-js is not installed' }, async () => {
+  const png = await renderPoster(POSTER);
+  assert.ok(png.subarray(0, 8).equals(PNG_SIGNATURE));
+  assert.strictEqual(png.readUInt32BE(16), 1080); // IHDR width
+});
+
+test('no teams, no poster', async () => {
+  assert.strictEqual(await renderPoster({ title: 'Teams for tonight', teams: [], footer: [] }), null);
+});
@@ -0,0 +1,95 @@
+// repl.js
+// Local stdin/stdout transport for trying the bot without any chat app: npm run repl
+//
+// Type or paste a message; lines arriving together (a pasted roster) are sent as one
+// message. When stdin is piped instead, a blank line ends each message. Buttons and menu
+// rows are printed numbered — type the number to press one. Pictures (the teams poster) are
+// saved to the temp directory and their path printed.
+// State is shared with the other transports' storage (DATA_DIR etc.), under the sender
+// id "cli:<REPL_USER>" (default "cli:local"). Start a message with "@kevin " to send it as
+// someone else, e.g. to try signups ("@kevin in").
+//
+//   printf 'lang en\n\nRajesh 8\nSimon 7\n...\n\n1\n' | npm run repl --silent
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { handleMessage, registerTransport, startGameScheduler } = require('./engine');
+
+const USER = process.env.REPL_USER || 'local';
+const PASTE_GAP_MS = 150; // lines closer together than this are one message
+
+let buttons = []; // last buttons (or menu rows) shown, pressed by number
+let counter = 0;
+let images = 0;
+const capitalize = (w) => w.charAt(0).toUpperCase() + w.slice(1);
+
+const transport = {
+  async sendText(to, text) {
+    console.log(`\n${to === `cli:${USER}` ? '' : `(to ${to}) `}${text}\n`);
+  },
+  async sendButtons(_to, text, list) {
+    buttons = list;
+    console.log(`${text}  ${list.map((b, i) => `[${i + 1}] ${b.title}`).join('  ')}\n`);
+  },
+  async sendList(_to, text, button, rows) {
+    buttons = rows;
+    console.log(`${text}\n${button}:\n${rows.map((r, i) => `  [${i + 1}] ${r.title}${r.description ? ` — ${r.description}` : ''}`).join('\n')}\n`);
+  },
+  async sendImage(_to, png, caption) {
+    const file = path.join(os.tmpdir(), `futsal-teams-${++images}.png`);
+    fs.writeFileSync(file, png);
+    console.log(`[image] ${file}${caption ? ` — ${caption}` : ''}\n`);
+  }
+};
+
+// One message at a time, in arrival order
+let chain = Promise.resolve();
+function submit(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return;
+  chain = chain
+    .then(() => {
+      const as = trimmed.match(/^@(\w+)\s+([\s\S]+)$/);
+      const user = as ? as[1].toLowerCase() : USER;
+      const body = as ? as[2] : text;
+      const from = `cli:${user}`;
+      // Resolved once earlier messages are answered, so their buttons count
+      const pressed = /^\d{1,2}$/.test(body.trim()) ? buttons[parseInt(body.trim(), 10) - 1] : null;
+      const base = { from, id: `${from}:${Date.now()}:${++counter}`, author: { id: from, name: as ? capitalize(user) : process.env.REPL_USER } };
+      return handleMessage(pressed
+        ? { ...base, type: 'button', buttonId: pressed.id }
+        : { ...base, type: 'text', text: body }, transport);
+    })
+    .catch(err => console.error('Error:', err?.message || err))
+    .then(() => { if (process.stdin.isTTY) rl.prompt(); });
+}
+
+registerTransport('repl', transport);
+startGameScheduler();
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ', terminal: process.stdin.isTTY });
+let pending = [];
+let timer = null;
+const flush = () => {
+  clearTimeout(timer);
+  timer = null;
+  const text = pending.join('\n');
+  pending = [];
+  submit(text);
+};
+
+rl.on('line', (line) => {
+  if (!process.stdin.isTTY && !line.trim()) return flush();
+  pending.push(line);
+  clearTimeout(timer);
+  timer = setTimeout(flush, PASTE_GAP_MS);
+});
+rl.on('close', () => {
+  if (pending.length) flush();
+  chain.then(() => process.exit(0));
+});
+
+console.log(`Futsal bot REPL as cli:${USER}. Paste a roster, type "help", or Ctrl+D to quit.`);
+if (process.stdin.isTTY) rl.prompt();
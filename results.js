@@ -0,0 +1,157 @@
+// results.js
+// Match results per night (round-robin friendly) + Elo-style rating updates fed back into the registry.
+//
+// Stored as the "results" namespace (storage.js), i.e. results.json with the JSON backend:
+//   {
+//     "nights": [
+//       { "key": "<teamKey of the lineup>", "date": "2024-05-06T19:02:11.000Z",
+//         "teams": [["Rajesh", ...], ["Anish", ...], ...],          // index = color slot
+//         "games": [ { "a": 0, "b": 1, "goalsA": 3, "goalsB": 2, "at": "...",
+//                      "deltaA": 0.12, "deltaB": -0.12,                  // the teams' Elo change
+//                      "deltas": { "Rajesh": 0.12, "Anish": -0.12, ... } } ] }  // applied per player
+//     ]
+//   }
+
+const storage = require('./storage');
+const { getPlayer, setRating } = require('./players');
+const { isGuestName } = require('./names');
+
+// Ratings live on the same 0–10-ish scale people type ("Rajesh 8.5"), so the Elo
+// constants are scaled down accordingly: a 4-point gap means ~10:1 odds.
+const ELO_K = parseFloat(process.env.ELO_K || '0.2');
+const ELO_SCALE = parseFloat(process.env.ELO_SCALE || '4');
+const DEFAULT_RATING = 5;
+
+function readResults() {
+  return { nights: storage.get('results', 'nights') || [] };
+}
+function writeResults(obj) {
+  storage.set('results', 'nights', obj.nights);
+}
+
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / ELO_SCALE));
+}
+
+// Margin-of-victory weight as in the World Football Elo ratings.
+function goalDiffWeight(goalsA, goalsB) {
+  const gd = Math.abs(goalsA - goalsB);
+  if (gd <= 1) return 1;
+  if (gd === 2) return 1.5;
+  return (11 + gd) / 8;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+/**
+ * Per-team Elo change for one game. Team strength is the mean rating of its players,
+ * and every player on a team moves by the same amount.
+ * Returns { deltaA, deltaB } (deltaB === -deltaA).
+ */
+function eloTeamDeltas(ratingsA, ratingsB, goalsA, goalsB) {
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / (xs.length || 1);
+  const expectedA = expectedScore(mean(ratingsA), mean(ratingsB));
+  const actualA = goalsA > goalsB ? 1 : goalsA < goalsB ? 0 : 0.5;
+  const deltaA = round2(ELO_K * goalDiffWeight(goalsA, goalsB) * (actualA - expectedA));
+  return { deltaA, deltaB: -deltaA };
+}
+
+/**
+ * Record one game between team slots a and b of lineup, update stored ratings.
+ *
+ * lineup = { key, teams: string[][], seedRatings?: Map<string, number> }
+ *   teams include subs; seedRatings (e.g. from a rated snake message) is used for
+ *   players who have no stored rating yet, else DEFAULT_RATING. Guests ("Kevin+1") count
+ *   towards their team's strength but aren't rated or saved.
+ *
+ * Games with the same lineup key are grouped into one night, so a 3-team round robin
+ * is just several "result" messages in a row.
+ *
+ * Returns { night, game, changes: [{ name, before, after }] }.
+ */
+function recordResult(lineup, a, goalsA, b, goalsB) {
+  const store = readResults();
+  let night = store.nights[store.nights.length - 1];
+  if (!night || night.key !== lineup.key) {
+    night = { key: lineup.key, date: new Date().toISOString(), teams: lineup.teams, games: [] };
+    store.nights.push(night);
+  }
+
+  const current = (name) => {
+    const stored = getPlayer(name);
+    if (stored && Number.isFinite(stored.rating)) return stored.rating;
+    const seed = lineup.seedRatings && lineup.seedRatings.get(name);
+    return Number.isFinite(seed) ? seed : DEFAULT_RATING;
+  };
+  const before = new Map(lineup.teams[a].concat(lineup.teams[b]).map(n => [n, current(n)]));
+  const { deltaA, deltaB } = eloTeamDeltas(
+    lineup.teams[a].map(n => before.get(n)),
+    lineup.teams[b].map(n => before.get(n)),
+    goalsA, goalsB
+  );
+
+  const deltas = {};
+  const changes = [];
+  for (const [name, delta] of [...lineup.teams[a].map(n => [n, deltaA]), ...lineup.teams[b].map(n => [n, deltaB])]) {
+    if (isGuestName(name)) continue;
+    const after = Math.max(0, round2(before.get(name) + delta));
+    setRating(name, after);
+    deltas[name] = round2(after - before.get(name));
+    changes.push({ name, before: before.get(name), after });
+  }
+
+  const game = { a, b, goalsA, goalsB, at: new Date().toISOString(), deltaA, deltaB, deltas };
+  night.games.push(game);
+  writeResults(store);
+  return { night, game, changes };
+}
+
+// Remove the most recent game and revert its rating changes. Returns the game or null.
+function undoLastResult() {
+  const store = readResults();
+  const night = store.nights[store.nights.length - 1];
+  if (!night || !night.games.length) return null;
+  const game = night.games.pop();
+  for (const [name, delta] of Object.entries(game.deltas || {})) {
+    const p = getPlayer(name);
+    if (p && Number.isFinite(p.rating)) setRating(name, Math.max(0, round2(p.rating - delta)));
+  }
+  if (!night.games.length) store.nights.pop();
+  writeResults(store);
+  return game;
+}
+
+function lastNight() {
+  const store = readResults();
+  return store.nights[store.nights.length - 1] || null;
+}
+
+/**
+ * League table for one night: 3 points a win, 1 a draw.
+ * Returns rows sorted by points, goal difference, goals for:
+ *   [{ team, played, won, drawn, lost, goalsFor, goalsAgainst, points }]
+ */
+function standings(night) {
+  const rows = night.teams.map((_, team) => ({
+    team, played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, points: 0
+  }));
+  for (const g of night.games) {
+    const ra = rows[g.a];
+    const rb = rows[g.b];
+    ra.played++; rb.played++;
+    ra.goalsFor += g.goalsA; ra.goalsAgainst += g.goalsB;
+    rb.goalsFor += g.goalsB; rb.goalsAgainst += g.goalsA;
+    if (g.goalsA > g.goalsB) { ra.won++; rb.lost++; ra.points += 3; }
+    else if (g.goalsA < g.goalsB) { rb.won++; ra.lost++; rb.points += 3; }
+    else { ra.drawn++; rb.drawn++; ra.points++; rb.points++; }
+  }
+  return rows.sort((x, y) =>
+    (y.points - x.points) ||
+    ((y.goalsFor - y.goalsAgainst) - (x.goalsFor - x.goalsAgainst)) ||
+    (y.goalsFor - x.goalsFor)
+  );
+}
+
+module.exports = { recordResult, undoLastResult, lastNight, standings, eloTeamDeltas };
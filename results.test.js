@@ -0,0 +1,57 @@
+// results.test.js
+// Results and Elo checks (npm test), on a throwaway DATA_DIR; every test starts with no
+// results and no players.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-results-'));
+for (const name of ['RESULTS_FILE', 'PLAYERS_FILE', 'STORAGE', 'ELO_K', 'ELO_SCALE']) delete process.env[name];
+
+const storage = require('./storage');
+const { eloTeamDeltas, recordResult, undoLastResult } = require('./results');
+const { getPlayer, setRating } = require('./players');
+
+test.beforeEach(() => {
+  storage.replace('results', {});
+  storage.replace('players', {});
+});
+
+test('even teams: a win moves both by K, in opposite directions', () => {
+  assert.deepStrictEqual(eloTeamDeltas([5, 5], [5, 5], 3, 2), { deltaA: 0.1, deltaB: -0.1 });
+  assert.deepStrictEqual(eloTeamDeltas([5, 5], [5, 5], 2, 2), { deltaA: 0, deltaB: -0 });
+});
+
+test('beating a weaker team gains less than beating a stronger one, and big wins count more', () => {
+  const favourite = eloTeamDeltas([9], [5], 1, 0).deltaA;
+  const underdog = eloTeamDeltas([5], [9], 1, 0).deltaA;
+  assert.ok(favourite > 0 && underdog > favourite);
+  assert.ok(eloTeamDeltas([5], [5], 4, 0).deltaA > eloTeamDeltas([5], [5], 1, 0).deltaA);
+});
+
+test('the game keeps the team deltas even with a guest first and a rating clamped at 0', () => {
+  setRating('Zero', 0);
+  const lineup = { key: 'k1', teams: [['Kevin+1', 'Kevin'], ['Zero', 'Simon']] };
+  const { game } = recordResult(lineup, 0, 3, 1, 0);
+  assert.ok(game.deltaA > 0);
+  assert.strictEqual(game.deltaB, -game.deltaA);
+  assert.strictEqual(game.deltas['Kevin+1'], undefined); // guests aren't rated
+  assert.strictEqual(game.deltas.Zero, 0);
+  assert.strictEqual(getPlayer('Simon').rating, 5 + game.deltaB);
+  assert.strictEqual(getPlayer('Kevin+1'), null);
+});
+
+test('undo puts the ratings back and drops an emptied night', () => {
+  setRating('Kevin', 7);
+  recordResult({ key: 'k2', teams: [['Kevin'], ['Simon']] }, 0, 1, 1, 2);
+  assert.notStrictEqual(getPlayer('Kevin').rating, 7);
+  assert.ok(undoLastResult());
+  assert.strictEqual(getPlayer('Kevin').rating, 7);
+  assert.strictEqual(getPlayer('Simon').rating, 5);
+  assert.strictEqual(undoLastResult(), null);
+});
@@ -0,0 +1,185 @@
+// scheduler.js
+// Recurring weekly game: when to open signups, remind players, close signups and post teams.
+//
+// The schedule is the "schedule" namespace in storage.js (schedule.json with the JSON backend):
+//   {
+//     "game": {
+//       "id": "lq3x2k9a", "weekday": 1, "time": "20:00", "tz": "Europe/Madrid", "format": { "teams": 3, "size": 5 },
+//       "by": "<organiser sender id>",
+//       "offsets": { "open": 259200000, "remind": 10800000, "close": 7200000, "teams": 3600000 },  // ms before kickoff
+//       "kickoffAt": 1718128800000,      // next kickoff (UTC ms)
+//       "done": ["open", "remind"]       // stages already run for that kickoff
+//     }
+//   }
+//
+// A timer checks every TICK_MS; stages are marked done before they run, so a restart
+// never repeats one, and stages that came due while the bot was down run on the next
+// tick (opening and reminders only while signups would still be open).
+// Times are wall-clock in the schedule's timezone, so kickoff stays at 20:00 across DST.
+// Each group (groups.js) has its own schedule; the same timer checks them all.
+
+const storage = require('./storage');
+
+const NS = 'schedule';
+const TICK_MS = 30 * 1000;
+const HOUR = 60 * 60 * 1000;
+const STAGES = ['open', 'remind', 'close', 'teams'];
+const DEFAULT_OFFSETS = {
+  open: parseFloat(process.env.SCHEDULE_OPEN_HOURS || '72') * HOUR,
+  remind: parseFloat(process.env.SCHEDULE_REMIND_HOURS || '3') * HOUR,
+  close: parseFloat(process.env.SCHEDULE_CUTOFF_HOURS || '2') * HOUR,
+  teams: parseFloat(process.env.SCHEDULE_TEAMS_HOURS || '1') * HOUR
+};
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAY_WORDS = {
+  sun: 0, sunday: 0, domingo: 0,
+  mon: 1, monday: 1, lunes: 1,
+  tue: 2, tues: 2, tuesday: 2, martes: 2,
+  wed: 3, wednesday: 3, miercoles: 3, 'miércoles': 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, jueves: 4,
+  fri: 5, friday: 5, viernes: 5,
+  sat: 6, saturday: 6, sabado: 6, 'sábado': 6
+};
+
+// "Monday" / "mon" / "lunes" -> 1; -1 when unknown
+function parseWeekday(word) {
+  const w = String(word || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(WEEKDAY_WORDS, w) ? WEEKDAY_WORDS[w] : -1;
+}
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Wall-clock fields of a UTC instant in tz
+function zonedParts(ms, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(ms));
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    year: +get('year'), month: +get('month'), day: +get('day'),
+    hour: +get('hour'), minute: +get('minute'), second: +get('second')
+  };
+}
+// tz's offset from UTC at instant ms (ms to add to UTC to get wall-clock)
+function tzOffset(ms, tz) {
+  const p = zonedParts(ms, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+// UTC instant of a wall-clock time in tz (the later reading wins in a DST gap)
+function zonedToUtc(year, month, day, hour, minute, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - tzOffset(wall, tz);
+  return wall - tzOffset(guess, tz);
+}
+
+// Next kickoff strictly after `after` for weekday + "HH:MM" in tz
+function nextKickoff(weekday, time, tz, after = Date.now()) {
+  const [hh, mm] = time.split(':').map(Number);
+  const today = zonedParts(after, tz);
+  for (let add = 0; add <= 7; add++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + add));
+    if (date.getUTCDay() !== weekday) continue;
+    const at = zonedToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hh, mm, tz);
+    if (at > after) return at;
+  }
+  return null;
+}
+
+function getSchedule() {
+  return storage.get(NS, 'game') || null;
+}
+function saveSchedule(schedule) {
+  storage.set(NS, 'game', schedule);
+}
+
+/**
+ * Set (or replace) the weekly game. offsets: { open, remind, close, teams } in ms before
+ * kickoff; missing ones use DEFAULT_OFFSETS. Returns the stored schedule.
+ */
+function setSchedule({ weekday, time, tz, format, by, offsets = {} }) {
+  const schedule = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    weekday, time, tz, format, by,
+    offsets: { ...DEFAULT_OFFSETS, ...offsets },
+    kickoffAt: nextKickoff(weekday, time, tz),
+    done: []
+  };
+  saveSchedule(schedule);
+  return schedule;
+}
+
+function clearSchedule() {
+  const existing = getSchedule();
+  storage.remove(NS, 'game');
+  return existing;
+}
+
+// [{ stage, at }] for the schedule's next kickoff, in time order
+function stageTimes(schedule) {
+  return STAGES
+    .map(stage => ({ stage, at: schedule.kickoffAt - schedule.offsets[stage] }))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Start the timer. runStage(stage, schedule) → Promise does the actual work
+ * ('open' | 'remind' | 'close' | 'teams'); errors are logged, never retried.
+ * eachGroup(fn) → Promise runs fn once per group with that group's data (see
+ * storage.withGroup), so every group's schedule is checked on each tick.
+ */
+function startScheduler(runStage, { eachGroup = (fn) => fn() } = {}) {
+  let busy = false;
+  const tickGroup = async () => {
+    try {
+      const now = Date.now();
+      let schedule = getSchedule();
+      if (!schedule) return;
+      if (!schedule.kickoffAt || now >= schedule.kickoffAt) {
+        schedule = { ...schedule, kickoffAt: nextKickoff(schedule.weekday, schedule.time, schedule.tz, now), done: [] };
+        saveSchedule(schedule);
+      }
+      const closeAt = schedule.kickoffAt - schedule.offsets.close;
+      for (const { stage, at } of stageTimes(schedule)) {
+        if (now < at || schedule.done.includes(stage)) continue;
+        schedule.done.push(stage);
+        saveSchedule(schedule);
+        if ((stage === 'open' || stage === 'remind') && now >= closeAt) continue; // missed; signups are over
+        console.log(`[SCHEDULE] ${stage} for ${new Date(schedule.kickoffAt).toISOString()} (group ${storage.currentGroup()})`);
+        try {
+          await runStage(stage, schedule);
+        } catch (err) {
+          console.error(`[SCHEDULE] ${stage} failed:`, err?.message || err);
+        }
+        if (getSchedule()?.id !== schedule.id) break; // replaced or cancelled meanwhile
+      }
+    } catch (err) {
+      console.error('[SCHEDULE] tick failed:', err?.message || err);
+    }
+  };
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await eachGroup(tickGroup);
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+module.exports = {
+  WEEKDAYS, STAGES, DEFAULT_OFFSETS, parseWeekday, isValidTimeZone, nextKickoff,
+  getSchedule, setSchedule, clearSchedule, stageTimes, startScheduler
+};
@@ -0,0 +1,62 @@
+// scheduler.test.js
+// Weekly game timing checks (npm test), on a throwaway DATA_DIR with the default stage offsets;
+// every test starts with no schedule.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-scheduler-'));
+for (const name of ['STORAGE', 'SCHEDULE_OPEN_HOURS', 'SCHEDULE_REMIND_HOURS', 'SCHEDULE_CUTOFF_HOURS', 'SCHEDULE_TEAMS_HOURS']) {
+  delete process.env[name];
+}
+
+const storage = require('./storage');
+const {
+  parseWeekday, isValidTimeZone, nextKickoff, getSchedule, setSchedule, stageTimes, startScheduler
+} = require('./scheduler');
+
+test.mock.method(console, 'log', () => {});
+test.beforeEach(() => storage.replace('schedule', {}));
+
+const HOUR = 60 * 60 * 1000;
+const kickoff = (weekday, time, tz, after) => new Date(nextKickoff(weekday, time, tz, Date.parse(after))).toISOString();
+
+test('weekdays in English or Spanish, and real timezones only', () => {
+  assert.deepStrictEqual(['Monday', 'mon', 'LUNES', 'sábado', 'someday'].map(parseWeekday), [1, 1, 1, 6, -1]);
+  assert.strictEqual(isValidTimeZone('Europe/Madrid'), true);
+  assert.strictEqual(isValidTimeZone('Mars/Olympus'), false);
+});
+
+test('kickoff is wall-clock time in the timezone, summer or winter', () => {
+  assert.strictEqual(kickoff(1, '20:00', 'Europe/Madrid', '2024-06-05T12:00:00Z'), '2024-06-10T18:00:00.000Z');
+  assert.strictEqual(kickoff(1, '20:00', 'Europe/Madrid', '2024-10-22T12:00:00Z'), '2024-10-28T19:00:00.000Z');
+  assert.strictEqual(kickoff(1, '20:00', 'America/New_York', '2024-06-10T18:00:00Z'), '2024-06-11T00:00:00.000Z');
+});
+
+test('the next kickoff is strictly later, and a time skipped by DST moves to after the jump', () => {
+  assert.strictEqual(kickoff(1, '20:00', 'Europe/Madrid', '2024-06-10T18:00:00Z'), '2024-06-17T18:00:00.000Z');
+  assert.strictEqual(kickoff(0, '02:30', 'Europe/Madrid', '2024-03-30T12:00:00Z'), '2024-03-31T01:30:00.000Z'); // 03:30 CEST
+});
+
+test('stages run open, remind, close, teams by the default offsets', () => {
+  const schedule = setSchedule({ weekday: 1, time: '20:00', tz: 'Europe/Madrid', format: { teams: 3, size: 5 }, by: 'org' });
+  assert.deepStrictEqual(stageTimes(schedule).map(({ stage, at }) => [stage, (schedule.kickoffAt - at) / HOUR]), [
+    ['open', 72], ['remind', 3], ['close', 2], ['teams', 1]
+  ]);
+});
+
+test('a late start runs what is due once and skips signups that are already over', async () => {
+  const schedule = setSchedule({ weekday: 1, time: '20:00', tz: 'Europe/Madrid', format: { teams: 3, size: 5 }, by: 'org' });
+  storage.set('schedule', 'game', { ...schedule, kickoffAt: Date.now() + 1.5 * HOUR }); // past the cutoff, before teams
+  const ran = [];
+  const timer = startScheduler(async (stage) => { ran.push(stage); });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  clearInterval(timer);
+  assert.deepStrictEqual(ran, ['close']);
+  assert.deepStrictEqual(getSchedule().done, ['open', 'remind', 'close']);
+});
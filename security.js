@@ -0,0 +1,67 @@
+// security.js
+// Inbound hardening for the webhook: Meta signature check, phone redaction for logs,
+// and a per-sender rate limit.
+
+const crypto = require('crypto');
+
+/**
+ * Check Meta's X-Hub-Signature-256 header ("sha256=<hex HMAC of the raw body>").
+ * rawBody must be the exact bytes received (before JSON parsing).
+ */
+function verifySignature(rawBody, header, appSecret) {
+  if (!rawBody || !header || !appSecret) return false;
+  const m = String(header).match(/^sha256=([0-9a-f]{64})$/i);
+  if (!m) return false;
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+  const given = Buffer.from(m[1], 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Phone fields in Cloud API payloads; other digit runs (timestamps, ids) are left alone.
+const PHONE_FIELDS = /("(?:from|to|wa_id|recipient_id|display_phone_number)"\s*:\s*")(\+?\d{6,15})"/g;
+
+// Keep only the last 4 digits: "•••1111".
+function maskPhone(digits) {
+  return `•••${String(digits).slice(-4)}`;
+}
+// Mask phone numbers in a log line: Cloud API phone fields and "+<digits>" in free text.
+function redactPhones(text) {
+  return String(text)
+    .replace(PHONE_FIELDS, (_, head, d) => `${head}${maskPhone(d)}"`)
+    .replace(/\+\d{7,15}\b/g, maskPhone);
+}
+
+/**
+ * Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+ * check(key) → { ok, notify } — notify is true only for the first rejected hit of a
+ * window, so a flood gets one "slow down" reply instead of one per message.
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map(); // key -> { times: number[], notified: boolean }
+
+  const prune = (now) => {
+    for (const [key, h] of hits) {
+      if (!h.times.length || now - h.times[h.times.length - 1] > windowMs) hits.delete(key);
+    }
+  };
+
+  return {
+    check(key) {
+      const now = Date.now();
+      if (hits.size > 10000) prune(now);
+      const h = hits.get(key) || { times: [], notified: false };
+      h.times = h.times.filter(t => now - t < windowMs);
+      if (h.times.length < limit) h.notified = false;
+      hits.set(key, h);
+      if (h.times.length >= limit) {
+        const notify = !h.notified;
+        h.notified = true;
+        return { ok: false, notify };
+      }
+      h.times.push(now);
+      return { ok: true, notify: false };
+    }
+  };
+}
+
+module.exports = { verifySignature, maskPhone, redactPhones, createRateLimiter };
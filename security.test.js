@@ -0,0 +1,39 @@
+// security.test.js
+// Webhook hardening checks (npm test): signatures, phone redaction and the rate limiter.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { verifySignature, maskPhone, redactPhones, createRateLimiter } = require('./security');
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+test('only a signature of the exact body with the app secret passes', () => {
+  const body = Buffer.from('{"entry":[]}');
+  assert.strictEqual(verifySignature(body, sign(body, 's3cret'), 's3cret'), true);
+  assert.strictEqual(verifySignature(body, `sha256=${sign(body, 's3cret').slice(7).toUpperCase()}`, 's3cret'), true);
+  assert.strictEqual(verifySignature(Buffer.from('{"entry":[1]}'), sign(body, 's3cret'), 's3cret'), false);
+  assert.strictEqual(verifySignature(body, sign(body, 'other'), 's3cret'), false);
+  assert.strictEqual(verifySignature(body, 'sha256=abc', 's3cret'), false);
+  assert.strictEqual(verifySignature(body, undefined, 's3cret'), false);
+  assert.strictEqual(verifySignature(body, sign(body, ''), ''), false);
+});
+
+test('phone numbers are masked in payloads and free text, other numbers are not', () => {
+  assert.strictEqual(maskPhone('34600112233'), '•••2233');
+  const line = '{"from":"34600112233","timestamp":"1715000000","text":{"body":"call +34600112233"}}';
+  assert.strictEqual(redactPhones(line), '{"from":"•••2233","timestamp":"1715000000","text":{"body":"call •••2233"}}');
+});
+
+test('the rate limiter lets limit hits through per window and asks to slow down once', async () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 50 });
+  assert.deepStrictEqual([1, 2, 3, 4].map(() => limiter.check('a')), [
+    { ok: true, notify: false }, { ok: true, notify: false }, { ok: false, notify: true }, { ok: false, notify: false }
+  ]);
+  assert.strictEqual(limiter.check('b').ok, true); // per sender
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepStrictEqual(limiter.check('a'), { ok: true, notify: false });
+});
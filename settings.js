@@ -0,0 +1,51 @@
+// settings.js
+// How a group's teams message looks, set from the chat instead of env vars:
+//   set totals on|off · set order random|alpha|pick · set colors green,white,black · set signoff "Vamos!"
+//   · set poster on|off
+//
+// "settings" namespace, one of storage.js's group namespaces (settings.json with the JSON
+// backend, settings.<group>.json for other groups):
+//   { "totals": false, "order": "alpha", "colors": ["GREEN", "WHITE", "BLACK"], "signoff": "Vamos!", "poster": false }
+// Anything not set falls back to SHOW_TOTALS / TEAM_LIST_ORDER / TEAM_POSTER and the built-in
+// palette and sign-off; "default" clears a setting again.
+
+const storage = require('./storage');
+
+const NS = 'settings';
+const ORDERS = ['random', 'alpha', 'pick'];
+const MAX_SIGNOFF = 80;
+const DEFAULTS = {
+  totals: (process.env.SHOW_TOTALS ?? '1') === '1',
+  order: ORDERS.includes((process.env.TEAM_LIST_ORDER || '').toLowerCase()) ? process.env.TEAM_LIST_ORDER.toLowerCase() : 'random',
+  colors: null,   // null: the built-in palette
+  signoff: null,  // null: the built-in "Have fun! ⚽"; '' for none
+  poster: (process.env.TEAM_POSTER ?? '1') === '1' // a PNG of the teams with the text (poster.js)
+};
+
+// Current group's settings, defaults filled in
+function getSettings() {
+  return { ...DEFAULTS, ...storage.load(NS) };
+}
+
+// Which settings differ from the defaults (for "settings")
+function customSettings() {
+  return storage.load(NS);
+}
+
+/**
+ * Change one setting; value undefined clears it (back to the default).
+ * Returns the current group's settings afterwards.
+ */
+function updateSetting(name, value) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULTS, name)) throw new Error(`unknown setting ${name}`);
+  if (value === undefined) storage.remove(NS, name);
+  else storage.set(NS, name, value);
+  return getSettings();
+}
+
+function resetSettings() {
+  storage.replace(NS, {});
+  return getSettings();
+}
+
+module.exports = { ORDERS, MAX_SIGNOFF, getSettings, customSettings, updateSetting, resetSettings };
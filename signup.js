@@ -0,0 +1,140 @@
+// signup.js
+// Game signups: an organiser opens a game, players reply "in" / "out" / "in +1".
+//
+// One game at a time, "signups" namespace in storage.js (signups.json with the JSON backend):
+//   {
+//     "current": {
+//       "id": "lq3x2k9a", "day": "Monday", "time": "20:00", "format": { "teams": 3, "size": 5 },
+//       "by": "<sender>", "openedAt": "...", "closed": false,
+//       "spots": [ { "id": "<player id>", "name": "Kevin", "hostId": null, "replyTo": "<sender>", "at": "..." },
+//                  { "id": "<player id>#1", "name": "Kevin+1", "hostId": "<player id>", ... } ]   // signup order
+//     },
+//     "names": { "<player id>": "Kevin" }   // name each player signs up under, remembered
+//   }
+//
+// The first teams × size spots are confirmed, the rest are the waiting list, so when
+// someone drops out the next in line moves up by themselves; leave() reports who did.
+
+const storage = require('./storage');
+const { normalizeNameKey } = require('./names');
+
+const NS = 'signups';
+const MAX_GUESTS = 5; // per player
+
+function currentGame() {
+  return storage.get(NS, 'current') || null;
+}
+function saveGame(game) {
+  storage.set(NS, 'current', game);
+}
+
+function capacity(game) {
+  return game.format.teams * game.format.size;
+}
+
+// { confirmed: spot[], waitlist: spot[] }
+function splitSpots(game) {
+  const cap = capacity(game);
+  return { confirmed: game.spots.slice(0, cap), waitlist: game.spots.slice(cap) };
+}
+
+// New game; fails with { error: 'already_open', game } while another one takes signups.
+function openGame({ by, day, time, format }) {
+  const existing = currentGame();
+  if (existing && !existing.closed) return { error: 'already_open', game: existing };
+  const game = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    day, time, format, by,
+    openedAt: new Date().toISOString(),
+    closed: false,
+    spots: []
+  };
+  saveGame(game);
+  return { game };
+}
+
+// Stop taking signups; the lists stay for "make teams".
+function closeGame() {
+  const game = currentGame();
+  if (!game || game.closed) return null;
+  game.closed = true;
+  saveGame(game);
+  return game;
+}
+
+function rememberedName(playerId) {
+  const names = storage.get(NS, 'names') || {};
+  return names[playerId] || null;
+}
+function rememberName(playerId, name) {
+  const names = storage.get(NS, 'names') || {};
+  names[playerId] = name;
+  storage.set(NS, 'names', names);
+}
+
+/**
+ * Sign a player (and guests guests) up for the open game.
+ * player = { id, name, replyTo }; guests are named "<name>+1", "<name>+2", ...
+ * Returns { error } ('no_game' | 'closed' | 'name_taken' | 'too_many_guests') or
+ * { game, added: spot[], already: boolean }.
+ */
+function join(player, guests = 0) {
+  const game = currentGame();
+  if (!game) return { error: 'no_game' };
+  if (game.closed) return { error: 'closed', game };
+
+  const key = normalizeNameKey(player.name);
+  if (game.spots.some(s => !s.hostId && s.id !== player.id && normalizeNameKey(s.name) === key)) {
+    return { error: 'name_taken', game };
+  }
+
+  const at = new Date().toISOString();
+  const added = [];
+  let self = game.spots.find(s => s.id === player.id);
+  const already = Boolean(self);
+  if (!self) {
+    self = { id: player.id, name: player.name, hostId: null, replyTo: player.replyTo, at };
+    game.spots.push(self);
+    added.push(self);
+  }
+  const ownGuests = game.spots.filter(s => s.hostId === player.id);
+  if (ownGuests.length + guests > MAX_GUESTS) return { error: 'too_many_guests', game };
+  for (let n = ownGuests.length + 1; n <= ownGuests.length + guests; n++) {
+    const guest = { id: `${player.id}#${n}`, name: `${self.name}+${n}`, hostId: player.id, replyTo: player.replyTo, at };
+    game.spots.push(guest);
+    added.push(guest);
+  }
+  saveGame(game);
+  return { game, added, already };
+}
+
+/**
+ * Take a player out of the open game (with their guests), or only `guests` of their
+ * guests (newest first) when guests > 0.
+ * Returns { error } ('no_game' | 'closed' | 'not_in') or { game, removed: spot[], promoted: spot[] }.
+ */
+function leave(playerId, guests = 0) {
+  const game = currentGame();
+  if (!game) return { error: 'no_game' };
+  if (game.closed) return { error: 'closed', game };
+
+  const before = new Set(splitSpots(game).confirmed.map(s => s.id));
+  let removed;
+  if (guests > 0) {
+    removed = game.spots.filter(s => s.hostId === playerId).slice(-guests);
+  } else {
+    removed = game.spots.filter(s => s.id === playerId || s.hostId === playerId);
+  }
+  if (!removed.length) return { error: 'not_in', game };
+
+  const gone = new Set(removed.map(s => s.id));
+  game.spots = game.spots.filter(s => !gone.has(s.id));
+  saveGame(game);
+  const promoted = splitSpots(game).confirmed.filter(s => !before.has(s.id));
+  return { game, removed, promoted };
+}
+
+module.exports = {
+  MAX_GUESTS, currentGame, openGame, closeGame, join, leave, splitSpots, capacity,
+  rememberedName, rememberName
+};
@@ -0,0 +1,68 @@
+// signup.test.js
+// Game signup checks (npm test), on a throwaway DATA_DIR; every test starts with no game.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-signup-'));
+delete process.env.STORAGE;
+
+const storage = require('./storage');
+const { MAX_GUESTS, currentGame, openGame, closeGame, join, leave, splitSpots } = require('./signup');
+
+test.beforeEach(() => storage.replace('signups', {}));
+
+const TWO_BY_ONE = { teams: 2, size: 1 };
+const player = (name) => ({ id: name.toLowerCase(), name, replyTo: `chat-${name}` });
+const names = (spots) => spots.map(s => s.name);
+
+test('one game takes signups at a time', () => {
+  assert.deepStrictEqual(join(player('Kevin')), { error: 'no_game' });
+  const { game } = openGame({ by: 'org', day: 'Monday', time: '20:00', format: TWO_BY_ONE });
+  assert.strictEqual(openGame({ by: 'org', day: 'Tuesday', time: '20:00', format: TWO_BY_ONE }).error, 'already_open');
+  assert.strictEqual(closeGame().id, game.id);
+  assert.strictEqual(join(player('Kevin')).error, 'closed');
+  assert.strictEqual(closeGame(), null);
+  assert.ok(openGame({ by: 'org', day: 'Tuesday', time: '20:00', format: TWO_BY_ONE }).game);
+});
+
+test('the first spots play and the rest wait in signup order', () => {
+  openGame({ by: 'org', day: 'Monday', time: '20:00', format: TWO_BY_ONE });
+  join(player('Kevin'));
+  join(player('Simon'));
+  join(player('Anish'));
+  assert.strictEqual(join(player('Kevin')).already, true);
+  const { confirmed, waitlist } = splitSpots(currentGame());
+  assert.deepStrictEqual([names(confirmed), names(waitlist)], [['Kevin', 'Simon'], ['Anish']]);
+});
+
+test('dropping out promotes the next in line', () => {
+  openGame({ by: 'org', day: 'Monday', time: '20:00', format: TWO_BY_ONE });
+  for (const name of ['Kevin', 'Simon', 'Anish']) join(player(name));
+  const { removed, promoted } = leave('kevin');
+  assert.deepStrictEqual([names(removed), names(promoted)], [['Kevin'], ['Anish']]);
+  assert.deepStrictEqual(leave('kevin'), { error: 'not_in', game: currentGame() });
+  assert.deepStrictEqual(names(leave('simon').promoted), []); // nobody left waiting
+});
+
+test('guests come after their host and leave newest first', () => {
+  openGame({ by: 'org', day: 'Monday', time: '20:00', format: { teams: 2, size: 2 } });
+  assert.deepStrictEqual(names(join(player('Kevin'), 2).added), ['Kevin', 'Kevin+1', 'Kevin+2']);
+  join(player('Simon'));
+  assert.deepStrictEqual(names(join(player('Kevin'), 1).added), ['Kevin+3']);
+  assert.strictEqual(join(player('Kevin'), MAX_GUESTS).error, 'too_many_guests');
+  assert.deepStrictEqual(names(leave('kevin', 2).removed), ['Kevin+2', 'Kevin+3']);
+  assert.deepStrictEqual(names(leave('kevin').removed), ['Kevin', 'Kevin+1']);
+  assert.deepStrictEqual(names(currentGame().spots), ['Simon']);
+});
+
+test('two players cannot sign up under one name', () => {
+  openGame({ by: 'org', day: 'Monday', time: '20:00', format: TWO_BY_ONE });
+  join(player('Kevin'));
+  assert.strictEqual(join({ id: 'other', name: 'kevin', replyTo: 'chat-other' }).error, 'name_taken');
+});
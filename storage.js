@@ -0,0 +1,321 @@
+// storage.js
+// One storage layer for all bot state (bibs, players, results, lineups, per-sender state).
+//
+// Data lives in namespaces, each a flat key → JSON value collection:
+//   get(ns, key) / set(ns, key, value) / remove(ns, key) / entries(ns) / load(ns) / replace(ns, obj)
+// Values may contain Maps and Sets; they are tagged on the way in and restored on the way out.
+//
+// STORAGE=json (default): one JSON file per namespace, DATA_DIR/<ns>.json (DATA_DIR defaults
+//   to the working directory). Writes go to a temp file that is renamed over the old one, so
+//   a crash never leaves half a file. The older per-store env vars (BIBS_FILE, PLAYERS_FILE,
+//   RESULTS_FILE, HISTORY_FILE) still win, so existing files are used as they are.
+//   Writes are batched: a changed namespace is written STORAGE_FLUSH_MS later (default 1000)
+//   together with everything else changed meanwhile, and at exit / SIGINT / SIGTERM; call
+//   flush() to write now. The per-sender "state.*" files are rewritten often, so they are
+//   compact; the rest stay pretty-printed for hand edits.
+// STORAGE=sqlite: one table in SQLITE_FILE (default DATA_DIR/futsal.db), via better-sqlite3.
+//   The first time a namespace is used it is imported from its JSON file when there is one,
+//   so switching an existing install (e.g. its bibs.json) over needs no manual step.
+//
+// All calls are synchronous: a read-modify-write never interleaves with another message.
+//
+// Groups: a group's own data (GROUP_NAMESPACES: bibs, players, results, ...) is kept apart
+// by running its work inside withGroup(id, fn); there "bibs" means the "bibs.<id>"
+// namespace (bibs.<id>.json). The default group, and anything outside withGroup, uses
+// the plain namespaces, so a single-group install keeps its files.
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const STORAGE = (process.env.STORAGE || 'json').toLowerCase();
+const DATA_DIR = process.env.DATA_DIR || process.cwd();
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'futsal.db');
+const FLUSH_MS = parseInt(process.env.STORAGE_FLUSH_MS || '1000', 10);
+
+const LEGACY_FILE_ENV = {
+  bibs: 'BIBS_FILE',
+  players: 'PLAYERS_FILE',
+  results: 'RESULTS_FILE',
+  lineups: 'HISTORY_FILE'
+};
+
+function jsonFile(ns) {
+  const env = LEGACY_FILE_ENV[ns];
+  return (env && process.env[env]) || path.join(DATA_DIR, `${ns}.json`);
+}
+
+// ---------- Encoding (Map / Set aware) ----------
+function replacer(_key, value) {
+  if (value instanceof Map) return { $map: Array.from(value.entries()) };
+  if (value instanceof Set) return { $set: Array.from(value) };
+  return value;
+}
+function reviver(_key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && Array.isArray(value.$map)) return new Map(value.$map);
+    if (keys.length === 1 && Array.isArray(value.$set)) return new Set(value.$set);
+  }
+  return value;
+}
+const encode = (value) => JSON.stringify(value, replacer);
+const decode = (text) => JSON.parse(text, reviver);
+
+function readJsonFile(file) {
+  try {
+    if (!fs.existsSync(file)) return {};
+    const data = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+    return (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+  } catch (e) {
+    console.error('[STORAGE] load error:', file, e);
+    return {};
+  }
+}
+
+// ---------- JSON files ----------
+function createJsonBackend() {
+  const docs = new Map(); // ns -> { key: encoded-ready plain value }
+  const dirty = new Set(); // namespaces changed since the last write
+  let timer = null;
+
+  const doc = (ns) => {
+    if (!docs.has(ns)) docs.set(ns, readJsonFile(jsonFile(ns)));
+    return docs.get(ns);
+  };
+  const write = (ns) => {
+    const file = jsonFile(ns);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      const text = ns.startsWith('state.') ? JSON.stringify(doc(ns)) : JSON.stringify(doc(ns), null, 2);
+      fs.writeFileSync(tmp, text, 'utf8');
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('[STORAGE] save error:', file, e);
+    }
+  };
+  const flushAll = () => {
+    clearTimeout(timer);
+    timer = null;
+    const pending = Array.from(dirty);
+    dirty.clear();
+    for (const ns of pending) write(ns);
+  };
+  const changed = (ns) => {
+    dirty.add(ns);
+    if (FLUSH_MS <= 0) return flushAll();
+    if (!timer) {
+      timer = setTimeout(flushAll, FLUSH_MS);
+      timer.unref(); // a pending write never keeps the process alive; exit writes it
+    }
+  };
+
+  process.on('exit', flushAll);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      flushAll();
+      process.kill(process.pid, signal); // handler is gone now: the default exit
+    });
+  }
+
+  return {
+    get(ns, key) {
+      const d = doc(ns);
+      return Object.prototype.hasOwnProperty.call(d, key) ? decode(JSON.stringify(d[key])) : undefined;
+    },
+    set(ns, key, value) {
+      doc(ns)[key] = JSON.parse(encode(value));
+      changed(ns);
+    },
+    remove(ns, key) {
+      delete doc(ns)[key];
+      changed(ns);
+    },
+    entries(ns) {
+      return Object.entries(doc(ns)).map(([k, v]) => [k, decode(JSON.stringify(v))]);
+    },
+    replace(ns, obj) {
+      docs.set(ns, JSON.parse(encode(obj)));
+      changed(ns);
+    },
+    flush: flushAll
+  };
+}
+
+// ---------- SQLite ----------
+function createSqliteBackend(file) {
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv (
+      ns TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL,
+      PRIMARY KEY (ns, key)
+    );
+    CREATE TABLE IF NOT EXISTS migrated (ns TEXT PRIMARY KEY, at TEXT NOT NULL);
+  `);
+  const q = {
+    get: db.prepare('SELECT value FROM kv WHERE ns = ? AND key = ?'),
+    set: db.prepare('INSERT INTO kv (ns, key, value) VALUES (?, ?, ?) ON CONFLICT (ns, key) DO UPDATE SET value = excluded.value'),
+    remove: db.prepare('DELETE FROM kv WHERE ns = ? AND key = ?'),
+    entries: db.prepare('SELECT key, value FROM kv WHERE ns = ? ORDER BY rowid'),
+    clear: db.prepare('DELETE FROM kv WHERE ns = ?'),
+    isMigrated: db.prepare('SELECT 1 FROM migrated WHERE ns = ?'),
+    markMigrated: db.prepare('INSERT INTO migrated (ns, at) VALUES (?, ?)')
+  };
+  const replaceAll = db.transaction((ns, obj) => {
+    q.clear.run(ns);
+    for (const [k, v] of Object.entries(obj)) q.set.run(ns, k, encode(v));
+  });
+
+  // Import a namespace's JSON file once, the first time the namespace is touched.
+  const checked = new Set();
+  const migrate = db.transaction((ns) => {
+    if (q.isMigrated.get(ns)) return;
+    const legacy = readJsonFile(jsonFile(ns));
+    const hasRows = q.entries.all(ns).length > 0;
+    if (!hasRows && Object.keys(legacy).length) {
+      for (const [k, v] of Object.entries(legacy)) q.set.run(ns, k, JSON.stringify(v));
+      console.log(`[STORAGE] imported ${Object.keys(legacy).length} ${ns} entries from ${jsonFile(ns)}`);
+    }
+    q.markMigrated.run(ns, new Date().toISOString());
+  });
+  const ready = (ns) => {
+    if (checked.has(ns)) return;
+    migrate(ns);
+    checked.add(ns);
+  };
+
+  return {
+    get(ns, key) {
+      ready(ns);
+      const row = q.get.get(ns, key);
+      return row ? decode(row.value) : undefined;
+    },
+    set(ns, key, value) {
+      ready(ns);
+      q.set.run(ns, key, encode(value));
+    },
+    remove(ns, key) {
+      ready(ns);
+      q.remove.run(ns, key);
+    },
+    entries(ns) {
+      ready(ns);
+      return q.entries.all(ns).map(r => [r.key, decode(r.value)]);
+    },
+    replace(ns, obj) {
+      ready(ns);
+      replaceAll(ns, obj);
+    },
+    flush() {} // every write is already on disk
+  };
+}
+
+if (STORAGE !== 'json' && STORAGE !== 'sqlite') {
+  console.warn(`[WARN] Unknown STORAGE "${STORAGE}", using JSON files`);
+}
+const backend = STORAGE === 'sqlite' ? createSqliteBackend(SQLITE_FILE) : createJsonBackend();
+
+// ---------- Groups ----------
+const DEFAULT_GROUP = 'default';
+const GROUP_NAMESPACES = new Set(['bibs', 'players', 'results', 'lineups', 'signups', 'schedule', 'settings']);
+const groupScope = new AsyncLocalStorage();
+
+// Run fn (sync or async) with group's data; returns what fn returns.
+function withGroup(groupId, fn) {
+  return groupScope.run(groupId || DEFAULT_GROUP, fn);
+}
+function currentGroup() {
+  return groupScope.getStore() || DEFAULT_GROUP;
+}
+function scoped(ns) {
+  const group = currentGroup();
+  return group !== DEFAULT_GROUP && GROUP_NAMESPACES.has(ns) ? `${ns}.${group}` : ns;
+}
+
+function get(ns, key) {
+  return backend.get(scoped(ns), key);
+}
+function set(ns, key, value) {
+  backend.set(scoped(ns), key, value);
+}
+function remove(ns, key) {
+  backend.remove(scoped(ns), key);
+}
+function entries(ns) {
+  return backend.entries(scoped(ns));
+}
+// Whole namespace as a plain object ({ key: value }).
+function load(ns) {
+  return Object.fromEntries(backend.entries(scoped(ns)));
+}
+// Overwrite a whole namespace with obj's keys.
+function replace(ns, obj) {
+  backend.replace(scoped(ns), obj);
+}
+// Write batched changes now (JSON files; SQLite writes straight away).
+function flush() {
+  backend.flush();
+}
+
+// ---------- Drop-in Set / Map ----------
+// In-memory Set backed by a namespace; oldest members are dropped beyond max.
+function persistentSet(ns, { max = Infinity } = {}) {
+  const members = new Set(backend.entries(ns).map(([k]) => k));
+  return {
+    has: (value) => members.has(String(value)),
+    add(value) {
+      const key = String(value);
+      if (members.has(key)) return this;
+      members.add(key);
+      backend.set(ns, key, Date.now());
+      while (members.size > max) {
+        const oldest = members.values().next().value;
+        members.delete(oldest);
+        backend.remove(ns, oldest);
+      }
+      return this;
+    },
+    delete(value) {
+      const key = String(value);
+      backend.remove(ns, key);
+      return members.delete(key);
+    },
+    get size() { return members.size; }
+  };
+}
+
+// In-memory Map backed by a namespace; set() writes through. Keys listed in `transient`
+// (e.g. big caches that can be rebuilt) are not written. With perGroup, each group sees
+// its own entries (keys are stored as "<group>:<key>" outside the default group).
+function persistentMap(ns, { transient = [], perGroup = false } = {}) {
+  const cache = new Map(backend.entries(ns));
+  const k = (key) => (perGroup && currentGroup() !== DEFAULT_GROUP ? `${currentGroup()}:${key}` : key);
+  const persistable = (value) => {
+    if (!transient.length || !value || typeof value !== 'object') return value;
+    const copy = { ...value };
+    for (const k of transient) delete copy[k];
+    return copy;
+  };
+  return {
+    get: (key) => cache.get(k(key)),
+    has: (key) => cache.has(k(key)),
+    set(key, value) {
+      cache.set(k(key), value);
+      backend.set(ns, k(key), persistable(value));
+      return this;
+    },
+    delete(key) {
+      backend.remove(ns, k(key));
+      return cache.delete(k(key));
+    },
+    get size() { return cache.size; }
+  };
+}
+
+module.exports = {
+  STORAGE, DEFAULT_GROUP, withGroup, currentGroup,
+  get, set, remove, entries, load, replace, flush, persistentSet, persistentMap
+};
@@ -0,0 +1,54 @@
+// storage.test.js
+// Storage checks (npm test): batched JSON writes and the JSON → SQLite import, each test in its
+// own throwaway DATA_DIR with a freshly loaded storage.js (the backend is picked at load).
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function freshStorage(env) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'futsal-storage-'));
+  for (const name of ['BIBS_FILE', 'PLAYERS_FILE', 'RESULTS_FILE', 'HISTORY_FILE', 'SQLITE_FILE']) delete process.env[name];
+  Object.assign(process.env, { DATA_DIR: dir, STORAGE: 'json', STORAGE_FLUSH_MS: '60000' }, env);
+  delete require.cache[require.resolve('./storage')];
+  return { dir, storage: require('./storage') };
+}
+const readFile = (dir, ns) => JSON.parse(fs.readFileSync(path.join(dir, `${ns}.json`), 'utf8'));
+
+test('JSON writes wait for flush() and then land together', () => {
+  const { dir, storage } = freshStorage();
+  storage.set('bibs', 'ledger', [{ type: 'add', name: 'Kevin' }]);
+  storage.persistentSet('state.processed', { max: 2 }).add('m1').add('m2').add('m3');
+  assert.deepStrictEqual(storage.get('bibs', 'ledger'), [{ type: 'add', name: 'Kevin' }]);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'bibs.json')), false);
+
+  storage.flush();
+  assert.deepStrictEqual(readFile(dir, 'bibs').ledger, [{ type: 'add', name: 'Kevin' }]);
+  assert.deepStrictEqual(Object.keys(readFile(dir, 'state.processed')), ['m2', 'm3']);
+  assert.ok(!fs.readFileSync(path.join(dir, 'state.processed.json'), 'utf8').includes('\n'));
+});
+
+test('Maps, Sets and group namespaces survive a round trip', () => {
+  const { dir, storage } = freshStorage({ STORAGE_FLUSH_MS: '0' });
+  const value = { seen: new Set(['a|b']), ratings: new Map([['kevin', 7]]) };
+  storage.withGroup('g1', () => storage.set('players', 'x', value));
+  assert.deepStrictEqual(storage.withGroup('g1', () => storage.get('players', 'x')), value);
+  assert.strictEqual(storage.get('players', 'x'), undefined);
+  assert.ok(fs.existsSync(path.join(dir, 'players.g1.json')));
+});
+
+test('SQLite imports an existing JSON file once', () => {
+  const { dir } = freshStorage();
+  fs.writeFileSync(path.join(dir, 'bibs.json'), JSON.stringify({ kevin: 3, __lastWasher: 'kevin' }));
+  const { storage } = freshStorage({ DATA_DIR: dir, STORAGE: 'sqlite' });
+  assert.deepStrictEqual(storage.load('bibs'), { kevin: 3, __lastWasher: 'kevin' });
+
+  storage.replace('bibs', { ledger: [] });
+  fs.writeFileSync(path.join(dir, 'bibs.json'), JSON.stringify({ simon: 1 }));
+  const again = freshStorage({ DATA_DIR: dir, STORAGE: 'sqlite' }).storage;
+  assert.deepStrictEqual(again.load('bibs'), { ledger: [] });
+});
@@ -0,0 +1,148 @@
+// telegram.js
+// Telegram Bot API transport: long-polls getUpdates, replies with sendMessage.
+//
+// Enabled when TELEGRAM_BOT_TOKEN is set (server.js calls start()). A chat is one sender
+// for engine.js ("tg:<chat id>"), so everyone in a group chat shares the same roster,
+// shuffles and language. Reply buttons become inline keyboard buttons, the teams poster a
+// photo; "/help@MyBot" style commands arrive as plain "help".
+//
+// Polling needs no public URL, but it fails (HTTP 409) while a webhook is set for the bot;
+// remove it once with https://api.telegram.org/bot<token>/deleteWebhook.
+//
+// Env: TELEGRAM_BOT_TOKEN; optional TELEGRAM_API_URL (defaults to https://api.telegram.org)
+
+const axios = require('axios');
+const { handleMessage, registerTransport } = require('./engine');
+const { maskPhone } = require('./security');
+const { createOutbox } = require('./outbox');
+
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TELEGRAM_API_URL   = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+const POLL_TIMEOUT_S     = 30;
+const RETRY_PAUSE_MS     = 5000;
+
+const api = (method) => `${TELEGRAM_API_URL}/bot${TELEGRAM_BOT_TOKEN}/${method}`;
+const chatIdOf = (to) => String(to).replace(/^tg:/, '');
+
+// Telegram reports flood waits in the body; surface them as Retry-After for the outbox.
+async function call(method, body) {
+  try {
+    return await axios.post(api(method), body, { timeout: 10000 });
+  } catch (err) {
+    const wait = err?.response?.data?.parameters?.retry_after;
+    if (wait && err.response.headers) err.response.headers['retry-after'] = String(wait);
+    throw err;
+  }
+}
+
+const outbox = createOutbox({
+  send: ({ method, body }) => call(method, body),
+  channel: 'telegram',
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '5', 10),
+  baseDelayMs: parseInt(process.env.OUTBOX_BASE_DELAY_MS || '1000', 10)
+});
+
+// ---------- Sending ----------
+async function sendText(to, text) {
+  return outbox.enqueue(to, { type: 'text', method: 'sendMessage', body: { chat_id: chatIdOf(to), text } });
+}
+
+async function sendButtons(to, text, buttons) {
+  return outbox.enqueue(to, {
+    type: 'buttons',
+    method: 'sendMessage',
+    body: {
+      chat_id: chatIdOf(to),
+      text,
+      reply_markup: { inline_keyboard: [buttons.map(b => ({ text: b.title, callback_data: b.id }))] }
+    }
+  });
+}
+
+// A menu: one button per row (Telegram has no list messages; descriptions don't fit a button)
+async function sendList(to, text, _button, rows) {
+  return outbox.enqueue(to, {
+    type: 'list',
+    method: 'sendMessage',
+    body: {
+      chat_id: chatIdOf(to),
+      text,
+      reply_markup: { inline_keyboard: rows.map(r => [{ text: r.title, callback_data: r.id }]) }
+    }
+  });
+}
+
+// A picture (the teams poster) as a photo upload
+async function sendImage(to, png, caption) {
+  const form = new FormData();
+  form.append('chat_id', chatIdOf(to));
+  form.append('photo', new Blob([png], { type: 'image/png' }), 'teams.png');
+  if (caption) form.append('caption', caption);
+  return outbox.enqueue(to, { type: 'image', method: 'sendPhoto', body: form });
+}
+
+const transport = { sendText, sendButtons, sendList, sendImage };
+
+// The person behind a message (in a group chat, from is the group)
+function authorOf(user) {
+  if (!user) return undefined;
+  return { id: `tg:${user.id}`, name: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username };
+}
+
+// Bot API update → engine message, or null for updates we don't handle
+function normalize(update) {
+  const cb = update.callback_query;
+  if (cb) {
+    if (!cb.message) return null;
+    return { from: `tg:${cb.message.chat.id}`, id: `tg:cb:${cb.id}`, author: authorOf(cb.from), type: 'button', buttonId: cb.data };
+  }
+  const m = update.message;
+  if (!m || !m.chat) return null;
+  const base = { from: `tg:${m.chat.id}`, id: `tg:${m.chat.id}:${m.message_id}`, author: authorOf(m.from) };
+  if (typeof m.text !== 'string') return { ...base, type: 'other' };
+  return { ...base, type: 'text', text: m.text.replace(/^\/(\w+)(?:@\w+)?/, '$1') };
+}
+
+// ---------- Polling ----------
+async function poll() {
+  let offset = 0;
+  for (;;) {
+    let updates = [];
+    try {
+      const { data } = await axios.post(api('getUpdates'), {
+        offset, timeout: POLL_TIMEOUT_S, allowed_updates: ['message', 'callback_query']
+      }, { timeout: (POLL_TIMEOUT_S + 10) * 1000 });
+      updates = data.result || [];
+    } catch (err) {
+      const status = err?.response?.status;
+      console.error(`[TELEGRAM] getUpdates failed: ${status ? `HTTP ${status}` : (err.code || err.message)}`);
+      await new Promise(r => setTimeout(r, RETRY_PAUSE_MS));
+      continue;
+    }
+
+    for (const update of updates) {
+      offset = update.update_id + 1;
+      // Stop the button's loading spinner; nothing to retry if it fails
+      if (update.callback_query) call('answerCallbackQuery', { callback_query_id: update.callback_query.id }).catch(() => {});
+      const msg = normalize(update);
+      if (!msg) continue;
+      console.log(`[TELEGRAM] ${msg.type} from ${maskPhone(msg.from)}`);
+      try {
+        await handleMessage(msg, transport);
+      } catch (err) {
+        console.error('Telegram handling error:', JSON.stringify(err?.response?.data || err?.message || err));
+      }
+    }
+  }
+}
+
+// Start long polling (no-op without TELEGRAM_BOT_TOKEN). Returns whether it started.
+function start() {
+  if (!TELEGRAM_BOT_TOKEN) return false;
+  registerTransport('telegram', transport);
+  console.log('[TELEGRAM] Polling for updates');
+  poll();
+  return true;
+}
+
+module.exports = { start, outbox, transport };
@@ -0,0 +1,204 @@
+// whatsapp.js
+// WhatsApp Cloud API transport: webhook in (GET verify + signed POST), Graph API messages out.
+//
+// Mount with app.use(whatsapp.router). Inbound messages are normalized for engine.js;
+// replies go through an outbox (outbox.js) so they keep their order and survive hiccups.
+//
+// Env required: VERIFY_TOKEN, WHATSAPP_TOKEN, PHONE_NUMBER_ID, APP_SECRET
+// Optional: GRAPH_API_VERSION (defaults to v21.0), GRAPH_BASE_URL, GRAPH_TIMEOUT_MS,
+//           OUTBOX_MAX_ATTEMPTS, OUTBOX_BASE_DELAY_MS, ALLOW_UNSIGNED_WEBHOOKS (local testing only),
+//           LOG_WEBHOOK_BODIES ('1' → log every webhook body, phone numbers masked; debugging only)
+
+const express = require('express');
+const axios = require('axios');
+const { handleMessage, registerTransport } = require('./engine');
+const { verifySignature, maskPhone, redactPhones } = require('./security');
+const { createOutbox } = require('./outbox');
+
+// ---------- Config ----------
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || 'v21.0';
+const GRAPH_BASE_URL    = (process.env.GRAPH_BASE_URL || 'https://graph.facebook.com').replace(/\/+$/, '');
+const GRAPH_TIMEOUT_MS  = parseInt(process.env.GRAPH_TIMEOUT_MS || '10000', 10);
+const PHONE_NUMBER_ID   = process.env.PHONE_NUMBER_ID;
+const WHATSAPP_TOKEN    = process.env.WHATSAPP_TOKEN;
+const VERIFY_TOKEN      = process.env.VERIFY_TOKEN;
+const APP_SECRET        = process.env.APP_SECRET;
+const ALLOW_UNSIGNED    = process.env.ALLOW_UNSIGNED_WEBHOOKS === '1';
+const LOG_BODIES        = process.env.LOG_WEBHOOK_BODIES === '1';
+
+if (!PHONE_NUMBER_ID || !WHATSAPP_TOKEN || !VERIFY_TOKEN) {
+  console.warn('[WARN] Missing one or more env vars: PHONE_NUMBER_ID, WHATSAPP_TOKEN, VERIFY_TOKEN');
+}
+if (!APP_SECRET && !ALLOW_UNSIGNED) {
+  console.warn('[WARN] APP_SECRET is not set: every POST /webhook will be rejected (set ALLOW_UNSIGNED_WEBHOOKS=1 for local testing)');
+}
+
+const WA_URL = `${GRAPH_BASE_URL}/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}/messages`;
+const MEDIA_URL = `${GRAPH_BASE_URL}/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}/media`;
+const AUTH   = { headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` }, timeout: GRAPH_TIMEOUT_MS };
+
+// Posts one outbox payload; an image's (see sendImage) is uploaded first, once
+async function post(payload) {
+  const { upload, ...message } = payload;
+  if (upload && !message.image.id) {
+    const id = (await upload()).data?.id;
+    if (!id) throw new Error('media upload returned no id');
+    message.image.id = id; // the same object as payload.image: a retry skips the upload
+  }
+  return axios.post(WA_URL, message, AUTH);
+}
+
+// Every outgoing message goes through the outbox: per-recipient order + retries
+const outbox = createOutbox({
+  send: post,
+  channel: 'whatsapp',
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '5', 10),
+  baseDelayMs: parseInt(process.env.OUTBOX_BASE_DELAY_MS || '1000', 10)
+});
+
+// ---------- Sending ----------
+async function sendText(to, body) {
+  return outbox.enqueue(to, {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to,
+    type: 'text',
+    text: { preview_url: false, body }
+  });
+}
+
+// Reply buttons (WhatsApp allows up to 3, titles up to 20 chars)
+async function sendButtons(to, text, buttons) {
+  return outbox.enqueue(to, {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      body: { text },
+      action: {
+        buttons: buttons.slice(0, 3).map(b => ({ type: 'reply', reply: { id: b.id, title: b.title.slice(0, 20) } }))
+      }
+    }
+  });
+}
+
+// List message: a button that opens a menu of rows (up to 10; titles 24 chars, descriptions 72)
+async function sendList(to, text, button, rows) {
+  return outbox.enqueue(to, {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      body: { text },
+      action: {
+        button: button.slice(0, 20),
+        sections: [{
+          rows: rows.slice(0, 10).map(r => ({
+            id: r.id,
+            title: r.title.slice(0, 24),
+            ...(r.description ? { description: r.description.slice(0, 72) } : {})
+          }))
+        }]
+      }
+    }
+  });
+}
+
+// Image (the teams poster): one outbox job that uploads it to the media endpoint, then sends
+// it by its media id, so the upload gets the same retries and dead-letter log as the send.
+// upload is a function: it stays out of the request body and the dead letter.
+async function sendImage(to, png, caption) {
+  const upload = () => {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', 'image/png');
+    form.append('file', new Blob([png], { type: 'image/png' }), 'teams.png');
+    return axios.post(MEDIA_URL, form, AUTH);
+  };
+  return outbox.enqueue(to, {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'image',
+    image: caption ? { caption } : {},
+    upload
+  });
+}
+
+const transport = { sendText, sendButtons, sendList, sendImage };
+registerTransport('whatsapp', transport);
+
+// Cloud API message → engine message ({ from, id, author, type, text | buttonId })
+function normalize(msg, contacts) {
+  const contact = contacts.find(c => c.wa_id === msg.from);
+  const base = { from: msg.from, id: msg.id, author: { id: msg.from, name: contact?.profile?.name } };
+  if (msg.type === 'interactive' && msg.interactive?.type === 'button_reply') {
+    return { ...base, type: 'button', buttonId: msg.interactive.button_reply?.id };
+  }
+  if (msg.type === 'interactive' && msg.interactive?.type === 'list_reply') {
+    return { ...base, type: 'button', buttonId: msg.interactive.list_reply?.id };
+  }
+  if (msg.type === 'text') return { ...base, type: 'text', text: msg.text?.body || '' };
+  return { ...base, type: 'other' };
+}
+
+// ---------- Routes ----------
+const router = express.Router();
+// Keep the raw bytes: the webhook signature is computed over them, not over re-serialized JSON
+router.use('/webhook', express.json({ limit: '1mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
+
+// Webhook: verify
+router.get('/webhook', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && token === VERIFY_TOKEN) {
+    console.log('[VERIFY] Success');
+    return res.status(200).send(challenge);
+  }
+  console.warn('[VERIFY] Failed: mode/token mismatch');
+  return res.sendStatus(403);
+});
+
+// Webhook: receive
+router.post('/webhook', async (req, res) => {
+  // Only Meta can post here: the body must be signed with our app secret
+  const signed = APP_SECRET && verifySignature(req.rawBody, req.get('x-hub-signature-256'), APP_SECRET);
+  if (!signed && !ALLOW_UNSIGNED) {
+    console.warn('[WEBHOOK] Rejected: missing or invalid X-Hub-Signature-256');
+    return res.sendStatus(401);
+  }
+
+  // Always 200 quickly to acknowledge delivery
+  res.sendStatus(200);
+
+  try {
+    const body = req.body || {};
+    if (LOG_BODIES) console.log('[WHATSAPP] webhook:', redactPhones(JSON.stringify(body)));
+
+    if (body.object !== 'whatsapp_business_account') return;
+
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        const v = change.value || {};
+
+        // Handle only messages here
+        const messages = v.messages || [];
+        if (!messages.length) continue;
+
+        for (const msg of messages) {
+          // sender E.164 digits
+          if (typeof msg.from !== 'string' || !/^\d{6,15}$/.test(msg.from)) continue;
+          console.log(`[WHATSAPP] ${msg.type} from ${maskPhone(msg.from)} (${msg.id})`);
+          await handleMessage(normalize(msg, v.contacts || []), transport);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Webhook handling error:', redactPhones(JSON.stringify(err?.response?.data || err?.message || err)));
+  }
+});
+
+module.exports = { router, outbox, transport };